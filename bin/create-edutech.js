@@ -1,9 +1,19 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const { Command, Option } = require('commander');
+const inquirer = require('inquirer');
+const { version } = require('../package.json');
+const {
+  PACKAGE_MANAGER_NAMES,
+  getPackageManager,
+  getInstalledVersion,
+  syncWorkspaceFile
+} = require('../templates/scripts/lib/package-manager');
+const { convertTurboConfig, writeTurboConfig } = require('../templates/scripts/lib/turbo');
 
 const mkdir = promisify(fs.mkdir);
 const writeFile = promisify(fs.writeFile);
@@ -17,17 +27,43 @@ const BANNER = `
 ╚══════════════════════════════════════╝
 `;
 
-async function createWorkspace(institution, firstPortal) {
-  console.log(BANNER);
+const TEMPLATES_DIR = path.join(__dirname, '../templates');
+
+// Workflow templates, copied to scripts/ci/ and rendered by portal:ci generate
+const CI_TEMPLATES = ['github-workflow.yml', 'gitlab-ci.yml'];
+const CI_PROVIDERS = ['github', 'gitlab'];
+
+const DEFAULT_REGISTRY_URL = 'https://raw.githubusercontent.com/z1technologieslive/edutech-portal-registry/main/registry.json';
+
+const DEFAULT_OPTIONS = {
+  portals: [],
+  theme: 'default',
+  packageManager: 'npm',
+  registry: DEFAULT_REGISTRY_URL,
+  install: true,
+  git: true,
+  pm2: true,
+  ci: 'github'
+};
+
+// Copy a template folder, subfolders included
+async function copyTemplateDir(source, destination) {
+  await mkdir(destination, { recursive: true });
   
-  if (!institution) {
-    console.log('Usage: create-edutech <institution-name> [first-portal]');
-    console.log('\nExamples:');
-    console.log('  create-edutech aks academic');
-    console.log('  create-edutech harvard');
-    process.exit(1);
+  for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+    const sourcePath = path.join(source, entry.name);
+    const destinationPath = path.join(destination, entry.name);
+    
+    if (entry.isDirectory()) {
+      await copyTemplateDir(sourcePath, destinationPath);
+    } else {
+      await copyFile(sourcePath, destinationPath);
+    }
   }
+}
 
+async function createWorkspace(institution, options = DEFAULT_OPTIONS) {
+  const { portals, packageManager } = options;
   const workspaceName = `${institution}-workspace`;
   
   try {
@@ -43,11 +79,13 @@ async function createWorkspace(institution, firstPortal) {
     process.chdir(workspaceName);
     
     // 2. Initialize git
-    console.log('📦 Initializing git repository...');
-    execSync('git init', { stdio: 'pipe' });
+    if (options.git) {
+      console.log('📦 Initializing git repository...');
+      execSync('git init', { stdio: 'pipe' });
+    }
     
-    // 3. Initialize npm workspace
-    console.log('📦 Setting up npm workspace...');
+    // 3. Initialize the workspace for the chosen package manager
+    console.log(`📦 Setting up ${packageManager} workspace...`);
     
     const packageJson = {
       name: workspaceName,
@@ -59,6 +97,15 @@ async function createWorkspace(institution, firstPortal) {
         "portal:update": "node scripts/portal-update.js",
         "portal:remove": "node scripts/portal-remove.js",
         "portal:list": "node scripts/portal-list.js",
+        "portal:install": "node scripts/portal-install.js",
+        "portal:rollback": "node scripts/portal-rollback.js",
+        "portal:backups": "node scripts/portal-backups.js",
+        "portal:registry": "node scripts/portal-registry.js",
+        "portal:ci": "node scripts/portal-ci.js",
+        "portal:deploy": "node scripts/portal-deploy.js",
+        "portal:affected": "node scripts/portal-affected.js",
+        "portal:doctor": "node scripts/portal-doctor.js",
+        "portal:adopt": "node scripts/portal-adopt.js",
         "dev": "turbo dev",
         "build": "turbo build",
         "build:portal": "turbo run build --filter",
@@ -69,45 +116,54 @@ async function createWorkspace(institution, firstPortal) {
       }
     };
     
+    // turbo 2 needs the packageManager field to find the workspaces
+    const packageManagerVersion = getInstalledVersion(packageManager);
+    if (packageManagerVersion) {
+      packageJson.packageManager = `${packageManager}@${packageManagerVersion}`;
+    }
+    
     await writeFile('package.json', JSON.stringify(packageJson, null, 2));
     
     // 4. Create directory structure
     console.log('📁 Creating directory structure...');
     
     await mkdir('portals');
-    await mkdir('shared');
     await mkdir('scripts');
-    await mkdir('.github/workflows', { recursive: true });
+    
+    // The shared package portals import as @shared/* (components, hooks, lib)
+    await copyTemplateDir(path.join(TEMPLATES_DIR, 'shared'), 'shared');
     
     // 5. Create .edutechrc configuration
     const edutechConfig = {
       institution: institution,
       workspaceName: workspaceName,
-      registryUrl: "https://raw.githubusercontent.com/z1technologieslive/edutech-portal-registry/main/registry.json",
+      registryUrl: options.registry,
+      packageManager: packageManager,
       createdAt: new Date().toISOString(),
       version: "1.0.0"
     };
     
+    if (options.ci) {
+      edutechConfig.ci = { provider: options.ci };
+    }
+    
     await writeFile('.edutechrc', JSON.stringify(edutechConfig, null, 2));
     
-    // 6. Create turbo.json
-    const turboConfig = {
-      "$schema": "https://turbo.build/schema.json",
-      "pipeline": {
-        "build": {
-          "outputs": [".next/**", "!.next/cache/**"]
-        },
-        "dev": {
-          "cache": false,
-          "persistent": true
-        },
-        "lint": {
-          "outputs": []
-        }
-      }
-    };
+    // The portal scripts read the package manager from .edutechrc from here on
+    const pm = getPackageManager();
     
-    await writeFile('turbo.json', JSON.stringify(turboConfig, null, 2));
+    // pnpm takes its workspace packages from pnpm-workspace.yaml
+    syncWorkspaceFile(pm);
+    
+    // 6. Write turbo.json for the turbo version in package.json and copy ecosystem.config.js
+    console.log('⚙️  Adding build and PM2 configuration...');
+    
+    const turboTemplate = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'turbo.json'), 'utf8'));
+    writeTurboConfig(convertTurboConfig(turboTemplate));
+    
+    if (options.pm2) {
+      await copyFile(path.join(TEMPLATES_DIR, 'ecosystem.config.js'), 'ecosystem.config.js');
+    }
     
     // 7. Create basic README
     const readmeContent = `# ${institution.toUpperCase()} Edutech Platform
@@ -119,42 +175,50 @@ This workspace contains the edutech portals for ${institution}.
 
 ### Add a new portal
 \`\`\`bash
-npm run portal:add <portal-name> [--theme <theme-name>]
+${pm.run('portal:add', '<portal-name> [--theme <theme-name>]')}
 \`\`\`
 
 ### Update a portal
 \`\`\`bash
-npm run portal:update <portal-name>
+${pm.run('portal:update', '<portal-name>')}
 \`\`\`
 
 ### List available portals
 \`\`\`bash
-npm run portal:list
+${pm.run('portal:list')}
+\`\`\`
+
+### Check the workspace
+\`\`\`bash
+${pm.run('portal:doctor', '[--fix]')}
 \`\`\`
 
 ## Development
 \`\`\`bash
 # Install dependencies
-npm install
+${pm.install}
 
 # Start all portals in development mode
-npm run dev
+${pm.run('dev')}
 
 # Build all portals for production
-npm run build
+${pm.run('build')}
 
 # Build specific portal
-npm run build:portal ./portals/<portal-name>
+${pm.run('build:portal', './portals/<portal-name>')}
 \`\`\`
 
 ## Portals Structure
 - \`/portals/\` - Individual portal applications
-- \`/shared/\` - Shared components and utilities
+- \`/shared/\` - Shared package, imported by the portals as \`@shared/*\`
+  (\`components/ui\`, \`hooks\`, \`lib\`); \`${pm.run('build')}\` type-checks it and
+  \`${pm.runInWorkspace('shared', 'lint')}\` lints it
 
 ## Configuration
 - \`.edutechrc\` - Workspace configuration
 - \`portal-registry.json\` - Local portal registry cache
-`;
+- \`turbo.json\` - Turbo task configuration
+${options.pm2 ? '- `ecosystem.config.js` - PM2 apps, one per portal (`pm2 start ecosystem.config.js`)\n' : ''}${options.ci ? `- CI/CD workflow that builds and deploys changed portals (\`${pm.run('portal:ci', 'generate')}\`)\n` : ''}`;
 
     await writeFile('README.md', readmeContent);
     
@@ -165,11 +229,21 @@ npm run build:portal ./portals/<portal-name>
       'portal-add.js',
       'portal-update.js',
       'portal-remove.js',
-      'portal-list.js'
+      'portal-list.js',
+      'portal-install.js',
+      'portal-rollback.js',
+      'portal-backups.js',
+      'portal-registry.js',
+      'portal-ci.js',
+      'portal-affected.js',
+      'portal-doctor.js',
+      'portal-adopt.js',
+      'portal-deploy.js',
+      'portal-serve.js'
     ];
     
     for (const scriptFile of scriptFiles) {
-      const templatePath = path.join(__dirname, '../templates/scripts', scriptFile);
+      const templatePath = path.join(TEMPLATES_DIR, 'scripts', scriptFile);
       const destPath = `scripts/${scriptFile}`;
       
       // In published package, templates are included
@@ -183,6 +257,27 @@ npm run build:portal ./portals/<portal-name>
       }
     }
     
+    // Shared modules used by the portal scripts
+    const libTemplateDir = path.join(TEMPLATES_DIR, 'scripts/lib');
+    if (fs.existsSync(libTemplateDir)) {
+      await mkdir('scripts/lib', { recursive: true });
+      for (const libFile of fs.readdirSync(libTemplateDir)) {
+        await copyFile(path.join(libTemplateDir, libFile), `scripts/lib/${libFile}`);
+      }
+    }
+    
+    // CI/CD workflow templates, so portal:ci can regenerate the workflow as portals change
+    await mkdir('scripts/ci');
+    for (const template of CI_TEMPLATES) {
+      await copyFile(path.join(TEMPLATES_DIR, template), `scripts/ci/${template}`);
+    }
+    
+    let workflowFile = null;
+    if (options.ci) {
+      const { writeWorkflow } = require(path.resolve('scripts/lib/ci'));
+      workflowFile = writeWorkflow().file;
+    }
+    
     // 9. Create initial portal registry cache
     const initialRegistry = {
       lastFetched: new Date().toISOString(),
@@ -192,8 +287,10 @@ npm run build:portal ./portals/<portal-name>
     await writeFile('portal-registry-cache.json', JSON.stringify(initialRegistry, null, 2));
     
     // 10. Install turbo
-    console.log('📦 Installing Turbo...');
-    execSync('npm install turbo --save-dev', { stdio: 'inherit' });
+    if (options.install) {
+      console.log('📦 Installing Turbo...');
+      execSync(pm.add(['turbo'], true), { stdio: 'inherit' });
+    }
     
     // 11. Create .gitignore
     const gitignoreContent = `# Dependencies
@@ -211,6 +308,7 @@ dist/
 
 # Logs
 *.log
+logs/
 
 # IDE
 .vscode/
@@ -222,54 +320,88 @@ dist/
 # Turbo
 .turbo/
 
-# Portal backups
+# Registry cache, refreshed on each machine
+portal-registry-cache.json
+
+# Portal backups, interrupted command journals and the server's deploy record
+.edutech/backups/
+.edutech/transaction/
+.edutech/deploy-state.json
 backup-*/
+portal-backups/
 temp-*/`;
     
     await writeFile('.gitignore', gitignoreContent);
     
     // 12. Create initial commit
-    console.log('💾 Creating initial commit...');
-    execSync('git add .', { stdio: 'pipe' });
-    execSync('git commit -m "Initial commit: Edutech workspace"', { stdio: 'pipe' });
+    if (options.git) {
+      console.log('💾 Creating initial commit...');
+      execSync('git add .', { stdio: 'pipe' });
+      execSync('git commit -m "Initial commit: Edutech workspace"', { stdio: 'pipe' });
+    }
+    
+    // 13. Add the initial portals; one that fails doesn't stop the others
+    const failedPortals = [];
     
-    // 13. Add first portal if specified
-    if (firstPortal) {
-      console.log(`\n📦 Adding initial portal: ${firstPortal}`);
+    for (const portal of portals) {
+      console.log(`\n📦 Adding initial portal: ${portal} (${options.theme} theme)`);
       console.log('This may take a moment...\n');
       
       try {
-        execSync(`node scripts/portal-add.js ${firstPortal} --theme=default`, { stdio: 'inherit' });
+        const addArgs = [portal, '--theme', options.theme, ...(options.install ? [] : ['--skip-install'])];
+        execFileSync('node', ['scripts/portal-add.js', ...addArgs], { stdio: 'inherit' });
       } catch (error) {
-        console.log('\n⚠️  Initial portal setup skipped due to error');
-        console.log('You can add it manually later with:');
-        console.log(`npm run portal:add ${firstPortal}`);
+        failedPortals.push(portal);
       }
     }
     
+    if (failedPortals.length > 0) {
+      console.log(`\n⚠️  Initial portal setup skipped for ${failedPortals.join(', ')} due to errors`);
+      console.log('You can add them manually later with:');
+      failedPortals.forEach(portal => console.log(pm.run('portal:add', portal)));
+    }
+    
     // Success message
     console.log('\n' + '='.repeat(50));
     console.log('✅ WORKSPACE CREATED SUCCESSFULLY!');
     console.log('='.repeat(50) + '\n');
     
     console.log('📁 Workspace location:');
-    console.log(`  ${path.resolve(workspaceName)}`);
+    console.log(`  ${process.cwd()}`);
     
-    console.log('\n🚀 Next steps:');
-    console.log(`  cd ${workspaceName}`);
+    // Commands in the workspace's package manager syntax, their comments lined up
+    const nextSteps = [[`cd ${workspaceName}`]];
+    
+    if (!options.install) {
+      nextSteps.push([pm.install, 'Install dependencies (skipped)']);
+    }
     
-    if (!firstPortal) {
-      console.log('  npm run portal:list          # View available portals');
-      console.log('  npm run portal:add <portal>  # Add your first portal');
+    if (portals.length === 0) {
+      nextSteps.push([pm.run('portal:list'), 'View available portals']);
+      nextSteps.push([pm.run('portal:add', '<portal>'), 'Add your first portal']);
     }
     
-    console.log('  npm run dev                # Start development servers');
-    console.log('  npm run build              # Build for production');
+    nextSteps.push([pm.run('dev'), 'Start development servers']);
+    nextSteps.push([pm.run('build'), 'Build for production']);
+    
+    const width = Math.max(...nextSteps.map(([command]) => command.length));
+    console.log('\n🚀 Next steps:');
+    nextSteps.forEach(([command, comment]) => console.log(`  ${comment ? `${command.padEnd(width)}  # ${comment}` : command}`));
     
     console.log('\n🔧 Manage portals:');
-    console.log('  npm run portal:add <name> [--theme <theme>]');
-    console.log('  npm run portal:update <name>');
-    console.log('  npm run portal:remove <name>');
+    console.log(`  ${pm.run('portal:add', '<name> [--theme <theme>]')}`);
+    console.log(`  ${pm.run('portal:update', '<name>')}`);
+    console.log(`  ${pm.run('portal:remove', '<name>')}`);
+    
+    if (options.pm2) {
+      console.log('\n🖥️  Run with PM2:');
+      console.log('  pm2 start ecosystem.config.js');
+    }
+    
+    if (options.ci) {
+      console.log('\n🔁 CI/CD:');
+      console.log(`  ${workflowFile} deploys changed portals on push to main`);
+    }
     
     console.log('\n📚 Documentation:');
     console.log('  Check README.md for detailed instructions');
@@ -293,10 +425,194 @@ temp-*/`;
   }
 }
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const institution = args[0];
-const firstPortal = args[1];
+function parseList(value, previous = []) {
+  return [...previous, ...value.split(',').map(item => item.trim()).filter(Boolean)];
+}
+
+// Local registry paths are made absolute, since the workspace is created in a new directory
+function resolveRegistry(registry) {
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(registry) ? registry : path.resolve(registry);
+}
+
+function createProgram() {
+  return new Command('create-edutech')
+    .version(version)
+    .usage('[institution] [first-portal] [options]')
+    .argument('[institution]', 'institution name; the workspace is created in <institution>-workspace')
+    .argument('[first-portal]', 'portal to add once the workspace exists')
+    .option('--portals <list>', 'comma-separated portals to add (e.g. academic,cbt)', parseList)
+    .option('-t, --theme <theme>', 'theme for the added portals', DEFAULT_OPTIONS.theme)
+    .addOption(new Option('--package-manager <name>', 'package manager for the workspace')
+      .choices(PACKAGE_MANAGER_NAMES)
+      .default(DEFAULT_OPTIONS.packageManager))
+    .addOption(new Option('--registry <url>', 'portal registry (https:// or http:// URL, file:// URL or local path)')
+      .default(DEFAULT_OPTIONS.registry, 'the z1lms registry'))
+    .option('--skip-install', 'do not install dependencies')
+    .option('--skip-git', 'do not initialize git or create the initial commit')
+    .option('--no-pm2', 'skip ecosystem.config.js (PM2)')
+    .addOption(new Option('--ci <provider>', 'CI/CD workflow to add').choices(CI_PROVIDERS).default(DEFAULT_OPTIONS.ci))
+    .option('--no-ci', 'skip the CI/CD workflow')
+    .option('-y, --yes', 'use the defaults for anything not given, without prompting')
+    .addHelpText('after', `
+Examples:
+  create-edutech                                    # interactive wizard
+  create-edutech aks academic
+  create-edutech harvard --portals academic,cbt --theme modern --yes
+  create-edutech harvard --package-manager pnpm --ci gitlab --no-pm2
+  create-edutech harvard --registry ./registry.json --skip-install --skip-git`);
+}
+
+// Parse command line arguments into { institution, options, interactive }
+function parseArgs(argv) {
+  const program = createProgram();
+  program.parse(argv);
+  
+  const [institution, firstPortal] = program.args;
+  const flags = program.opts();
+  
+  const options = {
+    portals: [...new Set([...(firstPortal ? [firstPortal] : []), ...(flags.portals || [])])],
+    theme: flags.theme,
+    packageManager: flags.packageManager,
+    registry: resolveRegistry(flags.registry),
+    install: !flags.skipInstall,
+    git: !flags.skipGit,
+    pm2: flags.pm2,
+    ci: flags.ci || null
+  };
+  
+  // With no institution the wizard asks for everything, unless prompting is ruled out
+  const interactive = !institution && !flags.yes && process.stdin.isTTY;
+  
+  if (!institution && !interactive) {
+    program.error('error: institution name is required (run without --yes in a terminal to use the wizard)');
+  }
+  
+  return { institution, options, interactive };
+}
+
+// Portals from the registry as inquirer choices, or null when it cannot be loaded
+async function getPortalChoices(registryUrl) {
+  try {
+    const { loadRegistry } = require(path.join(TEMPLATES_DIR, 'scripts/lib/registry'));
+    const registry = await loadRegistry(registryUrl);
+    
+    return Object.entries(registry.portals).map(([name, portal]) => ({
+      name: `${name} - ${portal.description || 'No description'}`,
+      value: name,
+      themes: Object.keys(portal.themes || {})
+    }));
+  } catch (error) {
+    console.log(`⚠️  Could not load the portal registry: ${error.message}`);
+    return null;
+  }
+}
+
+// Interactive wizard: ask for the institution and the options not given on the command line
+async function promptOptions(options) {
+  const { institution, registry } = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'institution',
+      message: 'Institution name:',
+      validate: value => /^[A-Za-z0-9._-]+$/.test(value.trim()) || 'Use letters, numbers, dots, underscores and hyphens'
+    },
+    {
+      type: 'input',
+      name: 'registry',
+      message: 'Portal registry:',
+      default: options.registry
+    }
+  ]);
+  
+  const choices = await getPortalChoices(resolveRegistry(registry));
+  
+  const { portals } = await inquirer.prompt([
+    choices && choices.length > 0
+      ? {
+        type: 'checkbox',
+        name: 'portals',
+        message: 'Portals to add:',
+        choices: choices.map(choice => ({ ...choice, checked: options.portals.includes(choice.value) }))
+      }
+      : {
+        type: 'input',
+        name: 'portals',
+        message: 'Portals to add (comma-separated, blank for none):',
+        default: options.portals.join(','),
+        filter: value => parseList(value)
+      }
+  ]);
+  
+  // Themes every chosen portal offers
+  const themes = (choices || [])
+    .filter(choice => portals.includes(choice.value))
+    .map(choice => choice.themes)
+    .reduce((common, list) => (common ? common.filter(theme => list.includes(theme)) : list), null);
+  
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'theme',
+      message: 'Theme:',
+      choices: themes || [],
+      default: options.theme,
+      when: () => Array.isArray(themes) && themes.length > 1
+    },
+    {
+      type: 'list',
+      name: 'packageManager',
+      message: 'Package manager:',
+      choices: PACKAGE_MANAGER_NAMES,
+      default: options.packageManager
+    },
+    {
+      type: 'list',
+      name: 'ci',
+      message: 'CI/CD workflow:',
+      choices: [...CI_PROVIDERS, { name: 'none', value: null }],
+      default: options.ci
+    },
+    {
+      type: 'confirm',
+      name: 'pm2',
+      message: 'Add a PM2 ecosystem.config.js?',
+      default: options.pm2
+    },
+    {
+      type: 'confirm',
+      name: 'install',
+      message: 'Install dependencies now?',
+      default: options.install
+    }
+  ]);
+  
+  return {
+    institution: institution.trim(),
+    options: {
+      ...options,
+      ...answers,
+      theme: answers.theme || (themes && themes.length === 1 ? themes[0] : options.theme),
+      registry: resolveRegistry(registry),
+      portals
+    }
+  };
+}
+
+async function main() {
+  let { institution, options, interactive } = parseArgs(process.argv);
+  
+  console.log(BANNER);
+  
+  if (interactive) {
+    ({ institution, options } = await promptOptions(options));
+  }
+  
+  await createWorkspace(institution, options);
+}
 
 // Run the CLI
-createWorkspace(institution, firstPortal).catch(console.error);
\ No newline at end of file
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -5,11 +5,19 @@ module.exports = {
     // {
     //   name: 'portal-name-portal',
     //   cwd: './portals/portal-name',
-    //   script: 'npm',
-    //   args: 'run dev',
+    //   script: '../../scripts/portal-serve.js',
+    //   instances: 1,
+    //   exec_mode: 'fork',
+    //   out_file: '../../logs/portal-name.out.log',
+    //   error_file: '../../logs/portal-name.error.log',
     //   env: {
     //     PORT: 3000,
     //     NODE_ENV: 'development'
+    //   },
+    //   env_production: {
+    //     PORT: 3000,
+    //     NODE_ENV: 'production',
+    //     PORTAL_SERVE: 'next'
     //   }
     // }
   ]
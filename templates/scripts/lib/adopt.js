@@ -0,0 +1,77 @@
+// Matching a portal that was added by hand against the registry template it was copied from,
+// so portal:adopt can record the closest template version as its base
+
+const fs = require('fs');
+const path = require('path');
+const { listFiles } = require('./files');
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// Lines of a text file; a binary file counts as a single line
+function readLines(buffer) {
+  if (isBinary(buffer)) {
+    return [buffer.toString('base64')];
+  }
+
+  const text = buffer.toString('utf8');
+  return text === '' ? [] : text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+}
+
+// Lines two files have in common, ignoring order (a multiset intersection, cheap for any size)
+function countCommonLines(a, b) {
+  const counts = new Map();
+  a.forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+
+  let common = 0;
+  b.forEach(line => {
+    if (counts.get(line) > 0) {
+      counts.set(line, counts.get(line) - 1);
+      common++;
+    }
+  });
+
+  return common;
+}
+
+// How close a portal folder is to a template: { similarity, unchanged, changed, added, missing }.
+// similarity runs from 0 to 1 and is the share of lines the two have in common across all
+// files; the lists name the files that are identical, edited, only in the portal and only in
+// the template.
+function compareWithTemplate(templateDir, portalDir) {
+  const templateFiles = listFiles(templateDir);
+  const portalFiles = listFiles(portalDir);
+  const report = { similarity: 0, unchanged: [], changed: [], added: [], missing: [] };
+  let common = 0;
+  let total = 0;
+
+  [...new Set([...templateFiles, ...portalFiles])].sort().forEach(file => {
+    const template = templateFiles.includes(file) ? fs.readFileSync(path.join(templateDir, file)) : null;
+    const local = portalFiles.includes(file) ? fs.readFileSync(path.join(portalDir, file)) : null;
+    const templateLines = template ? readLines(template) : [];
+    const localLines = local ? readLines(local) : [];
+
+    total += templateLines.length + localLines.length;
+
+    if (!template) {
+      report.added.push(file);
+    } else if (!local) {
+      report.missing.push(file);
+    } else if (template.equals(local)) {
+      common += templateLines.length;
+      report.unchanged.push(file);
+    } else {
+      common += countCommonLines(templateLines, localLines);
+      report.changed.push(file);
+    }
+  });
+
+  // Both sides count each common line, so identical folders come out at exactly 1
+  report.similarity = total === 0 ? 1 : (2 * common) / total;
+  return report;
+}
+
+module.exports = {
+  compareWithTemplate
+};
@@ -0,0 +1,177 @@
+// Change detection for portal:affected and portal:deploy: the portals a git range changed,
+// directly or through the shared modules they import as @shared/*.
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { listCiPortals } = require('./ci');
+const { SHARED_DIR, SHARED_ALIAS } = require('./shared');
+
+const SOURCE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs'];
+const IGNORED_DIRS = ['node_modules', '.next', '.turbo', 'out', 'dist', 'build', 'coverage'];
+
+// Changes to these affect every portal that imports from @shared
+const SHARED_CONFIG = /^shared\/(package\.json|tsconfig[^/]*\.json)$/;
+
+// import ... from 'x', export ... from 'x', import 'x', import('x') and require('x')
+const IMPORT_PATTERN = /(?:\bfrom\s*|\bimport\s*\(?\s*|\brequire\s*\(\s*)['"]([^'"\n]+)['"]/g;
+
+// git diff reports this as the "before" commit of a push that created the branch
+const NULL_COMMIT = /^0+$/;
+
+function git(args) {
+  return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+}
+
+function hasCommit(ref) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The full SHA of the commit ref points at
+function getCommit(ref = 'HEAD') {
+  return git(['rev-parse', '--verify', `${ref}^{commit}`]);
+}
+
+// HEAD~1, or null in a repository with a single commit
+function getDefaultSince() {
+  return hasCommit('HEAD~1') ? 'HEAD~1' : null;
+}
+
+// Files changed between since and to; every tracked file when since is missing or the null commit
+function getChangedFiles(since, to = 'HEAD') {
+  if (since && !NULL_COMMIT.test(since) && !hasCommit(since)) {
+    throw new Error(`Unknown git ref "${since}" (fetch the full history, e.g. fetch-depth: 0)`);
+  }
+
+  const output = !since || NULL_COMMIT.test(since)
+    ? git(['ls-files'])
+    : git(['diff', '--name-only', since, to]);
+
+  return output ? output.split('\n') : [];
+}
+
+// Source files under dir as workspace-relative posix paths
+function listSourceFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.posix.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      return IGNORED_DIRS.includes(entry.name) ? [] : listSourceFiles(entryPath);
+    }
+    return SOURCE_EXTENSIONS.includes(path.extname(entry.name)) ? [entryPath] : [];
+  });
+}
+
+// The files an import of target could resolve to; they need not exist, so deleted files match too
+function getCandidates(target) {
+  return [
+    target,
+    ...SOURCE_EXTENSIONS.map(extension => `${target}${extension}`),
+    ...SOURCE_EXTENSIONS.map(extension => `${target}/index${extension}`)
+  ];
+}
+
+// { usesShared, candidates } for a source file: whether it imports @shared at all, and every
+// file in shared/ its @shared/* and relative imports could resolve to
+function readSharedImports(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const candidates = new Set();
+  let usesShared = false;
+
+  for (const [, specifier] of source.matchAll(IMPORT_PATTERN)) {
+    let target = null;
+
+    if (specifier.startsWith(SHARED_ALIAS)) {
+      usesShared = true;
+      target = path.posix.join(SHARED_DIR, specifier.slice(SHARED_ALIAS.length));
+    } else if (specifier.startsWith('./') || specifier.startsWith('../')) {
+      target = path.posix.join(path.posix.dirname(file), specifier);
+    }
+
+    if (target && target.startsWith(`${SHARED_DIR}/`)) {
+      getCandidates(target).forEach(candidate => candidates.add(candidate));
+    }
+  }
+
+  return { usesShared, candidates };
+}
+
+// For each changed file in shared/, every shared file that imports it directly or indirectly,
+// as a map of shared file -> the changed files that reach it
+function traceSharedChanges(changedShared) {
+  const reached = new Map(changedShared.map(file => [file, new Set([file])]));
+  const sharedFiles = listSourceFiles(SHARED_DIR).map(file => [file, readSharedImports(file).candidates]);
+  let grown = true;
+
+  while (grown) {
+    grown = false;
+
+    for (const [file, candidates] of sharedFiles) {
+      const origins = reached.get(file) || new Set();
+      const size = origins.size;
+
+      candidates.forEach(candidate => reached.get(candidate)?.forEach(origin => origins.add(origin)));
+
+      if (origins.size > size) {
+        reached.set(file, origins);
+        grown = true;
+      }
+    }
+  }
+
+  return reached;
+}
+
+// { changed, affected, shared, via } for the changed files:
+//   - changed: portals with changed files in portals/<name>/
+//   - affected: changed plus the portals importing changed shared code (in name order)
+//   - shared: the changed files in shared/
+//   - via: portal -> the changed shared files that affect it
+function findAffectedPortals(files, portals = listCiPortals()) {
+  const changed = portals.filter(name => files.some(file => file.startsWith(`portals/${name}/`)));
+  const shared = files.filter(file => file.startsWith(`${SHARED_DIR}/`));
+  const via = {};
+
+  if (shared.length > 0) {
+    const reached = traceSharedChanges(shared);
+    const configChanges = shared.filter(file => SHARED_CONFIG.test(file));
+
+    portals.forEach(name => {
+      const origins = new Set();
+
+      listSourceFiles(path.posix.join('portals', name)).forEach(file => {
+        const { usesShared, candidates } = readSharedImports(file);
+
+        candidates.forEach(candidate => reached.get(candidate)?.forEach(origin => origins.add(origin)));
+        if (usesShared) {
+          configChanges.forEach(origin => origins.add(origin));
+        }
+      });
+
+      if (origins.size > 0) {
+        via[name] = [...origins].sort();
+      }
+    });
+  }
+
+  const affected = portals.filter(name => changed.includes(name) || via[name]);
+
+  return { changed, affected, shared, via };
+}
+
+module.exports = {
+  hasCommit,
+  getCommit,
+  getDefaultSince,
+  getChangedFiles,
+  findAffectedPortals
+};
@@ -0,0 +1,360 @@
+// The portal backup store: .edutech/backups/<id>/ plus a manifest, pruned by the retention
+// policy in .edutechrc
+
+const fs = require('fs');
+const path = require('path');
+const { copyDirectory } = require('./files');
+const { getBaseSnapshotPath, saveBaseSnapshot } = require('./merge');
+const { readEcosystemApps, findPortalApp } = require('./ecosystem');
+const { readWorkspaceConfig, CONFIG_FILE } = require('./config');
+const { getPortalPackageName, getPortalTasks } = require('./turbo');
+
+const BACKUP_STORE_DIR = '.edutech/backups';
+const MANIFEST_FILE = path.join(BACKUP_STORE_DIR, 'manifest.json');
+const MANIFEST_VERSION = 1;
+
+// Generated folders are left out; the install that follows a restore rebuilds them
+const BACKUP_IGNORED_ENTRIES = ['node_modules', '.next', '.turbo', 'out'];
+
+const DEFAULT_RETENTION = { keepLast: 5, maxAge: null, maxTotalSize: null };
+
+// Backups written before the store existed: backup-<portal>-<epoch ms>/ from portal:update and
+// portal-backups/<portal>-<ISO time>/ from portal:remove
+const LEGACY_UPDATE_PATTERN = /^backup-(.+)-(\d+)$/;
+const LEGACY_REMOVE_DIR = 'portal-backups';
+const LEGACY_REMOVE_PATTERN = /^(.+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)$/;
+const LEGACY_INFO_FILE = '.backup-info.json';
+const LEGACY_BASE_DIR = '.backup-base';
+
+const DURATION_UNITS = { h: 3600000, d: 86400000, w: 604800000 };
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+function readManifest() {
+  if (!fs.existsSync(MANIFEST_FILE)) {
+    return { manifestVersion: MANIFEST_VERSION, backups: [] };
+  }
+
+  try {
+    return { manifestVersion: MANIFEST_VERSION, backups: [], ...JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8')) };
+  } catch (error) {
+    throw new Error(`${MANIFEST_FILE} is not valid JSON: ${error.message}`);
+  }
+}
+
+function writeManifest(manifest) {
+  const backups = [...manifest.backups].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  fs.mkdirSync(BACKUP_STORE_DIR, { recursive: true });
+  fs.writeFileSync(MANIFEST_FILE, `${JSON.stringify({ manifestVersion: MANIFEST_VERSION, backups }, null, 2)}\n`);
+}
+
+function directorySize(dir) {
+  let size = 0;
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += directorySize(entryPath);
+    } else if (entry.isFile()) {
+      size += fs.statSync(entryPath).size;
+    }
+  }
+
+  return size;
+}
+
+// A backup is still taken when ecosystem.config.js cannot be read; it just has no PM2 app
+function readEcosystemAppsIfValid() {
+  try {
+    return readEcosystemApps();
+  } catch (error) {
+    return null;
+  }
+}
+
+// Likewise when turbo.json cannot be read; the backup just has no turbo tasks
+function readPortalTasksIfValid(portalName) {
+  try {
+    return getPortalTasks(getPortalPackageName(portalName));
+  } catch (error) {
+    return null;
+  }
+}
+
+function readJSONIfExists(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// "2024-06-10T08:00:00.000Z" -> "academic-2024-06-10T08-00-00-000Z", unique within the store
+function createBackupId(portalName, createdAt, manifest) {
+  const baseId = `${portalName}-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+  let id = baseId;
+
+  for (let i = 2; manifest.backups.some(backup => backup.id === id) || fs.existsSync(path.join(BACKUP_STORE_DIR, id)); i++) {
+    id = `${baseId}-${i}`;
+  }
+
+  return id;
+}
+
+function getBackupFilesPath(backup) {
+  return path.join(BACKUP_STORE_DIR, backup.id, 'files');
+}
+
+function getBackupBasePath(backup) {
+  return path.join(BACKUP_STORE_DIR, backup.id, 'base');
+}
+
+// Copy sourceDir into the store as a backup of portalName. state holds what the portal looked
+// like outside its own folder (workspace entry, PM2 app, turbo tasks); the base snapshot is read
+// from disk.
+function storeBackup(portalName, sourceDir, reason, createdAt, state) {
+  const manifest = readManifest();
+  const id = createBackupId(portalName, createdAt, manifest);
+  const backup = { id, portal: portalName, reason, createdAt: createdAt.toISOString() };
+
+  copyDirectory(sourceDir, getBackupFilesPath(backup), [...BACKUP_IGNORED_ENTRIES, LEGACY_INFO_FILE, LEGACY_BASE_DIR]);
+
+  const baseDir = state.baseDir || getBaseSnapshotPath(portalName);
+  const hasBaseSnapshot = fs.existsSync(baseDir);
+  if (hasBaseSnapshot) {
+    copyDirectory(baseDir, getBackupBasePath(backup));
+  }
+
+  const portalConfig = readJSONIfExists(path.join(sourceDir, '.portal-config.json'));
+
+  Object.assign(backup, {
+    version: portalConfig ? portalConfig.version || null : null,
+    commit: portalConfig ? portalConfig.commit || null : null,
+    workspace: state.workspace,
+    ecosystemApp: state.ecosystemApp || null,
+    turboTasks: state.turboTasks || null,
+    hasBaseSnapshot,
+    size: directorySize(path.join(BACKUP_STORE_DIR, id))
+  });
+
+  manifest.backups.push(backup);
+  writeManifest(manifest);
+  return backup;
+}
+
+// The folder addBackup(portalName, reason, createdAt) will write, so callers can track it first
+function getNewBackupPath(portalName, createdAt) {
+  return path.join(BACKUP_STORE_DIR, createBackupId(portalName, createdAt, readManifest()));
+}
+
+// Back up portals/<portalName> along with its workspace entry, PM2 app, turbo tasks and base
+// snapshot
+function addBackup(portalName, reason, createdAt = new Date()) {
+  const portalPath = `portals/${portalName}`;
+
+  if (!fs.existsSync(portalPath)) {
+    throw new Error(`Portal "${portalName}" does not exist`);
+  }
+
+  const rootPkg = readJSONIfExists('package.json') || {};
+
+  return storeBackup(portalName, portalPath, reason, createdAt, {
+    workspace: Array.isArray(rootPkg.workspaces) && rootPkg.workspaces.includes(portalPath),
+    ecosystemApp: findPortalApp(readEcosystemAppsIfValid(), portalName),
+    turboTasks: readPortalTasksIfValid(portalName)
+  });
+}
+
+// Replace portals/<portal> with the backup's files and put its base snapshot back
+function restoreBackup(backup) {
+  const portalPath = `portals/${backup.portal}`;
+
+  fs.rmSync(portalPath, { recursive: true, force: true });
+  copyDirectory(getBackupFilesPath(backup), portalPath, []);
+
+  if (backup.hasBaseSnapshot) {
+    saveBaseSnapshot(backup.portal, getBackupBasePath(backup));
+  }
+
+  return portalPath;
+}
+
+function removeBackups(backupsToRemove) {
+  if (backupsToRemove.length === 0) {
+    return;
+  }
+
+  const ids = new Set(backupsToRemove.map(backup => backup.id));
+  const manifest = readManifest();
+
+  ids.forEach(id => fs.rmSync(path.join(BACKUP_STORE_DIR, id), { recursive: true, force: true }));
+  manifest.backups = manifest.backups.filter(backup => !ids.has(backup.id));
+  writeManifest(manifest);
+}
+
+// Backups of one portal (or all portals), newest first
+function listBackups(portalName = null) {
+  return readManifest().backups
+    .filter(backup => !portalName || backup.portal === portalName)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Match a backup id ("academic-2024-06-10T08-00-00-000Z"), its time part
+// ("2024-06-10T08-00-00-000Z") or the start of its ISO time ("2024-06-10", "2024-06-10T08:00")
+function findBackup(backups, timestamp) {
+  return backups.find(backup => backup.id === timestamp) ||
+    backups.find(backup => backup.id === `${backup.portal}-${timestamp}`) ||
+    backups.find(backup => backup.createdAt.startsWith(timestamp)) ||
+    null;
+}
+
+function collectLegacyBackups(dir, pattern, parseTime) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => ({ dir: path.join(dir, entry.name), match: entry.name.match(pattern) }))
+    .filter(({ match }) => match)
+    .map(({ dir: backupDir, match }) => ({ dir: backupDir, portal: match[1], createdAt: parseTime(match[2]) }));
+}
+
+// Move backup-*/ and portal-backups/*/ into the store. Returns the migrated backups.
+function migrateLegacyBackups() {
+  const legacy = [
+    ...collectLegacyBackups('.', LEGACY_UPDATE_PATTERN, time => new Date(Number(time))),
+    ...collectLegacyBackups(LEGACY_REMOVE_DIR, LEGACY_REMOVE_PATTERN,
+      time => new Date(time.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z')))
+  ];
+
+  const migrated = legacy.map(({ dir, portal, createdAt }) => {
+    const info = readJSONIfExists(path.join(dir, LEGACY_INFO_FILE)) || {};
+    const backup = storeBackup(portal, dir, info.reason || (dir.startsWith(LEGACY_REMOVE_DIR) ? 'remove' : 'update'), createdAt, {
+      // Old backups did not record workspace state; every portal used to be a workspace
+      workspace: info.workspace !== false,
+      ecosystemApp: info.ecosystemApp,
+      baseDir: path.join(dir, LEGACY_BASE_DIR)
+    });
+
+    fs.rmSync(dir, { recursive: true, force: true });
+    return backup;
+  });
+
+  if (fs.existsSync(LEGACY_REMOVE_DIR) && fs.readdirSync(LEGACY_REMOVE_DIR).length === 0) {
+    fs.rmdirSync(LEGACY_REMOVE_DIR);
+  }
+
+  return migrated;
+}
+
+// "12h", "30d", "2w" -> milliseconds
+function parseDuration(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+)\s*([hdw])$/);
+  if (!match) {
+    throw new Error(`Invalid backups.maxAge "${value}" in ${CONFIG_FILE} (use e.g. "12h", "30d", "2w")`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// "500MB", "2GB", 1048576 -> bytes
+function parseSize(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)$/);
+  if (!match) {
+    throw new Error(`Invalid backups.maxTotalSize "${value}" in ${CONFIG_FILE} (use e.g. "500MB", "2GB")`);
+  }
+  return Math.round(Number(match[1]) * SIZE_UNITS[match[2]]);
+}
+
+// The "backups" settings in .edutechrc; null turns a rule off
+function getRetentionPolicy(config = readWorkspaceConfig()) {
+  const settings = { ...DEFAULT_RETENTION, ...(config.backups || {}) };
+
+  if (settings.keepLast !== null && (!Number.isInteger(settings.keepLast) || settings.keepLast < 1)) {
+    throw new Error(`Invalid backups.keepLast "${settings.keepLast}" in ${CONFIG_FILE} (use a whole number of at least 1, or null)`);
+  }
+
+  return {
+    keepLast: settings.keepLast,
+    maxAge: settings.maxAge === null ? null : parseDuration(settings.maxAge),
+    maxTotalSize: settings.maxTotalSize === null ? null : parseSize(settings.maxTotalSize)
+  };
+}
+
+// Backups the policy would remove, each with the rule that expired it. Backups in
+// protectedIds (e.g. the one just taken) are never selected.
+function selectExpiredBackups(backups, policy, protectedIds = [], now = Date.now()) {
+  const expired = new Map();
+  const newestFirst = [...backups].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const isProtected = backup => protectedIds.includes(backup.id);
+
+  if (policy.keepLast !== null) {
+    const seen = {};
+    newestFirst.forEach(backup => {
+      seen[backup.portal] = (seen[backup.portal] || 0) + 1;
+      if (seen[backup.portal] > policy.keepLast && !isProtected(backup)) {
+        expired.set(backup.id, { backup, rule: `more than ${policy.keepLast} backups of ${backup.portal}` });
+      }
+    });
+  }
+
+  if (policy.maxAge !== null) {
+    newestFirst
+      .filter(backup => !expired.has(backup.id) && !isProtected(backup))
+      .filter(backup => now - new Date(backup.createdAt).getTime() > policy.maxAge)
+      .forEach(backup => expired.set(backup.id, { backup, rule: 'older than maxAge' }));
+  }
+
+  if (policy.maxTotalSize !== null) {
+    const remaining = newestFirst.filter(backup => !expired.has(backup.id));
+    let total = remaining.reduce((sum, backup) => sum + (backup.size || 0), 0);
+
+    for (const backup of remaining.reverse()) {
+      if (total <= policy.maxTotalSize) {
+        break;
+      }
+      if (!isProtected(backup)) {
+        expired.set(backup.id, { backup, rule: 'store larger than maxTotalSize' });
+        total -= backup.size || 0;
+      }
+    }
+  }
+
+  return [...expired.values()];
+}
+
+// Apply the retention policy to the store. Returns the removed backups with their rule.
+function pruneBackups(options = {}) {
+  const policy = options.policy || getRetentionPolicy();
+  const expired = selectExpiredBackups(listBackups(), policy, options.protectedIds || [])
+    .filter(({ backup }) => !options.portal || backup.portal === options.portal);
+
+  if (!options.dryRun) {
+    removeBackups(expired.map(({ backup }) => backup));
+  }
+
+  return expired;
+}
+
+module.exports = {
+  BACKUP_STORE_DIR,
+  MANIFEST_FILE,
+  addBackup,
+  getNewBackupPath,
+  restoreBackup,
+  removeBackups,
+  listBackups,
+  findBackup,
+  getBackupFilesPath,
+  migrateLegacyBackups,
+  getRetentionPolicy,
+  selectExpiredBackups,
+  pruneBackups
+};
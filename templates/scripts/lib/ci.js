@@ -0,0 +1,202 @@
+// CI/CD workflows rendered from the templates in scripts/ci/ for the portals in the workspace.
+// The template is the source of truth: the workflow is overwritten every time it is generated.
+
+const fs = require('fs');
+const path = require('path');
+const { readWorkspaceConfig, writeWorkspaceConfig, CONFIG_FILE } = require('./config');
+const { readLockfile } = require('./lockfile');
+
+const CI_TEMPLATE_DIR = path.join('scripts', 'ci');
+
+// listsPortals: whether the workflow names each portal folder. The GitHub workflow asks
+// portal:affected at run time, so only the GitLab one changes when portals are added or removed
+const CI_PROVIDERS = {
+  github: { template: 'github-workflow.yml', workflow: '.github/workflows/deploy.yml', listsPortals: false },
+  gitlab: { template: 'gitlab-ci.yml', workflow: '.gitlab-ci.yml', listsPortals: true }
+};
+
+const CI_AUTH_MODES = ['key', 'password'];
+
+const CI_DEFAULTS = {
+  auth: 'key',
+  reload: false,
+  // Deploy environment -> the branch that deploys to it
+  environments: { staging: 'staging', production: 'main' }
+};
+
+// "ci": { "provider": "github" } in .edutechrc, or null when the workspace has no CI/CD workflow
+function getCiProvider(config = readWorkspaceConfig()) {
+  const provider = config.ci?.provider;
+
+  if (!provider) {
+    return null;
+  }
+  if (!Object.keys(CI_PROVIDERS).includes(provider)) {
+    throw new Error(`Invalid ci.provider "${provider}" in ${CONFIG_FILE} (use ${Object.keys(CI_PROVIDERS).join(' or ')})`);
+  }
+
+  return provider;
+}
+
+// Deploy settings from the "ci" section of .edutechrc:
+// { "provider": "github", "auth": "key", "reload": true, "environments": { "production": "main" } }
+function getCiSettings(config = readWorkspaceConfig()) {
+  const settings = { ...CI_DEFAULTS, ...config.ci, provider: getCiProvider(config) };
+  const invalid = (key, hint) => new Error(`Invalid ci.${key} ${JSON.stringify(settings[key])} in ${CONFIG_FILE} (${hint})`);
+
+  if (!CI_AUTH_MODES.includes(settings.auth)) {
+    throw invalid('auth', `use ${CI_AUTH_MODES.join(' or ')}`);
+  }
+  if (typeof settings.reload !== 'boolean') {
+    throw invalid('reload', 'use true or false');
+  }
+
+  const environments = settings.environments;
+  const branches = environments && typeof environments === 'object' ? Object.values(environments) : [];
+  if (branches.length === 0 ||
+      !Object.keys(environments).every(name => /^[\w-]+$/.test(name)) ||
+      !branches.every(branch => typeof branch === 'string' && /^[\w./-]+$/.test(branch)) ||
+      new Set(branches).size !== branches.length) {
+    throw invalid('environments', 'map each environment to its own branch, e.g. { "production": "main" }');
+  }
+
+  return settings;
+}
+
+// Merge changes into the "ci" section of .edutechrc
+function saveCiSettings(changes) {
+  const config = readWorkspaceConfig();
+  writeWorkspaceConfig({ ...config, ci: { ...config.ci, ...changes } });
+}
+
+function getWorkflowPath(provider) {
+  return CI_PROVIDERS[provider].workflow;
+}
+
+// Every portal folder in portals/ plus every portal in the lockfile, in name order
+function listCiPortals() {
+  const folders = fs.existsSync('portals')
+    ? fs.readdirSync('portals').filter(name => fs.statSync(path.join('portals', name)).isDirectory())
+    : [];
+
+  return [...new Set([...folders, ...Object.keys(readLockfile().portals)])].sort();
+}
+
+// "# __IF_NAME__" ... "# __ELSE__" ... "# __ENDIF__" keeps the first part when values.NAME is true
+// and the (optional) second part otherwise. A line holding only "# __NAME__" becomes the lines of
+// values.NAME at the same indentation; __NAME__ anywhere else becomes the string values.NAME.
+function renderTemplate(source, values) {
+  const value = name => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) {
+      throw new Error(`Unknown placeholder __${name}__`);
+    }
+    return values[name];
+  };
+
+  const kept = [];
+  let condition = null;
+
+  source.split('\n').forEach(line => {
+    const marker = line.trim().match(/^# __(IF_[A-Z0-9_]+|ELSE|ENDIF)__$/);
+
+    if (!marker) {
+      if (condition === null || condition.keep) {
+        kept.push(line);
+      }
+    } else if (marker[1] === 'ELSE' || marker[1] === 'ENDIF') {
+      if (condition === null) {
+        throw new Error(`__${marker[1]}__ without __IF_...__`);
+      }
+      condition = marker[1] === 'ELSE' ? { keep: !condition.keep } : null;
+    } else {
+      if (condition !== null) {
+        throw new Error(`__${marker[1]}__ inside another __IF_...__`);
+      }
+      condition = { keep: value(marker[1].slice(3)) === true };
+    }
+  });
+
+  if (condition !== null) {
+    throw new Error('__IF_...__ without __ENDIF__');
+  }
+
+  return kept.join('\n')
+    .replace(/^([ \t]*)# __([A-Z0-9_]+)__[ \t]*\n/gm, (line, indent, name) => {
+      return [].concat(value(name)).map(text => `${indent}${text}\n`).join('');
+    })
+    .replace(/__([A-Z][A-Z0-9_]*[A-Z0-9])__/g, (text, name) => value(name));
+}
+
+function getTemplateValues(settings, portals) {
+  const environments = Object.entries(settings.environments);
+  const common = {
+    KEY_AUTH: settings.auth === 'key',
+    PASSWORD_AUTH: settings.auth === 'password',
+    PM2_RELOAD: String(settings.reload)
+  };
+
+  if (settings.provider === 'gitlab') {
+    return {
+      ...common,
+      WORKFLOW_RULES: environments.map(([, branch]) => `- if: $CI_COMMIT_BRANCH == "${branch}"`),
+      DEPLOY_RULES: environments.flatMap(([name, branch]) => [
+        `- if: $CI_COMMIT_BRANCH == "${branch}"`,
+        '  changes:',
+        ...[...portals.map(portal => `portals/${portal}/**/*`), 'shared/**/*'].map(glob => `    - ${glob}`),
+        '  variables:',
+        `    DEPLOY_ENVIRONMENT: ${name}`
+      ])
+    };
+  }
+
+  const environmentCases = environments.map(([name, branch]) => `(github.ref_name == '${branch}' && '${name}')`);
+
+  return {
+    ...common,
+    DEPLOY_BRANCHES: environments.map(([, branch]) => branch).join(', '),
+    DEPLOY_ENVIRONMENT: `\${{ ${environmentCases.join(' || ')} }}`
+  };
+}
+
+// The workflow for the "ci" settings as { file, content, portals }, without writing it
+function renderWorkflow(settings) {
+  const { template, workflow } = CI_PROVIDERS[settings.provider];
+  const templatePath = path.join(CI_TEMPLATE_DIR, template);
+
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`CI template ${templatePath} not found`);
+  }
+
+  const portals = listCiPortals();
+  const header = `# Generated by portal:ci generate from ${templatePath.split(path.sep).join('/')}.\n` +
+    '# Edit the template and generate again; changes made here are overwritten.\n\n';
+  const content = header + renderTemplate(fs.readFileSync(templatePath, 'utf8'), getTemplateValues(settings, portals));
+
+  return { file: workflow, content, portals };
+}
+
+// Render and write the workflow; changed is false when it was already up to date
+function writeWorkflow(settings = getCiSettings()) {
+  const rendered = renderWorkflow(settings);
+  const changed = !fs.existsSync(rendered.file) || fs.readFileSync(rendered.file, 'utf8') !== rendered.content;
+
+  if (changed) {
+    fs.mkdirSync(path.dirname(rendered.file), { recursive: true });
+    fs.writeFileSync(rendered.file, rendered.content);
+  }
+
+  return { ...rendered, changed };
+}
+
+module.exports = {
+  CI_TEMPLATE_DIR,
+  CI_PROVIDERS,
+  CI_AUTH_MODES,
+  getCiProvider,
+  getCiSettings,
+  saveCiSettings,
+  getWorkflowPath,
+  listCiPortals,
+  renderWorkflow,
+  writeWorkflow
+};
@@ -0,0 +1,32 @@
+// Workspace settings from .edutechrc
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = '.edutechrc';
+
+// Returns an empty config when the workspace has no .edutechrc. root is the workspace folder,
+// for scripts that run from inside a portal.
+function readWorkspaceConfig(root = '.') {
+  const configPath = path.join(root, CONFIG_FILE);
+
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${CONFIG_FILE} is not valid JSON: ${error.message}`);
+  }
+}
+
+function writeWorkspaceConfig(config) {
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+}
+
+module.exports = {
+  CONFIG_FILE,
+  readWorkspaceConfig,
+  writeWorkspaceConfig
+};
@@ -0,0 +1,144 @@
+// Deploy helpers for portal:deploy: where each portal is built, which PM2 apps to reload, the
+// commit each portal was last deployed at, and the script that runs a deploy on a server over SSH.
+
+const fs = require('fs');
+const path = require('path');
+const { ECOSYSTEM_FILE, findPortalApp } = require('./ecosystem');
+const { hasCommit, getChangedFiles, findAffectedPortals } = require('./affected');
+
+// { portals: { <name>: <commit> } }, kept on the machine that deploys (git-ignored)
+const DEPLOY_STATE_FILE = path.join('.edutech', 'deploy-state.json');
+
+// The folder to build a portal in: its PM2 app's cwd, or portals/<name>
+function getPortalDir(portalName, apps) {
+  const app = findPortalApp(apps, portalName);
+  return typeof app?.cwd === 'string' ? path.normalize(app.cwd) : path.join('portals', portalName);
+}
+
+// pm2 commands that reload the built portals with their production profile
+function getReloadCommands(built, apps) {
+  const appNames = built
+    .map(name => findPortalApp(apps, name)?.name)
+    .filter(Boolean);
+
+  if (appNames.length === 0) {
+    return [];
+  }
+
+  return [
+    ...appNames.map(name => ['pm2', 'startOrReload', ECOSYSTEM_FILE, '--only', name, '--env', 'production']),
+    ['pm2', 'save']
+  ];
+}
+
+// ssh://user@host[:port]/path/to/workspace
+function parseTarget(target) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch (error) {
+    url = null;
+  }
+
+  if (!url || url.protocol !== 'ssh:' || !url.hostname || url.pathname.length < 2) {
+    throw new Error(`Invalid target "${target}" (use ssh://user@host/path/to/workspace)`);
+  }
+
+  return {
+    destination: url.username ? `${decodeURIComponent(url.username)}@${url.hostname}` : url.hostname,
+    port: url.port || null,
+    dir: decodeURIComponent(url.pathname)
+  };
+}
+
+function readDeployState() {
+  if (!fs.existsSync(DEPLOY_STATE_FILE)) {
+    return { portals: {} };
+  }
+
+  try {
+    return { portals: {}, ...JSON.parse(fs.readFileSync(DEPLOY_STATE_FILE, 'utf8')) };
+  } catch (error) {
+    throw new Error(`${DEPLOY_STATE_FILE} is not valid JSON: ${error.message}`);
+  }
+}
+
+function writeDeployState(state) {
+  fs.mkdirSync(path.dirname(DEPLOY_STATE_FILE), { recursive: true });
+  fs.writeFileSync(DEPLOY_STATE_FILE, `${JSON.stringify(state, null, 2)}\n`);
+}
+
+// The commit to diff each portal from: its last recorded deploy, or fallbackSince for portals
+// without one (or whose commit is gone, e.g. after a force push). null stands for every file.
+function getDeployStarts(portals, deployed, fallbackSince) {
+  return Object.fromEntries(portals.map(name => {
+    const recorded = Object.prototype.hasOwnProperty.call(deployed, name) ? deployed[name] : undefined;
+    const usable = recorded === null || (typeof recorded === 'string' && hasCommit(recorded));
+    return [name, usable ? recorded : fallbackSince];
+  }));
+}
+
+// { changed, affected, via, since } for portals each diffed from its own starting commit
+// (see getDeployStarts); portals that start from the same commit are planned together
+function planIncrementalDeploy(portals, deployed, fallbackSince) {
+  const since = getDeployStarts(portals, deployed, fallbackSince);
+  const changed = new Set();
+  const affected = new Set();
+  const via = {};
+
+  new Set(Object.values(since)).forEach(start => {
+    const group = portals.filter(name => since[name] === start);
+    const plan = findAffectedPortals(getChangedFiles(start), group);
+
+    plan.changed.forEach(name => changed.add(name));
+    plan.affected.forEach(name => affected.add(name));
+    Object.assign(via, plan.via);
+  });
+
+  return {
+    changed: portals.filter(name => changed.has(name)),
+    affected: portals.filter(name => affected.has(name)),
+    via,
+    since
+  };
+}
+
+// The deploy state after deploying head: every portal moves to head except the failed ones,
+// which keep the commit they were diffed from so the next deploy tries them again
+function recordDeploy(portals, since, failed, head) {
+  return {
+    portals: Object.fromEntries(portals.map(name => [name, failed.includes(name) ? since[name] : head]))
+  };
+}
+
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Bash run on the server: pull the branch, install with the workspace's package manager, then
+// deploy what changed since each portal's last successful deploy there. Portals the server has
+// no record of are diffed from the commit it was on (or since, when given).
+function getRemoteScript(dir, branch, installCommand, deployArgs, since = null) {
+  return [
+    'set -e',
+    `cd ${shellQuote(dir)}`,
+    'BEFORE=$(git rev-parse HEAD)',
+    `git pull --ff-only origin ${shellQuote(branch)}`,
+    installCommand,
+    `node scripts/portal-deploy.js --incremental --since ${since ? shellQuote(since) : '"$BEFORE"'} ${deployArgs.map(shellQuote).join(' ')}`.trim(),
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  DEPLOY_STATE_FILE,
+  getPortalDir,
+  getReloadCommands,
+  readDeployState,
+  writeDeployState,
+  getDeployStarts,
+  planIncrementalDeploy,
+  recordDeploy,
+  parseTarget,
+  getRemoteScript
+};
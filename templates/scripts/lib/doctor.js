@@ -0,0 +1,598 @@
+// Workspace checks for portal:doctor. Each check looks at one part of the workspace and returns
+// issues: { severity, area, message, hint, fix }. severity is 'error' (a portal command, turbo
+// or PM2 will fail) or 'warning' (the workspace works but has drifted). fix is
+// { description, apply() } when the repair is safe to make without asking; apply may return
+// follow-up steps that have to be done by hand.
+
+const fs = require('fs');
+const path = require('path');
+const { readWorkspaceConfig, CONFIG_FILE } = require('./config');
+const { getRegistrySources } = require('./registry');
+const { getPackageManager, formatRunCommand, isWorkspaceFileStale, syncWorkspaceFile, PNPM_WORKSPACE_FILE } = require('./package-manager');
+const {
+  getPortPolicy,
+  getPortalEnvPath,
+  getPortalPackagePath,
+  readEnvPort,
+  readScriptPort,
+  writeScriptPort,
+  setPortalPort,
+  findPortConflicts,
+  assignPort
+} = require('./ports');
+const { getRetentionPolicy } = require('./backups');
+const { getCiSettings } = require('./ci');
+const {
+  readEcosystemApps,
+  saveEcosystemApp,
+  removeEcosystemApp,
+  findPortalApp,
+  getPortalAppName,
+  getPortalPm2Settings,
+  createPortalApp,
+  ECOSYSTEM_FILE
+} = require('./ecosystem');
+const {
+  getTurboMajor,
+  getTasksKey,
+  convertTurboConfig,
+  readTurboConfig,
+  syncTurboConfig,
+  getPortalPackageName,
+  readTemplateTasks,
+  setPortalTasks,
+  mergeTemplateTasks,
+  TURBO_FILE
+} = require('./turbo');
+const { readLockfile, lockPortal, LOCKFILE } = require('./lockfile');
+const { getBaseSnapshotPath } = require('./merge');
+const { SHARED_DIR, SHARED_ALIAS, SHARED_PACKAGE_FILE, readSharedPackage, wireSharedPackage, checkSharedCompatibility } = require('./shared');
+const { loadTransaction } = require('./transaction');
+
+const PORTAL_CONFIG_FILE = '.portal-config.json';
+
+function issue(severity, area, message, { hint = null, fix = null } = {}) {
+  return { severity, area, message, hint, fix };
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+// The folders in portals/
+function listPortalFolders() {
+  if (!fs.existsSync('portals')) {
+    return [];
+  }
+
+  return fs.readdirSync('portals')
+    .filter(name => !name.startsWith('.') && fs.statSync(path.join('portals', name)).isDirectory())
+    .sort();
+}
+
+// The portal folders that are packages, i.e. have a package.json
+function listPortalPackages() {
+  return listPortalFolders().filter(name => fs.existsSync(path.join('portals', name, 'package.json')));
+}
+
+// The portal a PM2 app runs, from its cwd, or null for apps that are not portals
+function getAppPortal(app) {
+  if (typeof app.cwd !== 'string') {
+    return null;
+  }
+
+  const cwd = path.normalize(app.cwd);
+  return path.dirname(cwd) === 'portals' ? path.basename(cwd) : null;
+}
+
+function getWorkspacePatterns(rootPkg) {
+  const { workspaces = [] } = rootPkg;
+  return Array.isArray(workspaces) ? workspaces : workspaces.packages || [];
+}
+
+// Rewrite the package.json workspaces (and pnpm-workspace.yaml for pnpm) with update(patterns)
+function updateWorkspacePatterns(update) {
+  const rootPkg = readJSON('package.json');
+  const patterns = update(getWorkspacePatterns(rootPkg));
+
+  if (Array.isArray(rootPkg.workspaces) || !rootPkg.workspaces) {
+    rootPkg.workspaces = patterns;
+  } else {
+    rootPkg.workspaces.packages = patterns;
+  }
+
+  fs.writeFileSync('package.json', JSON.stringify(rootPkg, null, 2));
+  syncWorkspaceFile();
+}
+
+// "portals/*" matches portals/academic; "**" matches across folders
+function matchesWorkspace(pattern, folder) {
+  const source = pattern
+    .replace(/\/+$/, '')
+    .split('**')
+    .map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+    .join('.*');
+
+  return new RegExp(`^${source}$`).test(folder);
+}
+
+// .edutechrc settings every portal command reads, and a portal command left half done
+function checkConfig() {
+  const area = CONFIG_FILE;
+
+  if (!fs.existsSync(CONFIG_FILE)) {
+    return [issue('error', area, `No ${CONFIG_FILE} in the workspace`, {
+      hint: 'create one with "registries": ["<registry url>"]; portal commands read the registries from it'
+    })];
+  }
+
+  const config = readWorkspaceConfig();
+  const pm2Portals = [...new Set([...listPortalFolders(), ...Object.keys(config.pm2?.portals || {})])];
+  const validations = [
+    () => getRegistrySources(config),
+    () => getPackageManager(),
+    () => getPortPolicy(config),
+    () => getRetentionPolicy(config),
+    () => getCiSettings(config),
+    ...pm2Portals.map(name => () => getPortalPm2Settings(name, config))
+  ];
+
+  const messages = new Set();
+  validations.forEach(validate => {
+    try {
+      validate();
+    } catch (error) {
+      messages.add(error.message);
+    }
+  });
+
+  const issues = [...messages].map(message => issue('error', area, message));
+
+  const pending = loadTransaction();
+  if (pending) {
+    const label = `portal:${pending.command}${pending.args.portalName ? ` ${pending.args.portalName}` : ''}`;
+    issues.push(issue('error', area, `An interrupted ${label} was found (started ${pending.journal.startedAt})`, {
+      hint: `finish it with ${formatRunCommand(`portal:${pending.command}`, '--resume')}, or undo it with ${formatRunCommand(`portal:${pending.command}`, '--revert')}`
+    }));
+  }
+
+  return issues;
+}
+
+// package.json workspaces against the portal folders and shared/, and pnpm-workspace.yaml
+function checkWorkspaces() {
+  const area = 'package.json';
+
+  if (!fs.existsSync('package.json')) {
+    return [issue('error', area, 'No package.json at the workspace root')];
+  }
+
+  const patterns = getWorkspacePatterns(readJSON('package.json'));
+  const issues = [];
+
+  // Entries that name a folder (not a glob) which is gone
+  patterns.filter(pattern => !pattern.includes('*') && !pattern.startsWith('!')).forEach(pattern => {
+    if (!fs.existsSync(pattern)) {
+      issues.push(issue('error', area, `Workspace "${pattern}" does not exist`, {
+        fix: {
+          description: `Remove "${pattern}" from the workspaces`,
+          apply: () => updateWorkspacePatterns(current => current.filter(entry => entry !== pattern))
+        }
+      }));
+    } else if (!fs.existsSync(path.join(pattern, 'package.json'))) {
+      issues.push(issue('error', area, `Workspace "${pattern}" has no package.json`, {
+        hint: `add a package.json to ${pattern}, or remove it from the workspaces`
+      }));
+    }
+  });
+
+  const packages = [
+    ...listPortalPackages().map(name => `portals/${name}`),
+    ...(fs.existsSync(SHARED_PACKAGE_FILE) ? [SHARED_DIR] : [])
+  ];
+  packages
+    .filter(folder => !patterns.some(pattern => !pattern.startsWith('!') && matchesWorkspace(pattern, folder)))
+    .forEach(folder => {
+      issues.push(issue('warning', area, `${folder} is not in the workspaces, so it is not installed or built`, {
+        fix: {
+          description: `Add "${folder}" to the workspaces`,
+          apply: () => updateWorkspacePatterns(current => [...current, folder])
+        }
+      }));
+    });
+
+  // npm and pnpm refuse a workspace with two packages of the same name, and turbo filters by name
+  const names = new Map();
+  packages.forEach(folder => {
+    const name = getPortalPackageName(path.basename(folder), folder);
+    names.set(name, [...(names.get(name) || []), folder]);
+  });
+  names.forEach((folders, name) => {
+    if (folders.length > 1) {
+      issues.push(issue('error', area, `${folders.join(', ')} are all named "${name}" in their package.json`, {
+        hint: 'give each portal its own package name; turbo filters and <package>#<task> entries in turbo.json use it'
+      }));
+    }
+  });
+
+  if (isWorkspaceFileStale()) {
+    issues.push(issue('error', area, `${PNPM_WORKSPACE_FILE} does not list the package.json workspaces`, {
+      fix: {
+        description: `Rewrite the packages in ${PNPM_WORKSPACE_FILE}`,
+        apply: () => {
+          syncWorkspaceFile();
+        }
+      }
+    }));
+  }
+
+  return issues;
+}
+
+// Give a portal app that shares a port with another app a free one, in its .env.local and scripts too
+async function movePortalApp(appName, port) {
+  const apps = readEcosystemApps();
+  const app = apps.find(candidate => candidate.name === appName);
+  const portalName = getAppPortal(app);
+  const newPort = await assignPort(portalName, apps);
+
+  Object.keys(app)
+    .filter(key => (key === 'env' || key.startsWith('env_')) && app[key]?.PORT === port)
+    .forEach(key => {
+      app[key] = { ...app[key], PORT: newPort };
+    });
+
+  saveEcosystemApp(app);
+  if (app.env?.PORT === newPort) {
+    setPortalPort(portalName, newPort);
+  }
+}
+
+// PM2 apps against the portal folders, and the ports they listen on
+function checkEcosystem() {
+  const area = ECOSYSTEM_FILE;
+  const apps = readEcosystemApps();
+
+  if (apps === null) {
+    return [];
+  }
+
+  const issues = [];
+  const portals = listPortalPackages();
+
+  apps.filter(app => typeof app.cwd === 'string' && !fs.existsSync(app.cwd)).forEach(app => {
+    issues.push(issue('error', area, `App "${app.name}" runs in ${app.cwd}, which does not exist`, {
+      fix: {
+        description: `Remove the ${app.name} app`,
+        apply: () => {
+          removeEcosystemApp(app.name);
+        }
+      }
+    }));
+  });
+
+  portals
+    .filter(name => !findPortalApp(apps, name) && !apps.some(app => getAppPortal(app) === name))
+    .forEach(name => {
+      issues.push(issue('warning', area, `${name} has no PM2 app`, {
+        fix: {
+          description: `Add a ${getPortalAppName(name)} app on a free port`,
+          apply: async () => {
+            const envPath = getPortalEnvPath(name);
+            const configured = readEnvPort(envPath) || getPortalPm2Settings(name).port;
+            const port = await assignPort(name, readEcosystemApps(), configured);
+
+            setPortalPort(name, port);
+            saveEcosystemApp(createPortalApp(name, port));
+          }
+        }
+      }));
+    });
+
+  // The first app keeps a shared port; the portal apps after it can be moved
+  findPortConflicts(apps).forEach(conflict => {
+    const movable = conflict.apps.slice(1).filter(appName => {
+      const portalName = getAppPortal(apps.find(app => app.name === appName));
+      return portalName && portals.includes(portalName);
+    });
+
+    issues.push(issue('error', area, `Port ${conflict.port} is used by ${conflict.apps.join(', ')}; only one of them can start`, {
+      hint: movable.length === 0 ? `change the port of all but one of them in ${ECOSYSTEM_FILE}` : null,
+      fix: movable.length === 0 ? null : {
+        description: `Move ${movable.join(', ')} to a free port`,
+        apply: async () => {
+          for (const appName of movable) {
+            await movePortalApp(appName, conflict.port);
+          }
+        }
+      }
+    }));
+  });
+
+  // .env.local is what the portal reads when it is started without PM2
+  apps.forEach(app => {
+    const portalName = getAppPortal(app);
+    const appPort = app.env?.PORT;
+
+    if (!portalName || !portals.includes(portalName) || !Number.isInteger(appPort)) {
+      return;
+    }
+
+    const envPath = getPortalEnvPath(portalName);
+    const envPort = readEnvPort(envPath);
+
+    if (envPort && envPort !== appPort) {
+      issues.push(issue('warning', area, `${envPath} has PORT=${envPort}, but the ${app.name} app uses ${appPort}`, {
+        fix: {
+          description: `Set PORT=${appPort} in ${envPath} and the ${portalName} scripts`,
+          apply: () => setPortalPort(portalName, appPort)
+        }
+      }));
+    }
+  });
+
+  return issues;
+}
+
+// turbo.json against the installed turbo and the packages in the workspace
+function checkTurbo() {
+  const area = TURBO_FILE;
+  const config = readTurboConfig();
+
+  if (!config) {
+    return [issue('warning', area, `No ${TURBO_FILE} in the workspace`, {
+      hint: 'turbo dev and turbo build need one; see the turbo.json section of the README'
+    })];
+  }
+
+  const issues = [];
+  const major = getTurboMajor();
+  const tasksKey = getTasksKey(major);
+
+  if (JSON.stringify(convertTurboConfig(config, major)) !== JSON.stringify(config)) {
+    const wrongKey = !config[tasksKey] || Object.keys(config).some(key => key !== tasksKey && (key === 'pipeline' || key === 'tasks'));
+    const message = wrongKey
+      ? `${TURBO_FILE} does not keep its tasks under "${tasksKey}", which turbo ${major} reads`
+      : `${TURBO_FILE} uses task options that turbo ${major} renamed`;
+
+    issues.push(issue(wrongKey ? 'error' : 'warning', area, message, {
+      fix: {
+        description: `Convert ${TURBO_FILE} for turbo ${major}`,
+        apply: () => {
+          syncTurboConfig(major);
+        }
+      }
+    }));
+  }
+
+  // "<package>#<task>" entries for packages that are no longer in the workspace ("//" is the root)
+  const packageNames = new Set([
+    '//',
+    ...listPortalPackages().map(name => getPortalPackageName(name)),
+    readSharedPackage()?.name
+  ]);
+  const orphaned = [...new Set(Object.keys({ ...config.pipeline, ...config.tasks })
+    .filter(id => id.includes('#'))
+    .map(id => id.slice(0, id.lastIndexOf('#'))))]
+    .filter(packageName => !packageNames.has(packageName));
+
+  orphaned.forEach(packageName => {
+    issues.push(issue('warning', area, `Tasks for ${packageName}, which is not in the workspace`, {
+      fix: {
+        description: `Remove the ${packageName}#<task> entries`,
+        apply: () => {
+          setPortalTasks(packageName, {});
+        }
+      }
+    }));
+  });
+
+  // A template turbo.json that was never merged; turbo rejects it without "extends"
+  listPortalPackages().filter(name => readTemplateTasks(`portals/${name}`)).forEach(name => {
+    issues.push(issue('error', area, `portals/${name}/${TURBO_FILE} has no "extends", so turbo will not run`, {
+      fix: {
+        description: `Move its tasks into ${TURBO_FILE} as <package>#<task> entries`,
+        apply: () => {
+          mergeTemplateTasks(name);
+        }
+      }
+    }));
+  });
+
+  return issues;
+}
+
+// Portal metadata (.portal-config.json) and the lockfile
+function checkPortals() {
+  const area = 'portals';
+  const lock = readLockfile();
+  const folders = listPortalFolders();
+  const issues = [];
+
+  folders.forEach(name => {
+    const portalPath = `portals/${name}`;
+    const configPath = path.join(portalPath, PORTAL_CONFIG_FILE);
+    const entry = lock.portals[name];
+
+    if (!fs.existsSync(path.join(portalPath, 'package.json'))) {
+      issues.push(issue('warning', area, `${portalPath} has no package.json`, {
+        hint: 'add one, or delete the folder if it is left over'
+      }));
+      return;
+    }
+
+    if (!fs.existsSync(configPath)) {
+      issues.push(issue('warning', area, `${portalPath} has no ${PORTAL_CONFIG_FILE}, so it cannot be updated or rolled back`, entry ? {
+        fix: {
+          description: `Rebuild ${PORTAL_CONFIG_FILE} from ${LOCKFILE}`,
+          apply: () => fs.writeFileSync(configPath, JSON.stringify({
+            name,
+            ...(entry.template ? { template: entry.template } : {}),
+            theme: entry.theme,
+            repo: entry.repo,
+            version: entry.version,
+            ref: entry.ref,
+            commit: entry.commit,
+            installedAt: new Date().toISOString(),
+            source: 'lockfile',
+            registry: entry.registry,
+            shared: entry.shared || null
+          }, null, 2))
+        }
+      } : {
+        hint: `it was probably added by hand; adopt it with ${formatRunCommand('portal:adopt', `${name} --from <registry-portal>`)}`
+      }));
+      return;
+    }
+
+    const portalConfig = readJSON(configPath);
+    const snapshotPath = getBaseSnapshotPath(name);
+
+    if (!entry) {
+      issues.push(issue('warning', area, `${name} is not in ${LOCKFILE}, so portal:install cannot restore it`, fs.existsSync(snapshotPath) ? {
+        fix: {
+          description: `Lock ${name} from ${PORTAL_CONFIG_FILE} and its base snapshot`,
+          apply: () => {
+            lockPortal({ ...portalConfig, name }, snapshotPath);
+          }
+        }
+      } : {
+        hint: `update it with ${formatRunCommand('portal:update', `${name} --force`)} to record it`
+      }));
+    }
+  });
+
+  // next dev ignores PORT in .env.local, so a portal started with "npm run dev" or "turbo dev"
+  // listens on the port in its script, or on 3000 when there is none
+  const devPorts = new Map();
+  listPortalPackages().forEach(name => {
+    const packagePath = getPortalPackagePath(name);
+    if (!/\bnext[ \t]+dev\b/.test(readJSON(packagePath).scripts?.dev || '')) {
+      return;
+    }
+
+    const envPath = getPortalEnvPath(name);
+    const envPort = readEnvPort(envPath);
+    const scriptPort = readScriptPort(packagePath);
+    const devPort = scriptPort || 3000;
+
+    if (envPort && scriptPort !== envPort) {
+      const message = scriptPort
+        ? `${envPath} has PORT=${envPort}, but the ${name} dev script starts on ${scriptPort}`
+        : `${envPath} has PORT=${envPort}, which next dev ignores; the ${name} dev script starts on 3000`;
+      issues.push(issue('warning', area, message, {
+        fix: {
+          description: `Pin the ${name} dev/start scripts to the port in ${envPath}`,
+          apply: () => {
+            writeScriptPort(packagePath, readEnvPort(envPath));
+          }
+        }
+      }));
+    } else if (!envPort && !scriptPort) {
+      issues.push(issue('warning', area, `${name} has no port, so its dev server starts on 3000`, {
+        hint: `set PORT in ${envPath}, then run ${formatRunCommand('portal:doctor', '--fix')}`
+      }));
+    }
+
+    devPorts.set(devPort, [...(devPorts.get(devPort) || []), name]);
+  });
+
+  devPorts.forEach((names, port) => {
+    if (names.length > 1) {
+      issues.push(issue('error', area, `${names.join(', ')} all start their dev server on port ${port}; only one of them can start`, {
+        hint: `give each its own PORT in portals/<name>/.env.local, then run ${formatRunCommand('portal:doctor', '--fix')}`
+      }));
+    }
+  });
+
+  Object.keys(lock.portals).filter(name => !folders.includes(name)).forEach(name => {
+    issues.push(issue('warning', area, `${name} is in ${LOCKFILE}, but portals/${name} is missing`, {
+      hint: `reinstall it with ${formatRunCommand('portal:install')}`
+    }));
+  });
+
+  return issues;
+}
+
+// The shared package, how the portals are wired to it and the versions they were built for
+function checkShared() {
+  const area = SHARED_DIR;
+  const sharedPackage = readSharedPackage();
+
+  if (!sharedPackage) {
+    return [];
+  }
+  if (!sharedPackage.name) {
+    return [issue('error', area, `${SHARED_PACKAGE_FILE} has no "name", so portals cannot depend on it`)];
+  }
+
+  const issues = [];
+
+  listPortalPackages().forEach(name => {
+    const portalPath = `portals/${name}`;
+    const pkg = readJSON(path.join(portalPath, 'package.json'));
+
+    if (!pkg.dependencies?.[sharedPackage.name] && !pkg.devDependencies?.[sharedPackage.name]) {
+      issues.push(issue('warning', area, `${name} does not depend on ${sharedPackage.name}, so it cannot import ${SHARED_ALIAS}*`, {
+        fix: {
+          description: `Wire ${SHARED_ALIAS}* into ${name}`,
+          apply: () => wireSharedPackage(portalPath, sharedPackage).manual
+        }
+      }));
+    }
+
+    const configPath = path.join(portalPath, PORTAL_CONFIG_FILE);
+    const range = fs.existsSync(configPath) ? readJSON(configPath).shared : null;
+
+    if (!range) {
+      return;
+    }
+
+    const { status, version } = checkSharedCompatibility(range, sharedPackage);
+    if (status === 'older') {
+      issues.push(issue('error', area, `${name} needs shared ${range}, but the workspace has ${version}`, {
+        hint: 'upgrade shared/'
+      }));
+    } else if (status === 'newer') {
+      issues.push(issue('warning', area, `${name} was built for shared ${range}; the workspace has ${version}, which may not be compatible`));
+    } else if (status === 'unknown') {
+      issues.push(issue('warning', area, `${name} needs shared ${range}, but ${SHARED_PACKAGE_FILE} has no version to check`));
+    }
+  });
+
+  return issues;
+}
+
+const CHECKS = [
+  [CONFIG_FILE, checkConfig],
+  ['package.json', checkWorkspaces],
+  [ECOSYSTEM_FILE, checkEcosystem],
+  [TURBO_FILE, checkTurbo],
+  ['portals', checkPortals],
+  [SHARED_DIR, checkShared]
+];
+
+const AREAS = CHECKS.map(([area]) => area);
+
+// Every issue in the workspace, area by area. A check that cannot read its files reports that
+// as an error in its area; the same failure (e.g. an unreadable .edutechrc) is reported once.
+function runChecks() {
+  const issues = CHECKS.flatMap(([area, check]) => {
+    try {
+      return check();
+    } catch (error) {
+      return [issue('error', area, error.message)];
+    }
+  });
+
+  return issues.filter((current, index) => issues.findIndex(other => other.message === current.message) === index);
+}
+
+module.exports = {
+  AREAS,
+  runChecks
+};
@@ -0,0 +1,47 @@
+// Helpers for --dry-run: scratch folders outside the workspace and file change summaries
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { listFiles, readFileIfExists } = require('./files');
+
+// A fresh folder under the OS temp directory, so a dry run never writes inside the workspace
+function createScratchDir(label) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `edutech-${label}-`));
+}
+
+function removeScratchDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Files that turning fromDir into toDir would add, modify and delete; fromDir may be null
+function diffDirectories(fromDir, toDir) {
+  const fromFiles = fromDir ? listFiles(fromDir) : [];
+  const toFiles = listFiles(toDir);
+  const fromSet = new Set(fromFiles);
+  const toSet = new Set(toFiles);
+
+  return {
+    added: toFiles.filter(file => !fromSet.has(file)),
+    modified: toFiles.filter(file => fromSet.has(file) &&
+      !readFileIfExists(path.join(fromDir, file)).equals(readFileIfExists(path.join(toDir, file)))),
+    deleted: fromFiles.filter(file => !toSet.has(file))
+  };
+}
+
+// True when the dependencies or devDependencies in two package.json files differ
+function dependenciesChanged(fromPkgPath, toPkgPath) {
+  const read = pkgPath => (fs.existsSync(pkgPath) ? JSON.parse(fs.readFileSync(pkgPath, 'utf8')) : {});
+  const fromPkg = read(fromPkgPath);
+  const toPkg = read(toPkgPath);
+
+  return JSON.stringify(fromPkg.dependencies) !== JSON.stringify(toPkg.dependencies) ||
+    JSON.stringify(fromPkg.devDependencies) !== JSON.stringify(toPkg.devDependencies);
+}
+
+module.exports = {
+  createScratchDir,
+  removeScratchDir,
+  diffDirectories,
+  dependenciesChanged
+};
@@ -0,0 +1,167 @@
+// Reading and editing the PM2 apps in ecosystem.config.js. The file is parsed, never evaluated,
+// and only the app being added, replaced or removed is rewritten: comments, env helpers and
+// hand-written entries elsewhere in the file are left exactly as they are.
+
+const fs = require('fs');
+const path = require('path');
+const { readWorkspaceConfig, CONFIG_FILE } = require('./config');
+const { isPort } = require('./ports');
+const {
+  parseModuleExports,
+  findProperty,
+  toValue,
+  replaceNode,
+  appendArrayElement,
+  removeArrayElement
+} = require('./js-literal');
+
+const ECOSYSTEM_FILE = 'ecosystem.config.js';
+
+// Started by PM2 from the portal's folder; picks the dev server or production server by --env
+const SERVE_SCRIPT = '../../scripts/portal-serve.js';
+const SERVE_MODES = ['static', 'next'];
+
+// next start works for every template; serving out/ needs output: 'export' in the portal's
+// next.config, so "static" is opted into per workspace or portal
+const PM2_DEFAULTS = {
+  instances: 1,
+  logDir: 'logs',
+  serve: 'next'
+};
+
+function getPortalAppName(portalName) {
+  return `${portalName}-portal`;
+}
+
+// The file's source and its apps array node, or null when the workspace has no ecosystem.config.js
+function loadEcosystem() {
+  if (!fs.existsSync(ECOSYSTEM_FILE)) {
+    return null;
+  }
+
+  const source = fs.readFileSync(ECOSYSTEM_FILE, 'utf8');
+  let config;
+
+  try {
+    config = parseModuleExports(source);
+  } catch (error) {
+    throw new Error(`Could not read ${ECOSYSTEM_FILE}: ${error.message}`);
+  }
+
+  const apps = findProperty(config, 'apps');
+
+  if (!apps || apps.value.type !== 'array') {
+    throw new Error(`Could not read ${ECOSYSTEM_FILE}: module.exports has no apps array`);
+  }
+
+  return { source, apps: apps.value };
+}
+
+function findAppIndex(ecosystem, appName) {
+  return ecosystem.apps.elements.findIndex(element => toValue(element).name === appName);
+}
+
+// Returns the apps array, or null when the workspace has no ecosystem.config.js.
+// Values that are not plain literals come back as { $expression: '<source>' }.
+function readEcosystemApps() {
+  const ecosystem = loadEcosystem();
+  return ecosystem && ecosystem.apps.elements.map(toValue);
+}
+
+// Replace the app with the same name, or append it; false when there is no ecosystem.config.js
+function saveEcosystemApp(app) {
+  const ecosystem = loadEcosystem();
+
+  if (!ecosystem) {
+    return false;
+  }
+
+  const index = findAppIndex(ecosystem, app.name);
+  const source = index === -1
+    ? appendArrayElement(ecosystem.source, ecosystem.apps, app)
+    : replaceNode(ecosystem.source, ecosystem.apps.elements[index], app);
+
+  fs.writeFileSync(ECOSYSTEM_FILE, source);
+  return true;
+}
+
+// Returns true when the app was found and removed
+function removeEcosystemApp(appName) {
+  const ecosystem = loadEcosystem();
+  const index = ecosystem ? findAppIndex(ecosystem, appName) : -1;
+
+  if (index === -1) {
+    return false;
+  }
+
+  fs.writeFileSync(ECOSYSTEM_FILE, removeArrayElement(ecosystem.source, ecosystem.apps, index));
+  return true;
+}
+
+function findPortalApp(apps, portalName) {
+  return (apps || []).find(app => app.name === getPortalAppName(portalName)) || null;
+}
+
+// PM2 settings for a portal from the "pm2" section of .edutechrc. Top-level values apply to
+// every portal and "portals": { "<name>": { ... } } overrides them for one portal.
+function getPortalPm2Settings(portalName, config = readWorkspaceConfig()) {
+  const { portals = {}, ...defaults } = config.pm2 || {};
+  const settings = { ...PM2_DEFAULTS, ...defaults, ...(portals[portalName] || {}) };
+  const invalid = (key, hint) => new Error(`Invalid pm2 ${key} "${settings[key]}" for "${portalName}" in ${CONFIG_FILE} (${hint})`);
+
+  if (!SERVE_MODES.includes(settings.serve)) {
+    throw invalid('serve', `use ${SERVE_MODES.join(' or ')}`);
+  }
+  if (settings.instances !== 'max' && !(Number.isInteger(settings.instances) && settings.instances > 0)) {
+    throw invalid('instances', 'use a whole number of at least 1, or "max"');
+  }
+  ['port', 'productionPort'].forEach(key => {
+    if (settings[key] !== undefined && !isPort(settings[key])) {
+      throw invalid(key, 'use a port number');
+    }
+  });
+  if (typeof settings.logDir !== 'string' || !settings.logDir) {
+    throw invalid('logDir', 'use a folder path');
+  }
+
+  return settings;
+}
+
+// PM2 resolves log paths from the app's cwd, so workspace-relative folders are made relative to it
+function getLogFile(logDir, fileName) {
+  return path.isAbsolute(logDir) ? path.join(logDir, fileName) : path.posix.join('../..', logDir, fileName);
+}
+
+// App for a portal with a development profile (env) and a production profile (env_production).
+// The port comes from assignPort in ports.js.
+function createPortalApp(portalName, port, settings = getPortalPm2Settings(portalName)) {
+  return {
+    name: getPortalAppName(portalName),
+    cwd: `./portals/${portalName}`,
+    script: SERVE_SCRIPT,
+    instances: settings.instances,
+    exec_mode: settings.instances === 1 ? 'fork' : 'cluster',
+    out_file: getLogFile(settings.logDir, `${portalName}.out.log`),
+    error_file: getLogFile(settings.logDir, `${portalName}.error.log`),
+    env: {
+      PORT: port,
+      NODE_ENV: 'development'
+    },
+    env_production: {
+      PORT: settings.productionPort || port,
+      NODE_ENV: 'production',
+      PORTAL_SERVE: settings.serve
+    }
+  };
+}
+
+module.exports = {
+  ECOSYSTEM_FILE,
+  getPortalAppName,
+  readEcosystemApps,
+  saveEcosystemApp,
+  removeEcosystemApp,
+  findPortalApp,
+  getPortalPm2Settings,
+  createPortalApp
+};
@@ -0,0 +1,66 @@
+// File helpers shared by the portal scripts
+
+const fs = require('fs');
+const path = require('path');
+
+// Entries that are generated or machine-specific and never part of portal sources
+const IGNORED_ENTRIES = [
+  'node_modules',
+  '.git',
+  '.next',
+  '.turbo',
+  'out',
+  '.portal-config.json',
+  '.portal-conflicts.json'
+];
+
+// List every file below dir as a sorted array of forward-slash relative paths
+function listFiles(dir, ignored = IGNORED_ENTRIES) {
+  const files = [];
+
+  function scan(current, prefix) {
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (ignored.includes(entry.name)) {
+        continue;
+      }
+
+      const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const entryPath = path.join(current, entry.name);
+
+      if (entry.isDirectory()) {
+        scan(entryPath, relativePath);
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+  }
+
+  if (fs.existsSync(dir)) {
+    scan(dir, '');
+  }
+
+  return files.sort();
+}
+
+// Copy the portal sources from sourceDir into targetDir, skipping ignored entries
+function copyDirectory(sourceDir, targetDir, ignored = IGNORED_ENTRIES) {
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  for (const file of listFiles(sourceDir, ignored)) {
+    const targetPath = path.join(targetDir, file);
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.copyFileSync(path.join(sourceDir, file), targetPath);
+  }
+}
+
+// Read a file if it exists, otherwise return null
+function readFileIfExists(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+}
+
+module.exports = {
+  IGNORED_ENTRIES,
+  listFiles,
+  copyDirectory,
+  readFileIfExists
+};
@@ -0,0 +1,490 @@
+// A small parser for JavaScript config files such as ecosystem.config.js. Object and array
+// literals, strings, numbers, booleans and null are understood; any other expression
+// (process.env lookups, function calls, ...) is kept as its source text, so nothing is evaluated.
+// Every node records where it sits in the source, so one part of a file can be edited in place.
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/y;
+const REGEX_FLAGS = /[\w$]*/y;
+const NUMBER = /(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y;
+const OPENING = ['(', '[', '{'];
+const CLOSING = [')', ']', '}'];
+// Keywords after which a / starts a regular expression rather than a division
+const REGEX_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+function syntaxError(source, position, message) {
+  const line = source.slice(0, position).split('\n').length;
+  return new Error(`${message} (line ${line})`);
+}
+
+// Index just past the string literal starting at start
+function skipString(source, start) {
+  const quote = source[start];
+
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === quote) {
+      return i + 1;
+    } else if (source[i] === '\n') {
+      break;
+    }
+  }
+
+  throw syntaxError(source, start, 'Unterminated string');
+}
+
+// True when a / after this token starts a regular expression: at the start, after an operator
+// or opening punctuator, or after a keyword. After a value (a name, a literal or a closing
+// bracket) it is a division.
+function startsRegex(previous) {
+  if (!previous) {
+    return true;
+  }
+  if (previous.type === 'punctuator') {
+    return !CLOSING.includes(previous.value);
+  }
+  return previous.type === 'identifier' && REGEX_KEYWORDS.includes(previous.value);
+}
+
+// Index just past the regular expression literal starting at start, flags included. Quotes and
+// brackets inside it mean nothing, and a / inside a [...] class does not end it.
+function skipRegex(source, start) {
+  let inClass = false;
+
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '\n') {
+      break;
+    } else if (source[i] === '[') {
+      inClass = true;
+    } else if (source[i] === ']') {
+      inClass = false;
+    } else if (source[i] === '/' && !inClass) {
+      REGEX_FLAGS.lastIndex = i + 1;
+      return i + 1 + REGEX_FLAGS.exec(source)[0].length;
+    }
+  }
+
+  throw syntaxError(source, start, 'Unterminated regular expression');
+}
+
+// Index just past the template literal starting at start, and whether it has ${} substitutions
+function skipTemplate(source, start) {
+  let substitutions = false;
+
+  for (let i = start + 1; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '`') {
+      return { end: i + 1, substitutions };
+    } else if (source.startsWith('${', i)) {
+      substitutions = true;
+      i = skipSubstitution(source, i + 2) - 1;
+    }
+  }
+
+  throw syntaxError(source, start, 'Unterminated template literal');
+}
+
+// Index just past the } closing a ${ substitution whose body starts at start
+function skipSubstitution(source, start) {
+  let depth = 1;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '"' || char === "'") {
+      i = skipString(source, i) - 1;
+    } else if (char === '`') {
+      i = skipTemplate(source, i).end - 1;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i + 1;
+    }
+  }
+
+  throw syntaxError(source, start, 'Unterminated template literal');
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+// Value of a string or template literal body (without its quotes)
+function decodeString(body) {
+  return body.replace(/\\(u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|\r\n|[\s\S])/g, (match, escape) => {
+    if (escape.length > 1 && (escape[0] === 'u' || escape[0] === 'x')) {
+      return String.fromCodePoint(parseInt(escape.replace(/[ux{}]/g, ''), 16));
+    }
+    if (escape === '\n' || escape === '\r\n' || escape === '\r') {
+      return '';
+    }
+    return ESCAPES[escape] !== undefined ? ESCAPES[escape] : escape;
+  });
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const start = i;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (source.startsWith('//', i)) {
+      const end = source.indexOf('\n', i);
+      i = end === -1 ? source.length : end;
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw syntaxError(source, i, 'Unterminated comment');
+      }
+      i = end + 2;
+    } else if (char === '/' && startsRegex(tokens[tokens.length - 1])) {
+      i = skipRegex(source, i);
+      tokens.push({ type: 'regex', start, end: i });
+    } else if (char === '"' || char === "'") {
+      i = skipString(source, i);
+      tokens.push({ type: 'string', value: decodeString(source.slice(start + 1, i - 1)), start, end: i });
+    } else if (char === '`') {
+      const template = skipTemplate(source, i);
+      i = template.end;
+      tokens.push(template.substitutions
+        ? { type: 'template', start, end: i }
+        : { type: 'string', value: decodeString(source.slice(start + 1, i - 1)), start, end: i });
+    } else if (/\d/.test(char) || (char === '.' && /\d/.test(source[i + 1]))) {
+      NUMBER.lastIndex = i;
+      const raw = NUMBER.exec(source)[0];
+      i += raw.length;
+      tokens.push(raw.endsWith('n')
+        ? { type: 'bigint', start, end: i }
+        : { type: 'number', value: Number(raw.replace(/_/g, '')), start, end: i });
+    } else if (/[A-Za-z_$]/.test(char)) {
+      IDENTIFIER.lastIndex = i;
+      const name = IDENTIFIER.exec(source)[0];
+      i += name.length;
+      tokens.push({ type: 'identifier', value: name, start, end: i });
+    } else if (source.startsWith('...', i)) {
+      i += 3;
+      tokens.push({ type: 'punctuator', value: '...', start, end: i });
+    } else {
+      i++;
+      tokens.push({ type: 'punctuator', value: char, start, end: i });
+    }
+  }
+
+  return tokens;
+}
+
+const LITERAL_IDENTIFIERS = { true: true, false: false, null: null };
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset] ||
+      { type: 'eof', start: this.source.length, end: this.source.length };
+  }
+
+  is(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'punctuator' && token.value === value;
+  }
+
+  expect(value) {
+    if (!this.is(value)) {
+      throw syntaxError(this.source, this.peek().start, `Expected '${value}'`);
+    }
+    return this.tokens[this.index++];
+  }
+
+  literalOf(token) {
+    if (token.type === 'string' || token.type === 'number') {
+      return { value: token.value };
+    }
+    if (token.type === 'identifier' && Object.prototype.hasOwnProperty.call(LITERAL_IDENTIFIERS, token.value)) {
+      return { value: LITERAL_IDENTIFIERS[token.value] };
+    }
+    return null;
+  }
+
+  // A literal or structure when the value is nothing more than that, otherwise an expression
+  parseValue(terminators) {
+    const startIndex = this.index;
+    const token = this.peek();
+    const literal = this.literalOf(token);
+    let node = null;
+
+    if (this.is('{')) {
+      node = this.parseObject();
+    } else if (this.is('[')) {
+      node = this.parseArray();
+    } else if (literal) {
+      this.index++;
+      node = { type: 'literal', value: literal.value, start: token.start, end: token.end };
+    }
+
+    if (node && (this.peek().type === 'eof' || terminators.some(value => this.is(value)))) {
+      return node;
+    }
+
+    this.index = startIndex;
+    return this.parseExpression(terminators);
+  }
+
+  // Everything up to the next terminator outside brackets, kept as source text
+  parseExpression(terminators) {
+    const start = this.peek().start;
+    let end = start;
+    let depth = 0;
+
+    while (this.peek().type !== 'eof') {
+      const token = this.peek();
+      const punctuator = token.type === 'punctuator' ? token.value : null;
+
+      if (depth === 0 && (terminators.includes(punctuator) || CLOSING.includes(punctuator))) {
+        break;
+      }
+
+      if (OPENING.includes(punctuator)) {
+        depth++;
+      } else if (CLOSING.includes(punctuator)) {
+        depth--;
+      }
+
+      end = token.end;
+      this.index++;
+    }
+
+    if (end === start) {
+      throw syntaxError(this.source, start, 'Expected a value');
+    }
+
+    return { type: 'expression', source: this.source.slice(start, end), start, end };
+  }
+
+  parseObject() {
+    const open = this.expect('{');
+    const properties = [];
+
+    while (!this.is('}')) {
+      properties.push(this.parseProperty());
+
+      if (this.is(',')) {
+        this.index++;
+      } else if (!this.is('}')) {
+        throw syntaxError(this.source, this.peek().start, "Expected ',' or '}'");
+      }
+    }
+
+    const close = this.expect('}');
+    return { type: 'object', properties, start: open.start, end: close.end };
+  }
+
+  parseProperty() {
+    const key = this.peek();
+
+    if (['identifier', 'string', 'number'].includes(key.type) && this.is(':', 1)) {
+      this.index += 2;
+      const value = this.parseValue([',', '}']);
+      return { key: String(key.value), value, start: key.start, end: value.end };
+    }
+
+    // Shorthand, spread, computed and method properties are kept as source text
+    const value = this.parseExpression([',', '}']);
+    return { key: null, value, start: value.start, end: value.end };
+  }
+
+  parseArray() {
+    const open = this.expect('[');
+    const elements = [];
+    const commas = [];
+
+    while (!this.is(']')) {
+      if (this.is(',')) {
+        throw syntaxError(this.source, this.peek().start, 'Empty array slots are not supported');
+      }
+
+      elements.push(this.parseValue([',', ']']));
+
+      if (this.is(',')) {
+        const comma = this.tokens[this.index++];
+        commas.push({ start: comma.start, end: comma.end });
+      } else if (this.is(']')) {
+        commas.push(null);
+      } else {
+        throw syntaxError(this.source, this.peek().start, "Expected ',' or ']'");
+      }
+    }
+
+    const close = this.expect(']');
+    return { type: 'array', elements, commas, start: open.start, end: close.end };
+  }
+
+  // The value assigned to module.exports, which must be an object literal
+  parseModuleExports() {
+    for (this.index = 0; this.index < this.tokens.length; this.index++) {
+      const token = this.peek();
+
+      if (token.type === 'identifier' && token.value === 'module' && this.is('.', 1) &&
+        this.peek(2).value === 'exports' && this.is('=', 3) && !this.is('=', 4)) {
+        this.index += 4;
+        const node = this.parseValue([';']);
+
+        if (node.type !== 'object') {
+          throw syntaxError(this.source, node.start, 'module.exports is not an object literal');
+        }
+        return node;
+      }
+    }
+
+    throw new Error('No module.exports assignment found');
+  }
+}
+
+function parseModuleExports(source) {
+  return new Parser(source).parseModuleExports();
+}
+
+function findProperty(objectNode, key) {
+  return objectNode.properties.find(property => property.key === key) || null;
+}
+
+// Plain value of a node. Expressions become { $expression: '<source>' }, which survives a trip
+// through JSON and is written back unchanged by formatValue. Properties without a plain key
+// (spreads, shorthands, methods) are left out.
+function toValue(node) {
+  if (node.type === 'literal') {
+    return node.value;
+  }
+  if (node.type === 'array') {
+    return node.elements.map(toValue);
+  }
+  if (node.type === 'object') {
+    const value = {};
+    node.properties
+      .filter(property => property.key !== null)
+      .forEach(property => {
+        value[property.key] = toValue(property.value);
+      });
+    return value;
+  }
+  return { $expression: node.source };
+}
+
+function formatString(value) {
+  return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n').replace(/\r/g, '\\r')}'`;
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : formatString(key);
+}
+
+// JavaScript source for value, with nested lines indented two spaces past indent
+function formatValue(value, indent = '') {
+  const inner = `${indent}  `;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return '[]';
+    }
+    return `[\n${value.map(item => `${inner}${formatValue(item, inner)}`).join(',\n')}\n${indent}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    if (typeof value.$expression === 'string') {
+      return value.$expression;
+    }
+
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) {
+      return '{}';
+    }
+    return `{\n${entries.map(([key, item]) => `${inner}${formatKey(key)}: ${formatValue(item, inner)}`).join(',\n')}\n${indent}}`;
+  }
+
+  return typeof value === 'string' ? formatString(value) : String(value);
+}
+
+function lineStart(source, position) {
+  return source.lastIndexOf('\n', position - 1) + 1;
+}
+
+function lineIndent(source, position) {
+  return source.slice(lineStart(source, position)).match(/^[ \t]*/)[0];
+}
+
+function startsLine(source, position) {
+  return source.slice(lineStart(source, position), position).trim() === '';
+}
+
+function replaceNode(source, node, value) {
+  return source.slice(0, node.start) + formatValue(value, lineIndent(source, node.start)) + source.slice(node.end);
+}
+
+// Add value after the last element, following the indentation and trailing-comma style in use
+function appendArrayElement(source, arrayNode, value) {
+  const { elements, commas } = arrayNode;
+  const first = elements[0];
+  const indent = first && startsLine(source, first.start)
+    ? lineIndent(source, first.start)
+    : `${lineIndent(source, arrayNode.start)}  `;
+  const text = formatValue(value, indent);
+  const close = arrayNode.end - 1;
+
+  if (elements.length > 0) {
+    const lastComma = commas[commas.length - 1];
+
+    if (lastComma) {
+      return `${source.slice(0, lastComma.end)}\n${indent}${text},${source.slice(lastComma.end)}`;
+    }
+
+    const lastEnd = elements[elements.length - 1].end;
+    return `${source.slice(0, lastEnd)},\n${indent}${text}${source.slice(lastEnd)}`;
+  }
+
+  // Empty array: keep any comments inside it and put the element on its own line
+  if (startsLine(source, close) && lineStart(source, close) > arrayNode.start) {
+    const at = lineStart(source, close);
+    return `${source.slice(0, at)}${indent}${text}\n${source.slice(at)}`;
+  }
+
+  return `${source.slice(0, close)}\n${indent}${text}\n${lineIndent(source, arrayNode.start)}${source.slice(close)}`;
+}
+
+// Remove the element at index along with its comma and, when it sits on lines of its own, those lines
+function removeArrayElement(source, arrayNode, index) {
+  const element = arrayNode.elements[index];
+  const comma = arrayNode.commas[index];
+  let start = element.start;
+  let end = comma ? comma.end : element.end;
+
+  if (!comma && index > 0) {
+    // Last element without a trailing comma: the comma before it goes instead
+    return source.slice(0, arrayNode.commas[index - 1].start) + source.slice(end);
+  }
+
+  const rest = source.slice(end).match(/^[ \t]*(\r?\n)?/);
+  if (startsLine(source, start) && rest[1]) {
+    start = lineStart(source, start);
+    end += rest[0].length;
+  }
+
+  return source.slice(0, start) + source.slice(end);
+}
+
+module.exports = {
+  parseModuleExports,
+  findProperty,
+  toValue,
+  formatValue,
+  replaceNode,
+  appendArrayElement,
+  removeArrayElement
+};
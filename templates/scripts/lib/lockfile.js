@@ -0,0 +1,95 @@
+// edutech-lock.json: the exact template source of every installed portal
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { listFiles } = require('./files');
+
+const LOCKFILE = 'edutech-lock.json';
+const LOCKFILE_VERSION = 1;
+
+function readLockfile() {
+  if (!fs.existsSync(LOCKFILE)) {
+    return { lockfileVersion: LOCKFILE_VERSION, portals: {} };
+  }
+
+  let lock;
+  try {
+    lock = JSON.parse(fs.readFileSync(LOCKFILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`${LOCKFILE} is not valid JSON: ${error.message}`);
+  }
+
+  if (lock.lockfileVersion > LOCKFILE_VERSION) {
+    throw new Error(`${LOCKFILE} was written by a newer version of the portal scripts (lockfileVersion ${lock.lockfileVersion})`);
+  }
+
+  return { lockfileVersion: LOCKFILE_VERSION, portals: {}, ...lock };
+}
+
+// Portals are written in name order so the lockfile diffs cleanly
+function writeLockfile(lock) {
+  const portals = {};
+  Object.keys(lock.portals || {}).sort().forEach(name => {
+    portals[name] = lock.portals[name];
+  });
+
+  fs.writeFileSync(LOCKFILE, `${JSON.stringify({ ...lock, lockfileVersion: LOCKFILE_VERSION, portals }, null, 2)}\n`);
+}
+
+// sha256 over every source file (path and content); generated folders and portal metadata are excluded
+function hashDirectory(dir) {
+  const hash = crypto.createHash('sha256');
+
+  for (const file of listFiles(dir)) {
+    hash.update(file);
+    hash.update('\0');
+    hash.update(fs.readFileSync(path.join(dir, file)));
+    hash.update('\0');
+  }
+
+  return `sha256-${hash.digest('base64')}`;
+}
+
+// Record a portal from its .portal-config.json and the pristine template it was installed from.
+// The integrity hash is the template's, not the portal's: edits made to a portal since are not
+// locked. Adopted portals also record the registry portal they were copied from ("template").
+function lockPortal(portalConfig, templateDir) {
+  const lock = readLockfile();
+
+  lock.portals[portalConfig.name] = {
+    ...(portalConfig.template ? { template: portalConfig.template } : {}),
+    theme: portalConfig.theme,
+    registry: portalConfig.registry || null,
+    repo: portalConfig.repo,
+    version: portalConfig.version || null,
+    ref: portalConfig.ref || null,
+    commit: portalConfig.commit || null,
+    shared: portalConfig.shared || null,
+    integrity: hashDirectory(templateDir)
+  };
+
+  writeLockfile(lock);
+  return lock.portals[portalConfig.name];
+}
+
+function unlockPortal(portalName) {
+  const lock = readLockfile();
+
+  if (!lock.portals[portalName]) {
+    return false;
+  }
+
+  delete lock.portals[portalName];
+  writeLockfile(lock);
+  return true;
+}
+
+module.exports = {
+  LOCKFILE,
+  readLockfile,
+  writeLockfile,
+  hashDirectory,
+  lockPortal,
+  unlockPortal
+};
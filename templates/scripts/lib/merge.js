@@ -0,0 +1,287 @@
+// Three-way merge of portal sources (base snapshot, local copy, upstream template)
+
+const fs = require('fs');
+const path = require('path');
+const { listFiles, copyDirectory, readFileIfExists } = require('./files');
+
+// Pristine template snapshots recorded by portal:add and refreshed by portal:update
+const BASE_SNAPSHOT_DIR = '.edutech/base';
+
+function getBaseSnapshotPath(portalName) {
+  return path.join(BASE_SNAPSHOT_DIR, portalName);
+}
+
+function saveBaseSnapshot(portalName, sourceDir) {
+  const snapshotPath = getBaseSnapshotPath(portalName);
+  fs.rmSync(snapshotPath, { recursive: true, force: true });
+  copyDirectory(sourceDir, snapshotPath);
+  return snapshotPath;
+}
+
+function removeBaseSnapshot(portalName) {
+  fs.rmSync(getBaseSnapshotPath(portalName), { recursive: true, force: true });
+}
+
+// Split text into lines that keep their line endings, so joining is lossless
+function splitLines(text) {
+  return text === '' ? [] : text.split(/(?<=\n)/);
+}
+
+// Myers diff: returns, for every line of a, the index of the matching line in b or -1
+function matchLines(a, b) {
+  const matches = new Array(a.length).fill(-1);
+
+  // Common prefix and suffix never need the expensive search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches[endA] = endB;
+  }
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n === 0 || m === 0) {
+    return matches;
+  }
+
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  outer:
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[start + x] === b[start + y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        break outer;
+      }
+    }
+  }
+
+  // Walk the trace backwards, recording the diagonal (matching) moves
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+    const previous = trace[d];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && previous[offset + k - 1] < previous[offset + k + 1])) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = d === 0 ? 0 : previous[offset + prevK];
+    const prevY = d === 0 ? 0 : prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      x--;
+      y--;
+      matches[start + x] = start + y;
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return matches;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+function withTrailingNewline(lines) {
+  if (lines.length > 0 && !lines[lines.length - 1].endsWith('\n')) {
+    return [...lines.slice(0, -1), `${lines[lines.length - 1]}\n`];
+  }
+  return lines;
+}
+
+// Merge two descendants of base line by line, diff3 style
+function mergeText(baseText, localText, upstreamText, labels = {}) {
+  const base = splitLines(baseText);
+  const local = splitLines(localText);
+  const upstream = splitLines(upstreamText);
+  const localMatches = matchLines(base, local);
+  const upstreamMatches = matchLines(base, upstream);
+
+  const localLabel = labels.local || 'local';
+  const upstreamLabel = labels.upstream || 'upstream';
+  const output = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  for (;;) {
+    // Lines unchanged on both sides
+    if (i < base.length && localMatches[i] === j && upstreamMatches[i] === k) {
+      output.push(base[i]);
+      i++;
+      j++;
+      k++;
+      continue;
+    }
+
+    // Find the next base line both sides still share
+    let nextI = i;
+    while (nextI < base.length && (localMatches[nextI] === -1 || upstreamMatches[nextI] === -1)) {
+      nextI++;
+    }
+    const nextJ = nextI < base.length ? localMatches[nextI] : local.length;
+    const nextK = nextI < base.length ? upstreamMatches[nextI] : upstream.length;
+
+    if (nextI === i && nextJ === j && nextK === k) {
+      break;
+    }
+
+    const baseChunk = base.slice(i, nextI);
+    const localChunk = local.slice(j, nextJ);
+    const upstreamChunk = upstream.slice(k, nextK);
+
+    if (sameLines(localChunk, baseChunk)) {
+      output.push(...upstreamChunk);
+    } else if (sameLines(upstreamChunk, baseChunk) || sameLines(localChunk, upstreamChunk)) {
+      output.push(...localChunk);
+    } else {
+      conflicts++;
+      output.push(`<<<<<<< ${localLabel}\n`);
+      output.push(...withTrailingNewline(localChunk));
+      output.push('=======\n');
+      output.push(...withTrailingNewline(upstreamChunk));
+      output.push(`>>>>>>> ${upstreamLabel}\n`);
+    }
+
+    i = nextI;
+    j = nextJ;
+    k = nextK;
+  }
+
+  return { text: output.join(''), conflicts };
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+function sameContent(a, b) {
+  if (a === null || b === null) {
+    return a === b;
+  }
+  return a.equals(b);
+}
+
+// Merge upstreamDir into localDir using baseDir as the common ancestor.
+// Files changed on both sides get conflict markers; returns a report of every change.
+// With options.dryRun the report is computed without writing anything.
+function mergeDirectories(baseDir, localDir, upstreamDir, labels = {}, options = {}) {
+  const report = {
+    added: [],
+    updated: [],
+    merged: [],
+    deleted: [],
+    conflicts: []
+  };
+
+  const files = new Set([
+    ...(baseDir ? listFiles(baseDir) : []),
+    ...listFiles(localDir),
+    ...listFiles(upstreamDir)
+  ]);
+
+  for (const file of [...files].sort()) {
+    const base = baseDir ? readFileIfExists(path.join(baseDir, file)) : null;
+    const local = readFileIfExists(path.join(localDir, file));
+    const upstream = readFileIfExists(path.join(upstreamDir, file));
+    const targetPath = path.join(localDir, file);
+
+    // Only one side changed (or both made the same change)
+    if (sameContent(local, upstream) || sameContent(base, upstream)) {
+      continue;
+    }
+
+    if (sameContent(base, local)) {
+      if (upstream === null) {
+        if (!options.dryRun) {
+          fs.rmSync(targetPath, { force: true });
+        }
+        report.deleted.push(file);
+      } else {
+        if (!options.dryRun) {
+          fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+          fs.writeFileSync(targetPath, upstream);
+        }
+        report[local === null ? 'added' : 'updated'].push(file);
+      }
+      continue;
+    }
+
+    // Both sides changed the file
+    if (local === null) {
+      report.conflicts.push({ file, reason: 'deleted locally, changed upstream' });
+      continue;
+    }
+
+    if (upstream === null) {
+      report.conflicts.push({ file, reason: 'changed locally, deleted upstream' });
+      continue;
+    }
+
+    if (isBinary(local) || isBinary(upstream) || (base && isBinary(base))) {
+      if (!options.dryRun) {
+        fs.writeFileSync(`${targetPath}.upstream`, upstream);
+      }
+      report.conflicts.push({ file, reason: `binary file changed on both sides (upstream copy saved as ${file}.upstream)` });
+      continue;
+    }
+
+    const result = mergeText(
+      base ? base.toString('utf8') : '',
+      local.toString('utf8'),
+      upstream.toString('utf8'),
+      labels
+    );
+
+    if (!options.dryRun) {
+      fs.writeFileSync(targetPath, result.text);
+    }
+
+    if (result.conflicts > 0) {
+      report.conflicts.push({ file, reason: `${result.conflicts} conflicting hunk(s)` });
+    } else {
+      report.merged.push(file);
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  BASE_SNAPSHOT_DIR,
+  getBaseSnapshotPath,
+  saveBaseSnapshot,
+  removeBaseSnapshot,
+  mergeText,
+  mergeDirectories
+};
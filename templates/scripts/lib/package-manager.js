@@ -0,0 +1,178 @@
+// The workspace's package manager (npm, pnpm or yarn) and the commands the portal scripts run
+// with it. "packageManager" in .edutechrc wins, then the packageManager field in package.json,
+// then the lockfile in the workspace; npm is the fallback.
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { readWorkspaceConfig, CONFIG_FILE } = require('./config');
+
+const PNPM_WORKSPACE_FILE = 'pnpm-workspace.yaml';
+
+const PACKAGE_MANAGERS = {
+  npm: {
+    lockfile: 'package-lock.json',
+    workspaceVersion: '*',
+    install: 'npm install',
+    add: (packages, dev) => `npm install ${packages.join(' ')}${dev ? ' --save-dev' : ''}`,
+    // npm keeps flags before "--" for itself, so the script's arguments go after one
+    run: (script, args = '') => `npm run ${script}${args ? ` -- ${args}` : ''}`,
+    runInWorkspace: (workspace, script) => `npm run ${script} --workspace ${workspace}`
+  },
+  pnpm: {
+    lockfile: 'pnpm-lock.yaml',
+    // pnpm only links a workspace package for a dependency on the workspace: protocol
+    workspaceVersion: 'workspace:*',
+    install: 'pnpm install',
+    add: (packages, dev) => `pnpm add ${packages.join(' ')}${dev ? ' --save-dev' : ''} --workspace-root`,
+    run: (script, args = '') => `pnpm run ${script}${args ? ` ${args}` : ''}`,
+    runInWorkspace: (workspace, script) => `pnpm --filter ${workspace} run ${script}`
+  },
+  yarn: {
+    lockfile: 'yarn.lock',
+    workspaceVersion: '*',
+    install: 'yarn install',
+    add: (packages, dev) => `yarn add ${packages.join(' ')}${dev ? ' --dev' : ''} --ignore-workspace-root-check`,
+    run: (script, args = '') => `yarn run ${script}${args ? ` ${args}` : ''}`,
+    runInWorkspace: (workspace, script) => `yarn workspace ${workspace} run ${script}`
+  }
+};
+
+const PACKAGE_MANAGER_NAMES = Object.keys(PACKAGE_MANAGERS);
+
+// Lockfiles are checked in this order, so a workspace with a stray package-lock.json next to its
+// pnpm-lock.yaml is still a pnpm workspace
+const DETECTION_ORDER = ['pnpm', 'yarn', 'npm'];
+
+// "pnpm@9.1.0" -> "pnpm"
+function readPackageJsonManager(root) {
+  const packagePath = path.join(root, 'package.json');
+
+  if (!fs.existsSync(packagePath)) {
+    return null;
+  }
+
+  try {
+    const field = JSON.parse(fs.readFileSync(packagePath, 'utf8')).packageManager;
+    return typeof field === 'string' ? field.split('@')[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function detectPackageManager(root = '.') {
+  const configured = readWorkspaceConfig(root).packageManager;
+
+  if (configured !== undefined) {
+    if (!PACKAGE_MANAGERS[configured]) {
+      throw new Error(`Unknown packageManager "${configured}" in ${CONFIG_FILE} (use npm, pnpm or yarn)`);
+    }
+    return configured;
+  }
+
+  const declared = readPackageJsonManager(root);
+  if (PACKAGE_MANAGERS[declared]) {
+    return declared;
+  }
+
+  return DETECTION_ORDER.find(name => fs.existsSync(path.join(root, PACKAGE_MANAGERS[name].lockfile))) || 'npm';
+}
+
+// { name, lockfile, workspaceVersion, install, add(packages, dev), run(script, args),
+//   runInWorkspace(workspace, script) } for the workspace at root
+function getPackageManager(root = '.') {
+  const name = detectPackageManager(root);
+  return { name, ...PACKAGE_MANAGERS[name] };
+}
+
+// A workspace script with its arguments ("academic --dry-run"), as a command to show the user.
+// Falls back to npm when .edutechrc names an unknown package manager, so help and hints still print.
+function formatRunCommand(script, args = '', root = '.') {
+  let packageManager;
+  try {
+    packageManager = getPackageManager(root);
+  } catch (error) {
+    packageManager = { name: 'npm', ...PACKAGE_MANAGERS.npm };
+  }
+  return packageManager.run(script, args);
+}
+
+// True when a flag such as --dry-run was given. "npm run <script> --dry-run" without "--" keeps
+// the flag for npm, which passes it on as npm_config_dry_run; the script honours it all the same.
+function hasFlag(args, flag) {
+  const variable = `npm_config_${flag.replace(/^-+/, '').replace(/-/g, '_')}`;
+  return args.includes(flag) || process.env[variable] === 'true';
+}
+
+// The installed version of a package manager, or null when it isn't on the PATH
+function getInstalledVersion(name) {
+  try {
+    return execFileSync(name, ['--version'], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      shell: process.platform === 'win32'
+    }).trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+// pnpm reads the workspace packages from pnpm-workspace.yaml, not package.json. Returns
+// { original, updated }: the file as it is and with its packages list rebuilt from the
+// package.json workspaces, keeping any other settings in the file.
+function renderWorkspaceFile() {
+  const { workspaces = [] } = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+  const patterns = Array.isArray(workspaces) ? workspaces : workspaces.packages || [];
+  const packagesBlock = ['packages:', ...patterns.map(pattern => `  - '${pattern}'`)];
+
+  const original = fs.existsSync(PNPM_WORKSPACE_FILE) ? fs.readFileSync(PNPM_WORKSPACE_FILE, 'utf8') : '';
+  const lines = original ? original.replace(/\n$/, '').split('\n') : [];
+  const start = lines.findIndex(line => /^packages\s*:/.test(line));
+
+  if (start === -1) {
+    lines.unshift(...packagesBlock);
+  } else {
+    // The list runs on over indented lines and "- " items
+    let end = start + 1;
+    while (end < lines.length && /^(\s+\S|-)/.test(lines[end])) {
+      end++;
+    }
+    lines.splice(start, end - start, ...packagesBlock);
+  }
+
+  return { original, updated: `${lines.join('\n')}\n` };
+}
+
+// True when pnpm-workspace.yaml no longer lists the package.json workspaces; always false for
+// npm and yarn, which read package.json
+function isWorkspaceFileStale(packageManager = getPackageManager()) {
+  if (packageManager.name !== 'pnpm') {
+    return false;
+  }
+
+  const { original, updated } = renderWorkspaceFile();
+  return updated !== original;
+}
+
+// Rewrite pnpm-workspace.yaml from the package.json workspaces. Returns true when the file
+// changed; npm and yarn workspaces are left alone.
+function syncWorkspaceFile(packageManager = getPackageManager()) {
+  if (!isWorkspaceFileStale(packageManager)) {
+    return false;
+  }
+
+  fs.writeFileSync(PNPM_WORKSPACE_FILE, renderWorkspaceFile().updated);
+  return true;
+}
+
+module.exports = {
+  PACKAGE_MANAGER_NAMES,
+  PNPM_WORKSPACE_FILE,
+  detectPackageManager,
+  getPackageManager,
+  formatRunCommand,
+  hasFlag,
+  getInstalledVersion,
+  isWorkspaceFileStale,
+  syncWorkspaceFile
+};
@@ -0,0 +1,209 @@
+// Port allocation for portals. A new portal gets the first port in the configured range that no
+// PM2 app (in any profile) or portal .env.local uses, that is not reserved in .edutechrc, and
+// that nothing on this machine is listening on. The port is recorded in the portal's .env.local
+// and pinned in its next dev/start scripts, since Next.js does not read PORT from .env files.
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { readWorkspaceConfig, CONFIG_FILE } = require('./config');
+
+const DEFAULT_RANGE = [3000, 3999];
+const ENV_FILE = '.env.local';
+const ENV_PORT_LINE = /^[ \t]*(?:export[ \t]+)?PORT[ \t]*=.*$/m;
+// "next dev" or "next start" in a package.json script, with its options up to the next && | ;
+const NEXT_COMMAND = /\bnext[ \t]+(dev|start)\b([^&|;]*)/g;
+const PORT_OPTION = /[ \t]+(?:-p|--port)(?:[ \t]*|=)(\d+)/;
+
+function isPort(value) {
+  return Number.isInteger(value) && value > 0 && value < 65536;
+}
+
+// .edutechrc "ports": { "range": [3000, 3999], "reserved": [3306, 5432] }
+function getPortPolicy(config = readWorkspaceConfig()) {
+  const settings = config.ports || {};
+  const range = settings.range || DEFAULT_RANGE;
+  const reserved = settings.reserved || [];
+
+  if (!Array.isArray(range) || range.length !== 2 || !range.every(isPort) || range[0] > range[1]) {
+    throw new Error(`Invalid ports.range ${JSON.stringify(range)} in ${CONFIG_FILE} (use e.g. [3000, 3999])`);
+  }
+  if (!Array.isArray(reserved) || !reserved.every(isPort)) {
+    throw new Error(`Invalid ports.reserved ${JSON.stringify(reserved)} in ${CONFIG_FILE} (use a list of port numbers)`);
+  }
+
+  return { from: range[0], to: range[1], reserved };
+}
+
+function getPortalEnvPath(portalName) {
+  return path.join('portals', portalName, ENV_FILE);
+}
+
+// PORT from a .env file, or null
+function readEnvPort(envPath) {
+  if (!fs.existsSync(envPath)) {
+    return null;
+  }
+
+  const match = fs.readFileSync(envPath, 'utf8').match(ENV_PORT_LINE);
+  const port = match ? parseInt(match[0].split('=')[1].trim().replace(/^["']|["']$/g, '')) : NaN;
+  return isPort(port) ? port : null;
+}
+
+// Set PORT in a .env file, keeping every other line
+function writeEnvPort(envPath, port) {
+  const content = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
+  const line = `PORT=${port}`;
+
+  if (ENV_PORT_LINE.test(content)) {
+    fs.writeFileSync(envPath, content.replace(ENV_PORT_LINE, line));
+  } else {
+    fs.writeFileSync(envPath, `${content}${content && !content.endsWith('\n') ? '\n' : ''}${line}\n`);
+  }
+}
+
+// The port pinned with -p in the next dev script of a package.json, or null
+function readScriptPort(packagePath) {
+  if (!fs.existsSync(packagePath)) {
+    return null;
+  }
+
+  const scripts = JSON.parse(fs.readFileSync(packagePath, 'utf8')).scripts || {};
+  const command = [...(scripts.dev || '').matchAll(NEXT_COMMAND)][0];
+  const option = command && command[2].match(PORT_OPTION);
+  return option ? parseInt(option[1]) : null;
+}
+
+// scripts with every next dev/start command pinned to port
+function setScriptPort(scripts, port) {
+  return Object.fromEntries(Object.entries(scripts).map(([name, command]) => [
+    name,
+    typeof command === 'string'
+      ? command.replace(NEXT_COMMAND, (match, subcommand, options) => `next ${subcommand} -p ${port}${options.replace(new RegExp(PORT_OPTION.source, 'g'), '')}`)
+      : command
+  ]));
+}
+
+// Pin port in a package.json's next dev/start scripts; false when it has none or they already are
+function writeScriptPort(packagePath, port) {
+  if (!fs.existsSync(packagePath)) {
+    return false;
+  }
+
+  const original = fs.readFileSync(packagePath, 'utf8');
+  const pkg = JSON.parse(original);
+  const scripts = setScriptPort(pkg.scripts || {}, port);
+
+  if (JSON.stringify(scripts) === JSON.stringify(pkg.scripts || {})) {
+    return false;
+  }
+
+  fs.writeFileSync(packagePath, JSON.stringify({ ...pkg, scripts }, null, 2) + (original.endsWith('\n') ? '\n' : ''));
+  return true;
+}
+
+function getPortalPackagePath(portalName) {
+  return path.join('portals', portalName, 'package.json');
+}
+
+// Record a portal's port where "npm run dev" and portal-serve.js look for it
+function setPortalPort(portalName, port) {
+  writeEnvPort(getPortalEnvPath(portalName), port);
+  writeScriptPort(getPortalPackagePath(portalName), port);
+}
+
+function appPorts(app) {
+  return Object.keys(app)
+    .filter(key => key === 'env' || key.startsWith('env_'))
+    .map(key => parseInt(app[key]?.PORT))
+    .filter(isPort);
+}
+
+// Map of every port in use to what uses it, leaving out portalName's own app and .env.local
+function collectUsedPorts(apps, portalName = null) {
+  const used = new Map();
+  const add = (port, owner) => used.set(port, [...new Set([...(used.get(port) || []), owner])]);
+  const ownCwd = portalName ? path.join('portals', portalName) : null;
+
+  (apps || [])
+    .filter(app => !ownCwd || typeof app.cwd !== 'string' || path.normalize(app.cwd) !== ownCwd)
+    .forEach(app => appPorts(app).forEach(port => add(port, app.name)));
+
+  if (fs.existsSync('portals')) {
+    fs.readdirSync('portals')
+      .filter(name => name !== portalName)
+      .forEach(name => {
+        const port = readEnvPort(getPortalEnvPath(name));
+        if (port) {
+          add(port, `portals/${name}/${ENV_FILE}`);
+        }
+      });
+  }
+
+  return used;
+}
+
+// Ports that more than one PM2 app uses, e.g. after editing ecosystem.config.js by hand
+function findPortConflicts(apps) {
+  const owners = new Map();
+
+  (apps || []).forEach(app => {
+    new Set(appPorts(app)).forEach(port => owners.set(port, [...(owners.get(port) || []), app.name]));
+  });
+
+  return [...owners.entries()]
+    .filter(([, names]) => names.length > 1)
+    .map(([port, names]) => ({ port, apps: names }));
+}
+
+// True when nothing on this machine is listening on port
+function isPortFree(port) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.once('error', () => resolve(false));
+    server.once('listening', () => server.close(() => resolve(true)));
+    server.listen(port);
+  });
+}
+
+// The port configured for portalName, checked against the others, or else the first port in
+// the range that is unused, not reserved and free on this machine
+async function assignPort(portalName, apps, configuredPort = null, policy = getPortPolicy()) {
+  const used = collectUsedPorts(apps, portalName);
+
+  if (configuredPort) {
+    if (used.has(configuredPort)) {
+      throw new Error(`Port ${configuredPort} configured for "${portalName}" is already used by ${used.get(configuredPort).join(', ')}`);
+    }
+    if (policy.reserved.includes(configuredPort)) {
+      throw new Error(`Port ${configuredPort} configured for "${portalName}" is reserved in ${CONFIG_FILE}`);
+    }
+    return configuredPort;
+  }
+
+  for (let port = policy.from; port <= policy.to; port++) {
+    if (!used.has(port) && !policy.reserved.includes(port) && await isPortFree(port)) {
+      return port;
+    }
+  }
+
+  throw new Error(`No free port between ${policy.from} and ${policy.to}; widen ports.range in ${CONFIG_FILE}`);
+}
+
+module.exports = {
+  ENV_FILE,
+  isPort,
+  getPortPolicy,
+  getPortalEnvPath,
+  readEnvPort,
+  writeEnvPort,
+  getPortalPackagePath,
+  readScriptPort,
+  setScriptPort,
+  writeScriptPort,
+  setPortalPort,
+  collectUsedPorts,
+  findPortConflicts,
+  isPortFree,
+  assignPort
+};
@@ -0,0 +1,141 @@
+// Validation of registry files against registry.schema.json
+
+const registrySchema = require('./registry.schema.json');
+const { parseRange } = require('./versions');
+
+class RegistryValidationError extends Error {
+  constructor(label, errors) {
+    super(`Invalid registry ${label}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'RegistryValidationError';
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return ref.slice(2).split('/').reduce((node, key) => node[key], registrySchema);
+}
+
+// Validate value against the subset of JSON Schema draft-07 used by registry.schema.json.
+// Returns a list of { path, message } problems; path is an array of keys.
+function validateSchema(schema, value, pathParts = []) {
+  if (schema.$ref) {
+    return validateSchema(resolveRef(schema.$ref), value, pathParts);
+  }
+
+  const problems = [];
+  const report = (message, at = pathParts) => problems.push({ path: at, message });
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    const actual = typeOf(value) === 'integer' ? 'number' : typeOf(value);
+    report(`must be ${schema.type === 'object' || schema.type === 'array' ? 'an' : 'a'} ${schema.type} (got ${actual})`);
+    return problems;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report('must not be empty');
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report(`"${value}" is not ${schema.title ? `a valid ${schema.title}` : `matching ${schema.pattern}`}`);
+    }
+    if (schema.format === 'version-range' && value.length > 0 && parseRange(value) === null) {
+      report(`"${value}" is not a valid version range (e.g. ^1.2.0 or >=1.0.0 <3.0.0)`);
+    }
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateSchema(schema.items, item, [...pathParts, index]));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        report(`missing required field "${key}"`);
+      }
+    }
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      report(`must have at least ${schema.minProperties} entr${schema.minProperties === 1 ? 'y' : 'ies'}`);
+    }
+
+    for (const key of keys) {
+      const keyPath = [...pathParts, key];
+
+      if (schema.propertyNames && schema.propertyNames.pattern &&
+          !new RegExp(schema.propertyNames.pattern).test(key)) {
+        const rule = schema.propertyNames.title || `matching ${schema.propertyNames.pattern}`;
+        report(`name "${key}" must be ${rule}`, keyPath);
+      }
+
+      if (schema.properties && schema.properties[key]) {
+        problems.push(...validateSchema(schema.properties[key], value[key], keyPath));
+      } else if (schema.additionalProperties === false) {
+        report('is not an allowed field', keyPath);
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(schema.additionalProperties, value[key], keyPath));
+      }
+    }
+  }
+
+  return problems;
+}
+
+// "portals.academic.themes.default" reads better as: Portal "academic", field "themes.default"
+function formatProblem({ path: pathParts, message }) {
+  if (pathParts[0] === 'portals' && pathParts.length >= 2) {
+    const field = pathParts.slice(2).join('.');
+    return field
+      ? `Portal "${pathParts[1]}", field "${field}": ${message}`
+      : `Portal "${pathParts[1]}": ${message}`;
+  }
+
+  return pathParts.length > 0 ? `Field "${pathParts.join('.')}": ${message}` : `Registry: ${message}`;
+}
+
+function validateRegistry(registry) {
+  return validateSchema(registrySchema, registry).map(formatProblem);
+}
+
+function assertValidRegistry(registry, label) {
+  const errors = validateRegistry(registry);
+  if (errors.length > 0) {
+    throw new RegistryValidationError(label, errors);
+  }
+  return registry;
+}
+
+module.exports = {
+  registrySchema,
+  RegistryValidationError,
+  validateRegistry,
+  assertValidRegistry
+};
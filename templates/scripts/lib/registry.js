@@ -0,0 +1,385 @@
+// Portal registry loading: remote http(s) registries, local registry files and template directories
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { execFileSync } = require('child_process');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { copyDirectory } = require('./files');
+const { assertValidRegistry, validateRegistry } = require('./registry-schema');
+
+const REGISTRY_FILE = 'registry.json';
+const PORTAL_METADATA_FILE = 'portal.json';
+const TARBALL_PATTERN = /\.(tgz|tar\.gz|tar)$/;
+const DEFAULT_REGISTRY_NAME = 'default';
+const REGISTRY_CACHE_FILE = 'portal-registry-cache.json';
+// A registry that has not answered by then counts as unreachable
+const FETCH_TIMEOUT_MS = 15000;
+
+// GET a JSON document over https:// or http:// (intranet registries)
+async function fetchJSON(url, timeout = FETCH_TIMEOUT_MS) {
+  const { protocol } = new URL(url);
+  const client = { 'https:': https, 'http:': http }[protocol];
+
+  if (!client) {
+    throw new Error(`Unsupported protocol ${protocol} in ${url} (use https:// or http://)`);
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, (res) => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`HTTP ${res.statusCode}`));
+        return;
+      }
+
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('error', reject);
+      res.on('end', () => {
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new Error('Invalid JSON response'));
+        }
+      });
+    }).on('error', reject);
+
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error(`No response from ${url} within ${timeout / 1000}s`));
+    });
+  });
+}
+
+function isRemoteLocation(location) {
+  return /^https?:\/\//.test(location);
+}
+
+// Template sources that live on this machine are stored as file:// URLs
+function isLocalSource(source) {
+  return typeof source === 'string' && source.startsWith('file://');
+}
+
+// Accepts file:///abs/path, file://relative/path or a plain path (relative to baseDir)
+function resolveLocalPath(location, baseDir = process.cwd()) {
+  if (location.startsWith('file:///')) {
+    return fileURLToPath(location);
+  }
+
+  if (location.startsWith('file://')) {
+    location = location.slice('file://'.length);
+  }
+
+  return path.resolve(baseDir, location);
+}
+
+function isRelativeOrAbsolutePath(value) {
+  return value.startsWith('./') || value.startsWith('../') || path.isAbsolute(value);
+}
+
+// Rewrite relative theme paths in a local registry file to absolute file:// URLs
+function normalizeLocalSources(registry, baseDir) {
+  for (const portal of Object.values(registry.portals || {})) {
+    for (const [theme, source] of Object.entries(portal.themes || {})) {
+      if (typeof source !== 'string') {
+        continue;
+      }
+
+      if (isLocalSource(source)) {
+        portal.themes[theme] = pathToFileURL(resolveLocalPath(source, baseDir)).href;
+      } else if (isRelativeOrAbsolutePath(source)) {
+        portal.themes[theme] = pathToFileURL(path.resolve(baseDir, source)).href;
+      }
+    }
+  }
+
+  return registry;
+}
+
+// Build a registry from a folder laid out as <portal>/<theme>/ or <portal>/<theme>.tgz,
+// with optional <portal>/portal.json metadata (description, version, ...)
+function scanTemplateDirectory(dir) {
+  const portals = {};
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name.startsWith('.')) {
+      continue;
+    }
+
+    const portalDir = path.join(dir, entry.name);
+    const metadataPath = path.join(portalDir, PORTAL_METADATA_FILE);
+    const metadata = fs.existsSync(metadataPath)
+      ? JSON.parse(fs.readFileSync(metadataPath, 'utf8'))
+      : {};
+
+    const themes = {};
+    for (const themeEntry of fs.readdirSync(portalDir, { withFileTypes: true })) {
+      const themePath = path.join(portalDir, themeEntry.name);
+
+      if (themeEntry.isDirectory() && !themeEntry.name.startsWith('.')) {
+        themes[themeEntry.name] = pathToFileURL(themePath).href;
+      } else if (themeEntry.isFile() && TARBALL_PATTERN.test(themeEntry.name)) {
+        themes[themeEntry.name.replace(TARBALL_PATTERN, '')] = pathToFileURL(themePath).href;
+      }
+    }
+
+    if (Object.keys(themes).length === 0) {
+      continue;
+    }
+
+    portals[entry.name] = {
+      description: metadata.description || 'No description',
+      version: metadata.version || '1.0.0',
+      ...metadata,
+      themes
+    };
+  }
+
+  return {
+    version: '1.0.0',
+    description: `Local template directory ${dir}`,
+    portals
+  };
+}
+
+function readLocalRegistry(registryPath) {
+  if (!fs.existsSync(registryPath)) {
+    throw new Error(`Local registry not found: ${registryPath}`);
+  }
+
+  if (fs.statSync(registryPath).isDirectory()) {
+    const registryFile = path.join(registryPath, REGISTRY_FILE);
+
+    if (!fs.existsSync(registryFile)) {
+      return assertValidRegistry(scanTemplateDirectory(registryPath), registryPath);
+    }
+
+    registryPath = registryFile;
+  }
+
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${registryPath}: ${error.message}`);
+  }
+
+  assertValidRegistry(registry, registryPath);
+  return normalizeLocalSources(registry, path.dirname(registryPath));
+}
+
+// Load a registry from an https:// or http:// URL, a file:// URL or a local path
+async function loadRegistry(registryUrl) {
+  if (!registryUrl) {
+    throw new Error('No registryUrl configured in .edutechrc');
+  }
+
+  if (isRemoteLocation(registryUrl)) {
+    return assertValidRegistry(await fetchJSON(registryUrl), registryUrl);
+  }
+
+  return readLocalRegistry(resolveLocalPath(registryUrl));
+}
+
+// Registries configured in .edutechrc, highest priority first.
+// Accepts the ordered "registries" list or the single legacy "registryUrl".
+function getRegistrySources(config) {
+  if (Array.isArray(config.registries) && config.registries.length > 0) {
+    return config.registries.map((source, index) => {
+      if (typeof source === 'string') {
+        return { name: index === 0 ? DEFAULT_REGISTRY_NAME : `registry${index + 1}`, url: source };
+      }
+
+      if (!source.name || !source.url) {
+        throw new Error(`Registry #${index + 1} in .edutechrc needs both "name" and "url"`);
+      }
+
+      return { name: source.name, url: source.url };
+    });
+  }
+
+  if (config.registryUrl) {
+    return [{ name: DEFAULT_REGISTRY_NAME, url: config.registryUrl }];
+  }
+
+  throw new Error('No registries configured in .edutechrc');
+}
+
+// Merge registries by priority: the first registry that defines a portal wins
+function mergeRegistries(sources, registries) {
+  const portals = {};
+
+  for (const source of sources) {
+    const registry = registries[source.name];
+    if (!registry) {
+      continue;
+    }
+
+    for (const [name, info] of Object.entries(registry.portals || {})) {
+      if (!portals[name]) {
+        portals[name] = { ...info, registry: source.name };
+      }
+    }
+  }
+
+  return { sources, registries, portals };
+}
+
+// Load every configured registry. A registry that cannot be reached falls back to
+// its copy in cachedRegistries; warnings describe what was skipped or served from cache.
+async function loadRegistries(sources, cachedRegistries = {}) {
+  const registries = {};
+  const warnings = [];
+
+  for (const source of sources) {
+    try {
+      registries[source.name] = await loadRegistry(source.url);
+    } catch (error) {
+      const cached = cachedRegistries[source.name];
+      const cacheErrors = cached ? validateRegistry(cached) : [];
+
+      if (cached && cacheErrors.length === 0) {
+        registries[source.name] = cached;
+        warnings.push(`Registry "${source.name}" unavailable (${error.message}), using cached copy`);
+      } else {
+        warnings.push(`Registry "${source.name}" unavailable: ${error.message}`);
+        if (cacheErrors.length > 0) {
+          warnings.push(`Cached copy of registry "${source.name}" is also invalid:\n${cacheErrors.map(item => `  - ${item}`).join('\n')}`);
+        }
+      }
+    }
+  }
+
+  if (Object.keys(registries).length === 0) {
+    throw new Error(warnings.join('\n'));
+  }
+
+  return { registry: mergeRegistries(sources, registries), warnings };
+}
+
+function readRegistryCache() {
+  if (!fs.existsSync(REGISTRY_CACHE_FILE)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(REGISTRY_CACHE_FILE, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeRegistryCache(registry) {
+  fs.writeFileSync(REGISTRY_CACHE_FILE, JSON.stringify({
+    ...registry,
+    lastFetched: new Date().toISOString()
+  }, null, 2));
+}
+
+// Per-registry copies from the cache; caches written before layered registries hold a single registry
+function getCachedRegistries(cache) {
+  if (!cache) {
+    return {};
+  }
+
+  if (cache.registries) {
+    return cache.registries;
+  }
+
+  return cache.portals ? { [DEFAULT_REGISTRY_NAME]: cache } : {};
+}
+
+// Check every registry held in a cache file before it is used as a fallback
+function validateRegistryCache(cache) {
+  for (const [name, registry] of Object.entries(getCachedRegistries(cache))) {
+    assertValidRegistry(registry, `"${name}" (from ${REGISTRY_CACHE_FILE})`);
+  }
+  return cache;
+}
+
+// Split "private/hostel" into a registry and portal name; plain names have no registry
+function parsePortalSpec(spec) {
+  const slashIndex = spec.indexOf('/');
+
+  if (slashIndex === -1) {
+    return { registry: null, name: spec };
+  }
+
+  return { registry: spec.slice(0, slashIndex), name: spec.slice(slashIndex + 1) };
+}
+
+// Look up a portal in a merged registry, optionally pinned to one registry by name
+function findPortal(registry, name, registryName = null) {
+  if (!registryName) {
+    return registry.portals && registry.portals[name] ? registry.portals[name] : null;
+  }
+
+  const source = registry.registries && registry.registries[registryName];
+  if (!source) {
+    const configured = (registry.sources || []).map(item => item.name);
+    if (configured.includes(registryName)) {
+      throw new Error(`Registry "${registryName}" is currently unavailable`);
+    }
+    throw new Error(`Unknown registry "${registryName}" (configured: ${configured.join(', ') || 'none'})`);
+  }
+
+  return source.portals && source.portals[name]
+    ? { ...source.portals[name], registry: registryName }
+    : null;
+}
+
+// Copy a local template folder or unpack a local tarball into destDir
+function copyLocalTemplate(source, destDir) {
+  const sourcePath = resolveLocalPath(source);
+
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Local template not found: ${sourcePath}`);
+  }
+
+  if (fs.statSync(sourcePath).isDirectory()) {
+    copyDirectory(sourcePath, destDir);
+    return;
+  }
+
+  if (!TARBALL_PATTERN.test(sourcePath)) {
+    throw new Error(`Unsupported template file (expected a folder, .tgz, .tar.gz or .tar): ${sourcePath}`);
+  }
+
+  const extractDir = `${destDir}.extract-${Date.now()}`;
+  fs.mkdirSync(extractDir, { recursive: true });
+
+  try {
+    execFileSync('tar', ['-xf', sourcePath, '-C', extractDir], { stdio: 'pipe' });
+
+    // Tarballs from npm pack or GitHub wrap everything in a single top-level folder
+    const entries = fs.readdirSync(extractDir, { withFileTypes: true });
+    const root = entries.length === 1 && entries[0].isDirectory()
+      ? path.join(extractDir, entries[0].name)
+      : extractDir;
+
+    copyDirectory(root, destDir);
+  } finally {
+    fs.rmSync(extractDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_NAME,
+  REGISTRY_CACHE_FILE,
+  fetchJSON,
+  loadRegistry,
+  loadRegistries,
+  getRegistrySources,
+  mergeRegistries,
+  parsePortalSpec,
+  findPortal,
+  readRegistryCache,
+  writeRegistryCache,
+  getCachedRegistries,
+  validateRegistryCache,
+  isRemoteLocation,
+  isLocalSource,
+  resolveLocalPath,
+  copyLocalTemplate
+};
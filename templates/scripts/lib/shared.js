@@ -0,0 +1,158 @@
+// The shared package in shared/ and the wiring that lets a portal import it as @shared/*:
+// a tsconfig/jsconfig path alias, a dependency on the package and Next.js transpilePackages.
+
+const fs = require('fs');
+const path = require('path');
+const { checkVersionRange } = require('./versions');
+const { getPackageManager } = require('./package-manager');
+
+const SHARED_DIR = 'shared';
+const SHARED_ALIAS = '@shared/';
+const SHARED_PACKAGE_FILE = path.join(SHARED_DIR, 'package.json');
+
+const NEXT_CONFIG_FILES = ['next.config.js', 'next.config.mjs', 'next.config.ts'];
+
+// shared/package.json, or null when the workspace has no shared package
+function readSharedPackage() {
+  if (!fs.existsSync(SHARED_PACKAGE_FILE)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(SHARED_PACKAGE_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`${SHARED_PACKAGE_FILE} is not valid JSON: ${error.message}`);
+  }
+}
+
+function writeJson(file, data, original) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + (original.endsWith('\n') ? '\n' : ''));
+}
+
+// "@shared/*" in compilerOptions.paths, relative to the portal's baseUrl
+function wirePathAlias(portalPath) {
+  const configName = ['tsconfig.json', 'jsconfig.json'].find(name => fs.existsSync(path.join(portalPath, name))) ||
+    'jsconfig.json';
+  const configPath = path.join(portalPath, configName);
+  const original = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : '{}\n';
+
+  let config;
+  try {
+    config = JSON.parse(original);
+  } catch (error) {
+    return { manual: `${configName} could not be parsed; add "paths": { "@shared/*": ["<path to shared>/*"] } by hand` };
+  }
+
+  const compilerOptions = config.compilerOptions || {};
+  const baseDir = path.join(portalPath, compilerOptions.baseUrl || '.');
+  const target = `${path.relative(baseDir, SHARED_DIR).split(path.sep).join('/')}/*`;
+
+  if (JSON.stringify(compilerOptions.paths?.[`${SHARED_ALIAS}*`]) === JSON.stringify([target])) {
+    return {};
+  }
+
+  config.compilerOptions = {
+    ...compilerOptions,
+    paths: { ...compilerOptions.paths, [`${SHARED_ALIAS}*`]: [target] }
+  };
+  writeJson(configPath, config, original);
+
+  return { updated: `${configName} paths` };
+}
+
+// The shared package as a dependency, so installs link it and turbo builds it first
+function wireDependency(portalPath, packageName, packageManager) {
+  const packagePath = path.join(portalPath, 'package.json');
+
+  if (!fs.existsSync(packagePath)) {
+    return {};
+  }
+
+  const original = fs.readFileSync(packagePath, 'utf8');
+  const pkg = JSON.parse(original);
+
+  if (pkg.dependencies?.[packageName] || pkg.devDependencies?.[packageName]) {
+    return {};
+  }
+
+  pkg.dependencies = { ...pkg.dependencies, [packageName]: packageManager.workspaceVersion };
+  writeJson(packagePath, pkg, original);
+
+  return { updated: 'package.json dependency' };
+}
+
+// transpilePackages: ['<shared>'] in next.config, so Next.js compiles the TypeScript in shared/.
+// Only a config object written as a literal is edited; anything else is left to the user.
+function wireNextConfig(portalPath, packageName) {
+  const configName = NEXT_CONFIG_FILES.find(name => fs.existsSync(path.join(portalPath, name)));
+
+  if (!configName) {
+    return {};
+  }
+
+  const configPath = path.join(portalPath, configName);
+  const source = fs.readFileSync(configPath, 'utf8');
+  const manual = { manual: `add transpilePackages: ['${packageName}'] to ${configName} by hand` };
+
+  if (/\btranspilePackages\s*:/.test(source)) {
+    return new RegExp(`\\btranspilePackages\\s*:\\s*\\[[^\\]]*['"\`]${packageName}['"\`]`).test(source) ? {} : manual;
+  }
+
+  const opening = source.match(/(?:\bnextConfig\b[^=\n]*=|module\.exports\s*=|export\s+default)\s*\{[ \t]*\r?\n?/);
+  if (!opening) {
+    return manual;
+  }
+
+  const end = opening.index + opening[0].length;
+  const indent = (source.slice(end).match(/^[ \t]+/) || ['  '])[0];
+  const line = `${indent}transpilePackages: ['${packageName}'],\n`;
+  const updated = opening[0].endsWith('\n')
+    ? source.slice(0, end) + line + source.slice(end)
+    : `${source.slice(0, end)}\n${line}${source.slice(end)}`;
+
+  fs.writeFileSync(configPath, updated);
+
+  return { updated: `${configName} transpilePackages` };
+}
+
+// Wire a portal to the shared package. Returns { updated, manual }: the files changed, and the
+// steps that could not be done automatically.
+function wireSharedPackage(portalPath, sharedPackage = readSharedPackage(), packageManager = getPackageManager()) {
+  if (!sharedPackage) {
+    return { updated: [], manual: [] };
+  }
+
+  const results = [
+    wirePathAlias(portalPath),
+    wireDependency(portalPath, sharedPackage.name, packageManager),
+    wireNextConfig(portalPath, sharedPackage.name)
+  ];
+
+  return {
+    updated: results.map(result => result.updated).filter(Boolean),
+    manual: results.map(result => result.manual).filter(Boolean)
+  };
+}
+
+// How the workspace's shared package fits the range a portal declares in the registry
+// ("shared": "^1.2.0"): { status, version } where status is 'satisfied', 'older' (the portal
+// needs a newer shared package), 'newer' (the shared package may have moved past the portal)
+// or 'unknown' (no shared/package.json or no version in it)
+function checkSharedCompatibility(range, sharedPackage = readSharedPackage()) {
+  const version = sharedPackage?.version || null;
+
+  if (!version) {
+    return { status: 'unknown', version };
+  }
+
+  return { status: checkVersionRange(version, range), version };
+}
+
+module.exports = {
+  SHARED_DIR,
+  SHARED_ALIAS,
+  SHARED_PACKAGE_FILE,
+  readSharedPackage,
+  wireSharedPackage,
+  checkSharedCompatibility
+};
@@ -0,0 +1,234 @@
+// Journaled portal commands. Every path a command changes is snapshotted before its first change,
+// so a failed command can be put back exactly as it was, and a command interrupted part-way
+// (Ctrl-C, crash, power loss) can be resumed or reverted by the next invocation.
+//
+// Commands run as named steps. On resume, finished steps are skipped and return their recorded
+// result; the step that was interrupted first restores the paths it had started changing.
+
+const fs = require('fs');
+const path = require('path');
+const { formatRunCommand } = require('./package-manager');
+
+const TRANSACTION_DIR = '.edutech/transaction';
+const JOURNAL_FILE = path.join(TRANSACTION_DIR, 'journal.json');
+const SNAPSHOT_DIR = path.join(TRANSACTION_DIR, 'snapshots');
+
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+class Transaction {
+  constructor(journal) {
+    this.journal = journal;
+    this.currentStep = null;
+  }
+
+  get command() {
+    return this.journal.command;
+  }
+
+  get args() {
+    return this.journal.args;
+  }
+
+  get completedSteps() {
+    return this.journal.steps.filter(step => step.status === 'done').map(step => step.name);
+  }
+
+  // True while the process that started the transaction is still running
+  get inProgress() {
+    return this.journal.pid !== process.pid && isProcessRunning(this.journal.pid);
+  }
+
+  save() {
+    fs.writeFileSync(JOURNAL_FILE, JSON.stringify(this.journal, null, 2));
+  }
+
+  isTracked(target) {
+    return this.journal.tracked.some(entry => entry.path === target);
+  }
+
+  // Snapshot target before its first change. With move, target is moved into the snapshot
+  // rather than copied, which also removes it (cheap when a portal is deleted or replaced).
+  track(target, options = {}) {
+    if (this.isTracked(target)) {
+      if (options.move) {
+        fs.rmSync(target, { recursive: true, force: true });
+      }
+      return;
+    }
+
+    const existed = fs.existsSync(target);
+    const snapshot = path.join(SNAPSHOT_DIR, String(this.journal.tracked.length));
+
+    // Journaled before anything moves: a snapshot that never appeared means target was never touched
+    this.journal.tracked.push({ path: target, existed, snapshot, step: this.currentStep });
+    this.save();
+
+    if (!existed) {
+      return;
+    }
+
+    if (options.move) {
+      fs.renameSync(target, snapshot);
+    } else {
+      // Everything is copied, generated folders included, so a restore is exact
+      fs.cpSync(target, `${snapshot}.partial`, { recursive: true });
+      fs.renameSync(`${snapshot}.partial`, snapshot);
+    }
+  }
+
+  restoreEntry(entry) {
+    if (entry.existed && !fs.existsSync(entry.snapshot)) {
+      return;
+    }
+
+    fs.rmSync(entry.path, { recursive: true, force: true });
+
+    if (entry.existed) {
+      fs.mkdirSync(path.dirname(entry.path), { recursive: true });
+      fs.renameSync(entry.snapshot, entry.path);
+    }
+  }
+
+  // Run a named step once; its result must be JSON-serializable
+  async step(name, fn) {
+    let record = this.journal.steps.find(step => step.name === name);
+
+    if (record && record.status === 'done') {
+      return record.result;
+    }
+
+    if (record) {
+      // Interrupted during this step: undo its partial changes before running it again
+      const partial = this.journal.tracked.filter(entry => entry.step === name);
+      partial.reverse().forEach(entry => this.restoreEntry(entry));
+      this.journal.tracked = this.journal.tracked.filter(entry => entry.step !== name);
+    } else {
+      record = { name, status: 'started' };
+      this.journal.steps.push(record);
+    }
+
+    this.save();
+    this.currentStep = name;
+
+    const result = await fn();
+
+    record.status = 'done';
+    record.result = result === undefined ? null : result;
+    this.currentStep = null;
+    this.save();
+
+    return record.result;
+  }
+
+  // Put every tracked path back as it was, newest change first
+  rollback() {
+    [...this.journal.tracked].reverse().forEach(entry => this.restoreEntry(entry));
+    fs.rmSync(TRANSACTION_DIR, { recursive: true, force: true });
+  }
+
+  commit() {
+    fs.rmSync(TRANSACTION_DIR, { recursive: true, force: true });
+  }
+}
+
+function loadTransaction() {
+  if (!fs.existsSync(JOURNAL_FILE)) {
+    return null;
+  }
+
+  try {
+    return new Transaction(JSON.parse(fs.readFileSync(JOURNAL_FILE, 'utf8')));
+  } catch (error) {
+    throw new Error(`${JOURNAL_FILE} is not valid JSON: ${error.message}`);
+  }
+}
+
+function beginTransaction(command, args) {
+  if (fs.existsSync(JOURNAL_FILE)) {
+    throw new Error(`Another portal command is running or was interrupted (${JOURNAL_FILE} exists)`);
+  }
+
+  fs.rmSync(TRANSACTION_DIR, { recursive: true, force: true });
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+
+  const transaction = new Transaction({
+    command,
+    args,
+    startedAt: new Date().toISOString(),
+    pid: process.pid,
+    tracked: [],
+    steps: []
+  });
+
+  transaction.save();
+  return transaction;
+}
+
+// Run fn(transaction), committing on success and rolling back on failure. Resumed
+// transactions are picked up where they stopped; they now belong to this process.
+async function runTransaction(transaction, fn) {
+  transaction.journal.pid = process.pid;
+  transaction.save();
+
+  try {
+    const result = await fn(transaction);
+    transaction.commit();
+    return result;
+  } catch (error) {
+    transaction.rollback();
+    throw error;
+  }
+}
+
+// Settle an interrupted portal command before command runs, following the --resume and --revert
+// flags. Returns null when nothing is pending and neither flag was given, so command can run;
+// otherwise { message, transaction } with what was done, where transaction is the pending one
+// for the caller to finish (--resume for the same command) and null once there is nothing left
+// to do. Throws while another process still runs it, or when it is pending and the flags do
+// not say what to do with it.
+function handlePendingTransaction(command, { resume, revert }) {
+  const pending = loadTransaction();
+
+  if (!pending) {
+    return resume || revert
+      ? { message: 'There is no interrupted portal command to resume or revert', transaction: null }
+      : null;
+  }
+
+  const label = `portal:${pending.command} ${pending.args.portalName}`;
+
+  if (pending.inProgress) {
+    throw new Error(`${label} is still running (pid ${pending.journal.pid})`);
+  }
+
+  if (revert) {
+    pending.rollback();
+    return { message: `Reverted the interrupted ${label}`, transaction: null };
+  }
+
+  const completed = pending.completedSteps.join(', ') || 'none';
+
+  if (resume && pending.command === command) {
+    return { message: `Resuming ${label} (completed steps: ${completed})`, transaction: pending };
+  }
+
+  throw new Error(`An interrupted ${label} was found (started ${pending.journal.startedAt}, ` +
+    `completed steps: ${completed}); resume it with ${formatRunCommand(`portal:${pending.command}`, '--resume')} ` +
+    `or undo it with ${formatRunCommand(`portal:${pending.command}`, '--revert')}`);
+}
+
+module.exports = {
+  TRANSACTION_DIR,
+  JOURNAL_FILE,
+  beginTransaction,
+  loadTransaction,
+  runTransaction,
+  handlePendingTransaction
+};
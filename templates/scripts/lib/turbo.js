@@ -0,0 +1,214 @@
+// turbo.json for the workspace's turbo version, and the per-portal tasks in it. Turbo 1 keeps
+// tasks under "pipeline" and turbo 2 under "tasks". A portal template can ship a turbo.json of
+// its own; its tasks are merged into the workspace file as "<package>#<task>" overrides.
+
+const fs = require('fs');
+const path = require('path');
+
+const TURBO_FILE = 'turbo.json';
+const DEFAULT_MAJOR = 2;
+
+// Task options renamed in turbo 2 (turbo 1 name -> turbo 2 name)
+const RENAMED_OPTIONS = { outputMode: 'outputLogs' };
+
+function getTasksKey(major) {
+  return major >= 2 ? 'tasks' : 'pipeline';
+}
+
+function readJSONIfExists(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+// The major version of the installed turbo, else of the turbo range in package.json
+function getTurboMajor() {
+  const installed = readJSONIfExists(path.join('node_modules', 'turbo', 'package.json'));
+  const rootPkg = readJSONIfExists('package.json') || {};
+  const version = installed?.version || rootPkg.devDependencies?.turbo || rootPkg.dependencies?.turbo;
+  const major = String(version || '').match(/\d+/);
+
+  return major ? Number(major[0]) : DEFAULT_MAJOR;
+}
+
+function convertTask(task, major) {
+  const renames = major >= 2
+    ? RENAMED_OPTIONS
+    : Object.fromEntries(Object.entries(RENAMED_OPTIONS).map(([v1, v2]) => [v2, v1]));
+
+  return Object.fromEntries(Object.entries(task).map(([option, value]) => [renames[option] || option, value]));
+}
+
+function convertTasks(tasks, major) {
+  return Object.fromEntries(Object.entries(tasks).map(([name, task]) => [name, convertTask(task, major)]));
+}
+
+// The tasks of a turbo config, whichever key they are under
+function getTasks(config) {
+  return { ...config.pipeline, ...config.tasks };
+}
+
+// config with its tasks under the key (and option names) the turbo major version expects. The
+// tasks key stays where it was among the other keys.
+function convertTurboConfig(config, major = getTurboMajor()) {
+  const tasksKey = getTasksKey(major);
+  const tasks = convertTasks(getTasks(config), major);
+  const entries = Object.entries(config).filter(([key]) => key !== 'pipeline' && key !== 'tasks');
+  const index = Object.keys(config).findIndex(key => key === 'pipeline' || key === 'tasks');
+
+  entries.splice(index === -1 ? entries.length : index, 0, [tasksKey, tasks]);
+  return Object.fromEntries(entries);
+}
+
+// turbo.json, or null when the workspace has none
+function readTurboConfig() {
+  return readJSONIfExists(TURBO_FILE);
+}
+
+function writeTurboConfig(config) {
+  fs.writeFileSync(TURBO_FILE, `${JSON.stringify(config, null, 2)}\n`);
+}
+
+// Rewrite turbo.json for the installed turbo. Returns the major version it was converted to, or
+// null when nothing changed.
+function syncTurboConfig(major = getTurboMajor()) {
+  const config = readTurboConfig();
+
+  if (!config) {
+    return null;
+  }
+
+  const converted = convertTurboConfig(config, major);
+  if (JSON.stringify(converted) === JSON.stringify(config)) {
+    return null;
+  }
+
+  writeTurboConfig(converted);
+  return major;
+}
+
+// The package name turbo knows a portal by
+function getPortalPackageName(portalName, portalPath = `portals/${portalName}`) {
+  const pkg = readJSONIfExists(path.join(portalPath, 'package.json'));
+  return pkg?.name || portalName;
+}
+
+// The tasks in a portal template's turbo.json, or null when it ships none. A turbo.json that
+// extends the workspace's ("extends": ["//"]) is a package configuration turbo reads itself.
+function readTemplateTasks(portalPath) {
+  const config = readJSONIfExists(path.join(portalPath, TURBO_FILE));
+
+  if (!config || Array.isArray(config.extends)) {
+    return null;
+  }
+
+  return getTasks(config);
+}
+
+// A portal's "<package>#<task>" entries in turbo.json, by task name
+function getPortalTasks(packageName, config = readTurboConfig()) {
+  const prefix = `${packageName}#`;
+
+  return Object.fromEntries(Object.entries(config ? getTasks(config) : {})
+    .filter(([name]) => name.startsWith(prefix))
+    .map(([name, task]) => [name.slice(prefix.length), task]));
+}
+
+// Replace a portal's "<package>#<task>" entries in turbo.json with tasks (an empty object
+// removes them). Returns the task ids written, or null when the workspace has no turbo.json.
+function setPortalTasks(packageName, tasks) {
+  const config = readTurboConfig();
+
+  if (!config) {
+    return null;
+  }
+
+  const major = getTurboMajor();
+  const converted = convertTurboConfig(config, major);
+  const prefix = `${packageName}#`;
+  const kept = Object.entries(getTasks(converted)).filter(([name]) => !name.startsWith(prefix));
+  const added = Object.entries(convertTasks(tasks, major)).map(([name, task]) => [`${prefix}${name}`, task]);
+
+  converted[getTasksKey(major)] = Object.fromEntries([...kept, ...added]);
+  writeTurboConfig(converted);
+  return added.map(([id]) => id);
+}
+
+// The overrides every portal gets: build caches what PM2 serves the portal from (out/ for a
+// static export, .next for next start) and export caches the static export. Each starts from the
+// workspace task, since a "<package>#<task>" entry replaces it rather than extending it.
+function getDefaultPortalTasks(serve, config = readTurboConfig()) {
+  const tasks = config ? getTasks(config) : {};
+
+  return {
+    build: {
+      ...(tasks.build || { dependsOn: ['^build'] }),
+      outputs: serve === 'next' ? ['.next/**', '!.next/cache/**'] : ['out/**']
+    },
+    export: { ...(tasks.export || { dependsOn: ['^build'] }), outputs: ['out/**'] }
+  };
+}
+
+// Add the default overrides a portal does not have yet (its template's tasks win). Returns the
+// task ids written, or null when the workspace has no turbo.json.
+function addDefaultPortalTasks(portalName, serve, portalPath = `portals/${portalName}`) {
+  const config = readTurboConfig();
+
+  if (!config) {
+    return null;
+  }
+
+  const packageName = getPortalPackageName(portalName, portalPath);
+  const current = getPortalTasks(packageName, config);
+  const missing = Object.entries(getDefaultPortalTasks(serve, config)).filter(([name]) => !current[name]);
+
+  if (missing.length > 0) {
+    setPortalTasks(packageName, { ...Object.fromEntries(missing), ...current });
+  }
+  return missing.map(([name]) => `${packageName}#${name}`);
+}
+
+// Move the tasks a portal template ships into turbo.json as "<package>#<task>" overrides and
+// drop the template's turbo.json, which turbo would otherwise reject as a package configuration
+// without "extends". Returns { tasks } with the task ids written, { manual } when the workspace
+// has no turbo.json, or null when the template ships no tasks.
+function mergeTemplateTasks(portalName, portalPath = `portals/${portalName}`) {
+  const tasks = readTemplateTasks(portalPath);
+
+  if (!tasks) {
+    return null;
+  }
+
+  const packageName = getPortalPackageName(portalName, portalPath);
+  const written = setPortalTasks(packageName, { ...getPortalTasks(packageName), ...tasks });
+
+  if (!written) {
+    return { manual: `no ${TURBO_FILE} in the workspace; add the tasks in portals/${portalName}/${TURBO_FILE} by hand` };
+  }
+
+  fs.rmSync(path.join(portalPath, TURBO_FILE));
+  return { tasks: written };
+}
+
+module.exports = {
+  TURBO_FILE,
+  getTurboMajor,
+  getTasksKey,
+  convertTurboConfig,
+  readTurboConfig,
+  writeTurboConfig,
+  syncTurboConfig,
+  getPortalPackageName,
+  readTemplateTasks,
+  getPortalTasks,
+  setPortalTasks,
+  getDefaultPortalTasks,
+  addDefaultPortalTasks,
+  mergeTemplateTasks
+};
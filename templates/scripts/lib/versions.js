@@ -0,0 +1,236 @@
+// Resolve registry portal versions to git refs and exact commit SHAs
+
+const { execFileSync } = require('child_process');
+
+const COMMIT_PATTERN = /^[0-9a-f]{40}$/i;
+
+// Split "academic@2.3.0" (or "private/hostel@1.0.0") into the portal spec and version
+function parseVersionSpec(spec) {
+  const atIndex = spec.lastIndexOf('@');
+
+  if (atIndex <= 0) {
+    return { spec, version: null };
+  }
+
+  return { spec: spec.slice(0, atIndex), version: spec.slice(atIndex + 1) || null };
+}
+
+function getAvailableVersions(portalInfo) {
+  const versions = new Set(Object.keys(portalInfo.versions || {}));
+  if (portalInfo.version) {
+    versions.add(portalInfo.version);
+  }
+  return [...versions];
+}
+
+// Ask the remote which commit a ref points at; annotated tags are peeled to their commit. The
+// URL and ref come from the registry, so they are passed as arguments, never through a shell.
+function lsRemote(repoUrl, ref) {
+  const output = execFileSync('git', ['ls-remote', repoUrl, ref, `${ref}^{}`], { stdio: 'pipe' }).toString();
+  const lines = output.split('\n').filter(Boolean).map(line => line.split('\t'));
+
+  const peeled = lines.find(([, name]) => name.endsWith('^{}'));
+  if (peeled) {
+    return peeled[0];
+  }
+
+  const exact = lines.find(([, name]) => name === ref || name === `refs/tags/${ref}` || name === `refs/heads/${ref}`);
+  return exact ? exact[0] : (lines[0] ? lines[0][0] : null);
+}
+
+// Resolve a registry version to { version, ref, commit } for repoUrl.
+// Registries map versions to tags, branches or commits in "versions"; otherwise tags named
+// v<version> or <version> are tried, and the registry's current version falls back to the
+// tip of the default branch.
+function resolveVersion(repoUrl, portalInfo, version) {
+  const requested = version || portalInfo.version || null;
+  const versions = portalInfo.versions || {};
+  const mapped = requested && versions[requested];
+
+  if (mapped) {
+    if (COMMIT_PATTERN.test(mapped)) {
+      return { version: requested, ref: mapped.toLowerCase(), commit: mapped.toLowerCase() };
+    }
+
+    const commit = lsRemote(repoUrl, mapped);
+    if (!commit) {
+      throw new Error(`Ref "${mapped}" for version ${requested} was not found in ${repoUrl}`);
+    }
+    return { version: requested, ref: mapped, commit };
+  }
+
+  if (requested && requested !== portalInfo.version && Object.keys(versions).length > 0) {
+    throw new Error(`Version "${requested}" is not published (available: ${getAvailableVersions(portalInfo).join(', ')})`);
+  }
+
+  if (requested) {
+    for (const ref of [`v${requested}`, requested]) {
+      const commit = lsRemote(repoUrl, ref);
+      if (commit) {
+        return { version: requested, ref, commit };
+      }
+    }
+  }
+
+  if (!requested || requested === portalInfo.version) {
+    return { version: requested, ref: 'HEAD', commit: lsRemote(repoUrl, 'HEAD') };
+  }
+
+  throw new Error(`Version ${requested} was not found in ${repoUrl} (tried v${requested}, ${requested})`);
+}
+
+function shortCommit(commit) {
+  return commit ? commit.slice(0, 7) : 'unknown';
+}
+
+const VERSION_PATTERN = /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+function parseVersion(version) {
+  const match = String(version).trim().match(VERSION_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+  return {
+    numbers: [Number(match[1]), Number(match[2]), Number(match[3])],
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+function comparePrerelease(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return b.length - a.length;
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined || b[i] === undefined) {
+      return a[i] === undefined ? -1 : 1;
+    }
+    if (a[i] !== b[i]) {
+      const numeric = /^\d+$/.test(a[i]) && /^\d+$/.test(b[i]);
+      return numeric ? Number(a[i]) - Number(b[i]) : (a[i] < b[i] ? -1 : 1);
+    }
+  }
+  return 0;
+}
+
+// Negative, zero or positive as a is lower than, equal to or higher than b (parsed versions)
+function compareParsed(a, b) {
+  for (let i = 0; i < 3; i++) {
+    if (a.numbers[i] !== b.numbers[i]) {
+      return a.numbers[i] - b.numbers[i];
+    }
+  }
+  return comparePrerelease(a.prerelease, b.prerelease);
+}
+
+// Negative, zero or positive as version a is lower than, equal to or higher than b; versions
+// that are not semver sort below every semver version
+function compareVersions(a, b) {
+  const parsedA = parseVersion(a);
+  const parsedB = parseVersion(b);
+
+  if (!parsedA || !parsedB) {
+    return (parsedA ? 1 : 0) - (parsedB ? 1 : 0);
+  }
+  return compareParsed(parsedA, parsedB);
+}
+
+// The comparators ({ op, version }) one space-separated part of a range stands for, e.g.
+// "^1.2" -> >=1.2.0 <2.0.0 and "~1.2.3" -> >=1.2.3 <1.3.0
+function parseComparator(text) {
+  const [, op = '', rest] = text.match(/^(<=|>=|<|>|=|\^|~)?(.*)$/);
+  const match = rest.match(PARTIAL_PATTERN);
+
+  if (!match) {
+    return null;
+  }
+
+  const given = [match[1], match[2], match[3]].map(part => (part === undefined || /^[xX*]$/.test(part) ? null : Number(part)));
+  const length = given.indexOf(null) === -1 ? 3 : given.indexOf(null);
+  const numbers = given.map((part, i) => (i < length ? part : 0));
+  const version = { numbers, prerelease: match[4] && length === 3 ? match[4].split('.') : [] };
+  const bump = index => ({
+    numbers: numbers.map((part, i) => (i < index ? part : i === index ? part + 1 : 0)),
+    prerelease: []
+  });
+
+  if (length === 0) {
+    return op === '<' || op === '>' ? [{ op: '<', version: { numbers: [0, 0, 0], prerelease: [] } }] : [];
+  }
+
+  if (op === '^') {
+    const index = numbers.findIndex((part, i) => part !== 0 || i === length - 1);
+    return [{ op: '>=', version }, { op: '<', version: bump(Math.min(index, length - 1)) }];
+  }
+  if (op === '~') {
+    return [{ op: '>=', version }, { op: '<', version: bump(Math.min(1, length - 1)) }];
+  }
+  if (length < 3) {
+    const next = bump(length - 1);
+    return {
+      '>': [{ op: '>=', version: next }],
+      '>=': [{ op: '>=', version }],
+      '<': [{ op: '<', version }],
+      '<=': [{ op: '<', version: next }]
+    }[op] || [{ op: '>=', version }, { op: '<', version: next }];
+  }
+  return [{ op: op || '=', version }];
+}
+
+// npm-style range ("^1.2.0", ">=1.0.0 <3", "1.x || 2.x", "1.0.0 - 2.3.0") as a list of
+// comparator sets, any of which may match; null when the range cannot be parsed
+function parseRange(range) {
+  const sets = String(range).split('||').map(part => {
+    const hyphen = part.trim().match(/^(\S+)\s+-\s+(\S+)$/);
+    const parts = hyphen
+      ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+      : part.trim().replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    const comparators = parts.map(parseComparator);
+
+    return comparators.includes(null) ? null : comparators.flat();
+  });
+
+  return sets.includes(null) ? null : sets;
+}
+
+function testComparator(version, { op, version: bound }) {
+  const order = compareParsed(version, bound);
+  return { '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0, '=': order === 0 }[op];
+}
+
+// How version relates to range: 'satisfied', 'older' (below what the range needs) or 'newer'.
+// Throws when either cannot be parsed.
+function checkVersionRange(version, range) {
+  const parsed = parseVersion(version);
+  const sets = parseRange(range);
+
+  if (!parsed) {
+    throw new Error(`Invalid version "${version}"`);
+  }
+  if (!sets) {
+    throw new Error(`Invalid version range "${range}"`);
+  }
+
+  if (sets.some(set => set.every(comparator => testComparator(parsed, comparator)))) {
+    return 'satisfied';
+  }
+
+  // Too old when, in some set, only lower bounds fail
+  const older = sets.some(set => set
+    .filter(comparator => !testComparator(parsed, comparator))
+    .every(comparator => comparator.op === '>' || comparator.op === '>='));
+
+  return older ? 'older' : 'newer';
+}
+
+module.exports = {
+  parseVersionSpec,
+  getAvailableVersions,
+  resolveVersion,
+  shortCommit,
+  compareVersions,
+  parseRange,
+  checkVersionRange
+};
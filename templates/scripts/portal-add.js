@@ -1,10 +1,60 @@
 #!/usr/bin/env node
 
-const { execSync } = require('child_process');
+const { execSync, execFileSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
 const { promisify } = require('util');
+const { getBaseSnapshotPath, saveBaseSnapshot } = require('./lib/merge');
+const { parseVersionSpec, resolveVersion, shortCommit } = require('./lib/versions');
+const { lockPortal, LOCKFILE } = require('./lib/lockfile');
+const {
+  readEcosystemApps,
+  saveEcosystemApp,
+  findPortalApp,
+  getPortalPm2Settings,
+  createPortalApp,
+  ECOSYSTEM_FILE
+} = require('./lib/ecosystem');
+const {
+  isPort,
+  getPortPolicy,
+  getPortalEnvPath,
+  setPortalPort,
+  findPortConflicts,
+  assignPort,
+  ENV_FILE
+} = require('./lib/ports');
+const { CI_PROVIDERS, getCiProvider, getWorkflowPath, writeWorkflow } = require('./lib/ci');
+const { SHARED_ALIAS, SHARED_PACKAGE_FILE, wireSharedPackage, checkSharedCompatibility } = require('./lib/shared');
+const { getPackageManager, syncWorkspaceFile, PNPM_WORKSPACE_FILE, formatRunCommand, hasFlag } = require('./lib/package-manager');
+const {
+  syncTurboConfig,
+  mergeTemplateTasks,
+  getDefaultPortalTasks,
+  addDefaultPortalTasks,
+  readTemplateTasks,
+  getPortalPackageName,
+  getTurboMajor,
+  getTasksKey,
+  readTurboConfig,
+  TURBO_FILE
+} = require('./lib/turbo');
+const { beginTransaction, runTransaction, handlePendingTransaction } = require('./lib/transaction');
+const { createScratchDir, removeScratchDir } = require('./lib/dry-run');
+const { listFiles } = require('./lib/files');
+const {
+  fetchJSON,
+  loadRegistries,
+  getRegistrySources,
+  parsePortalSpec,
+  findPortal,
+  readRegistryCache,
+  writeRegistryCache,
+  getCachedRegistries,
+  validateRegistryCache,
+  isLocalSource,
+  copyLocalTemplate
+} = require('./lib/registry');
 
 const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
@@ -37,41 +87,22 @@ function logWarning(message) {
   console.log(`${colors.yellow}⚠️  ${message}${colors.reset}`);
 }
 
-async function fetchJSON(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
-      }
-
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (error) {
-          reject(new Error('Invalid JSON response'));
-        }
-      });
-    }).on('error', reject);
-  });
-}
-
-async function getRegistry() {
+async function getRegistry(options = {}) {
+  const cache = readRegistryCache();
+  
   try {
-    // Read .edutechrc for registry URL
+    // Read .edutechrc for the registries to use
     const configContent = await readFile('.edutechrc', 'utf8');
-    const config = JSON.parse(configContent);
+    const sources = getRegistrySources(JSON.parse(configContent));
     
-    logInfo('Fetching portal registry...');
-    const registry = await fetchJSON(config.registryUrl);
+    logInfo(sources.length > 1 ? `Loading ${sources.length} portal registries...` : 'Loading portal registry...');
+    const { registry, warnings } = await loadRegistries(sources, getCachedRegistries(cache));
+    warnings.forEach(logWarning);
     
-    // Cache the registry locally
-    await writeFile('portal-registry-cache.json', JSON.stringify({
-      ...registry,
-      lastFetched: new Date().toISOString()
-    }, null, 2));
+    // Cache the registries locally (a dry run leaves the cache alone)
+    if (!options.dryRun) {
+      writeRegistryCache(registry);
+    }
     
     return registry;
   } catch (error) {
@@ -79,19 +110,95 @@ async function getRegistry() {
     logInfo('Using cached registry...');
     
     // Try to use cached registry
-    if (await exists('portal-registry-cache.json')) {
-      const cache = await readFile('portal-registry-cache.json', 'utf8');
-      return JSON.parse(cache);
+    if (cache) {
+      return validateRegistryCache(cache);
     }
     
     throw new Error('No registry available. Check your internet connection.');
   }
 }
 
-async function addPortal(portalName, theme = 'default') {
-  console.log(`\n${colors.cyan}🚀 Adding portal: ${portalName} (${theme} theme)${colors.reset}\n`);
+// Clone a git template without history: degit first, shallow git fetch as fallback.
+// When commit is given, exactly that commit is checked out. The source comes from the registry,
+// so it is passed to degit and git as an argument, never through a shell.
+async function cloneTemplate(repoUrl, portalPath, portalName, commit = null) {
+  // degit expects user/repo#ref; the git fallback below takes the full URL and commit separately
+  const source = commit ? `${repoUrl}#${commit}` : repoUrl;
+  logInfo(`Cloning from: ${source}`);
+  
+  try {
+    // Check if degit is available
+    execSync('npx degit --version', { stdio: 'pipe' });
+  } catch (error) {
+    logInfo('Installing degit...');
+    execSync('npm install -g degit', { stdio: 'pipe' });
+  }
+  
+  // Clone with degit
+  try {
+    execFileSync('npx', ['degit', source, portalPath], { stdio: 'inherit' });
+    logSuccess('Cloned successfully');
+  } catch (error) {
+    // Try alternative: git fetch without history
+    logWarning('Degit failed, trying git clone...');
+    const tempClone = `temp-clone-${portalName}`;
+    try {
+      if (commit) {
+        fs.mkdirSync(tempClone, { recursive: true });
+        execSync('git init -q', { cwd: tempClone, stdio: 'pipe' });
+        execFileSync('git', ['fetch', '--depth', '1', repoUrl, commit], { cwd: tempClone, stdio: 'pipe' });
+        execSync('git checkout -q FETCH_HEAD', { cwd: tempClone, stdio: 'pipe' });
+        
+        const fetched = execSync('git rev-parse HEAD', { cwd: tempClone, stdio: 'pipe' }).toString().trim();
+        if (fetched !== commit) {
+          throw new Error(`Fetched commit ${fetched} does not match the requested ${commit}`);
+        }
+      } else {
+        execFileSync('git', ['clone', '--depth', '1', repoUrl, tempClone], { stdio: 'pipe' });
+      }
+      
+      // Remove .git folder
+      const gitPath = path.join(tempClone, '.git');
+      if (await exists(gitPath)) {
+        fs.rmSync(gitPath, { recursive: true, force: true });
+      }
+      
+      // Move to portals directory
+      if (await exists(portalPath)) {
+        fs.rmSync(portalPath, { recursive: true, force: true });
+      }
+      fs.renameSync(tempClone, portalPath);
+      
+      logSuccess('Cloned with git (history removed)');
+    } catch (gitError) {
+      // Cleanup
+      if (await exists(tempClone)) {
+        fs.rmSync(tempClone, { recursive: true, force: true });
+      }
+      if (await exists(portalPath)) {
+        fs.rmSync(portalPath, { recursive: true, force: true });
+      }
+      
+      throw new Error(`Failed to clone repository: ${gitError.message}`);
+    }
+  }
+}
+
+// Shorthand repo URLs (user/repo) point at GitHub
+function normalizeRepoUrl(repoUrl) {
+  if (!repoUrl.includes('://') && !repoUrl.startsWith('git@')) {
+    return `https://github.com/${repoUrl}`;
+  }
+  return repoUrl;
+}
+
+async function addPortal(portalSpec, theme = 'default', options = {}) {
+  console.log(`\n${colors.cyan}🚀 Adding portal: ${portalSpec} (${theme} theme)${options.dryRun ? ' [dry run]' : ''}${colors.reset}\n`);
+  
+  // 1. Validate portal name ("<registry>/<portal>" picks a registry, "@<version>" pins a version)
+  const { spec, version: requestedVersion } = parseVersionSpec(portalSpec);
+  const { registry: registryName, name: portalName } = parsePortalSpec(spec);
   
-  // 1. Validate portal name
   if (!portalName.match(/^[a-z0-9-]+$/)) {
     logError('Portal name can only contain lowercase letters, numbers, and hyphens');
     process.exit(1);
@@ -101,29 +208,39 @@ async function addPortal(portalName, theme = 'default') {
   const portalPath = `portals/${portalName}`;
   if (await exists(portalPath)) {
     logError(`Portal "${portalName}" already exists at ${portalPath}`);
-    logInfo('Use: npm run portal:update to update existing portal');
+    logInfo(`Use: ${formatRunCommand('portal:update', portalName)} to update existing portal`);
     process.exit(1);
   }
   
   // 3. Fetch registry
   let registry;
   try {
-    registry = await getRegistry();
+    registry = await getRegistry(options);
   } catch (error) {
     logError(error.message);
     process.exit(1);
   }
   
   // 4. Find portal in registry
-  if (!registry.portals || !registry.portals[portalName]) {
-    logError(`Portal "${portalName}" not found in registry`);
+  let portalInfo;
+  try {
+    portalInfo = findPortal(registry, portalName, registryName);
+  } catch (error) {
+    logError(error.message);
+    process.exit(1);
+  }
+  
+  if (!portalInfo) {
+    logError(`Portal "${portalName}" not found in ${registryName ? `registry "${registryName}"` : 'registry'}`);
     
     // Show available portals
-    if (registry.portals) {
+    const availablePortals = registryName ? registry.registries[registryName].portals : registry.portals;
+    if (availablePortals) {
       console.log(`\n${colors.yellow}Available portals:${colors.reset}`);
-      Object.keys(registry.portals).forEach(name => {
-        const portal = registry.portals[name];
-        console.log(`  ${colors.cyan}${name}${colors.reset}: ${portal.description || 'No description'}`);
+      Object.keys(availablePortals).forEach(name => {
+        const portal = availablePortals[name];
+        const source = portal.registry ? ` [${portal.registry}]` : '';
+        console.log(`  ${colors.cyan}${name}${colors.reset}${source}: ${portal.description || 'No description'}`);
         if (portal.themes) {
           console.log(`    Themes: ${Object.keys(portal.themes).join(', ')}`);
         }
@@ -133,7 +250,9 @@ async function addPortal(portalName, theme = 'default') {
     process.exit(1);
   }
   
-  const portalInfo = registry.portals[portalName];
+  if (portalInfo.registry) {
+    logInfo(`Using registry: ${portalInfo.registry}`);
+  }
   
   // 5. Get theme repo URL
   if (!portalInfo.themes || !portalInfo.themes[theme]) {
@@ -149,81 +268,118 @@ async function addPortal(portalName, theme = 'default') {
     process.exit(1);
   }
   
-  let repoUrl = portalInfo.themes[theme];
+  const repoUrl = normalizeRepoUrl(portalInfo.themes[theme]);
   
-  // Handle shorthand repo URLs (user/repo)
-  if (!repoUrl.includes('://') && !repoUrl.startsWith('git@')) {
-    repoUrl = `https://github.com/${repoUrl}`;
-  }
+  // 6. Resolve the version to an exact commit so every checkout gets identical sources
+  let resolved = { version: portalInfo.version || '1.0.0', ref: null, commit: null };
   
-  // 6. Use degit to clone (install degit if not available)
-  logInfo(`Cloning from: ${repoUrl}`);
+  if (isLocalSource(repoUrl)) {
+    if (requestedVersion && requestedVersion !== portalInfo.version) {
+      logError(`Local template for "${portalName}" only provides version ${portalInfo.version || '1.0.0'}`);
+      process.exit(1);
+    }
+  } else {
+    try {
+      resolved = resolveVersion(repoUrl, portalInfo, requestedVersion);
+      logInfo(`Version ${resolved.version || 'latest'} → ${resolved.ref} (${shortCommit(resolved.commit)})`);
+    } catch (error) {
+      if (requestedVersion) {
+        logError(error.message);
+        process.exit(1);
+      }
+      
+      // Unpinned installs can still proceed from the default branch
+      logWarning(`Could not resolve the exact commit: ${error.message}`);
+    }
+  }
   
+  // Settings for the PM2 app and the port range are checked before anything is written
   try {
-    // Check if degit is available
-    execSync('npx degit --version', { stdio: 'pipe' });
+    getPortalPm2Settings(portalName);
+    getPortPolicy();
+    checkSharedRange(portalName, portalInfo.shared, options);
   } catch (error) {
-    logInfo('Installing degit...');
-    execSync('npm install -g degit', { stdio: 'pipe' });
+    logError(error.message);
+    process.exit(1);
   }
   
-  // Clone with degit
-  try {
-    execSync(`npx degit ${repoUrl} ${portalPath}`, { stdio: 'inherit' });
-    logSuccess('Cloned successfully');
-  } catch (error) {
-    // Try alternative: git clone without history
-    logWarning('Degit failed, trying git clone...');
-    try {
-      execSync(`git clone --depth 1 ${repoUrl} temp-clone-${portalName}`, { stdio: 'pipe' });
-      
-      // Remove .git folder
-      const gitPath = path.join(`temp-clone-${portalName}`, '.git');
-      if (await exists(gitPath)) {
-        fs.rmSync(gitPath, { recursive: true, force: true });
-      }
-      
-      // Move to portals directory
-      if (await exists(portalPath)) {
-        fs.rmSync(portalPath, { recursive: true, force: true });
-      }
-      fs.renameSync(`temp-clone-${portalName}`, portalPath);
-      
-      logSuccess('Cloned with git (history removed)');
-    } catch (gitError) {
-      // Cleanup
-      if (await exists(`temp-clone-${portalName}`)) {
-        fs.rmSync(`temp-clone-${portalName}`, { recursive: true, force: true });
-      }
-      if (await exists(portalPath)) {
-        fs.rmSync(portalPath, { recursive: true, force: true });
-      }
-      
-      logError(`Failed to clone repository: ${gitError.message}`);
-      process.exit(1);
-    }
+  if (options.dryRun) {
+    await printAddPlan(portalName, theme, repoUrl, resolved, portalInfo, options);
+    return;
   }
   
-  // 7. Save portal metadata
-  const portalConfig = {
-    name: portalName,
-    theme: theme,
-    repo: repoUrl,
-    version: portalInfo.version || '1.0.0',
-    installedAt: new Date().toISOString(),
-    source: 'registry'
-  };
+  const transaction = beginTransaction('add', {
+    portalName,
+    theme,
+    repoUrl,
+    version: resolved.version || portalInfo.version || '1.0.0',
+    ref: resolved.ref,
+    commit: resolved.commit,
+    registry: portalInfo.registry || null,
+    shared: portalInfo.shared || null,
+    skipInstall: Boolean(options.skipInstall)
+  });
+  
+  await finishAdd(transaction);
+}
+
+// Steps 7-15 run as a journaled transaction: if any of them fails, the portal folder,
+// package.json, turbo.json, ecosystem.config.js and the lockfile are put back exactly as they were
+async function applyAdd(transaction) {
+  const { portalName, theme, repoUrl } = transaction.args;
+  const portalPath = `portals/${portalName}`;
+  
+  // 7. Copy from a local registry, or use degit to clone (install degit if not available)
+  await transaction.step('fetch', async () => {
+    transaction.track(portalPath);
+    
+    if (isLocalSource(repoUrl)) {
+      logInfo(`Copying from local template: ${repoUrl}`);
+      copyLocalTemplate(repoUrl, portalPath);
+      logSuccess('Copied local template');
+    } else {
+      await cloneTemplate(repoUrl, portalPath, portalName, transaction.args.commit);
+    }
+  });
   
-  await writeFile(
-    path.join(portalPath, '.portal-config.json'),
-    JSON.stringify(portalConfig, null, 2)
-  );
+  // 8. Save portal metadata
+  const portalConfig = await transaction.step('config', async () => {
+    const config = {
+      name: portalName,
+      theme: theme,
+      repo: repoUrl,
+      version: transaction.args.version,
+      ref: transaction.args.ref,
+      commit: transaction.args.commit,
+      installedAt: new Date().toISOString(),
+      source: 'registry',
+      registry: transaction.args.registry,
+      shared: transaction.args.shared
+    };
+    
+    await writeFile(
+      path.join(portalPath, '.portal-config.json'),
+      JSON.stringify(config, null, 2)
+    );
+    
+    // Record the pristine template so portal:update can merge against it later
+    transaction.track(getBaseSnapshotPath(portalName));
+    saveBaseSnapshot(portalName, portalPath);
+    
+    // Pin the exact source in the workspace lockfile
+    transaction.track(LOCKFILE);
+    lockPortal(config, portalPath);
+    logSuccess(`Recorded in ${LOCKFILE}`);
+    
+    return config;
+  });
   
-  // 8. Update root package.json workspaces
-  try {
-    const rootPkgPath = 'package.json';
-    const rootPkgContent = await readFile(rootPkgPath, 'utf8');
-    const rootPkg = JSON.parse(rootPkgContent);
+  // 9. Update root package.json workspaces (and pnpm-workspace.yaml for pnpm)
+  await transaction.step('workspaces', async () => {
+    transaction.track('package.json');
+    transaction.track(PNPM_WORKSPACE_FILE);
+    
+    const rootPkg = JSON.parse(await readFile('package.json', 'utf8'));
     
     if (!rootPkg.workspaces) {
       rootPkg.workspaces = [];
@@ -231,78 +387,199 @@ async function addPortal(portalName, theme = 'default') {
     
     if (!rootPkg.workspaces.includes(`portals/${portalName}`)) {
       rootPkg.workspaces.push(`portals/${portalName}`);
-      await writeFile(rootPkgPath, JSON.stringify(rootPkg, null, 2));
+      await writeFile('package.json', JSON.stringify(rootPkg, null, 2));
       logSuccess('Updated workspaces configuration');
     }
+    
+    if (syncWorkspaceFile()) {
+      logSuccess(`Updated ${PNPM_WORKSPACE_FILE}`);
+    }
+  });
+  
+  // 10. Let the portal import the shared package as @shared/* (the portal folder is already
+  // tracked, so these edits are undone with it)
+  await transaction.step('shared', () => wireShared(portalPath));
+  
+  // 11. Keep turbo.json in the format the installed turbo reads, and add the portal's
+  // <package>#<task> overrides: the tasks the template ships, then build and export
+  await transaction.step('turbo', async () => {
+    transaction.track(TURBO_FILE);
+    
+    const major = syncTurboConfig();
+    if (major) {
+      logSuccess(`Converted ${TURBO_FILE} for turbo ${major}`);
+    }
+    
+    // The portal folder is already tracked, so removing the template's turbo.json is undone with it
+    addPortalTasks(portalName, portalPath);
+  });
+  
+  // 12. Assign a port no other portal uses, record it in the portal's .env.local and pin it in
+  // its next dev/start scripts (undone with the portal folder, like the shared wiring)
+  const port = await transaction.step('port', () => assignPortalPort(portalName));
+  
+  // 13. Update ecosystem.config.js if it exists
+  await transaction.step('ecosystem', () => addEcosystemApp(transaction, portalName, port));
+  
+  // 14. Add the portal to the CI/CD workflow (GitLab lists portal folders; GitHub needs no change)
+  await transaction.step('ci', () => regenerateWorkflow(transaction));
+  
+  // 15. Install dependencies
+  await transaction.step('install', async () => {
+    if (transaction.args.skipInstall) {
+      logInfo('Skipped installing dependencies (--skip-install)');
+      return;
+    }
+    
+    const packageManager = getPackageManager();
+    transaction.track(packageManager.lockfile);
+    
+    logInfo(`Installing dependencies with ${packageManager.name}...`);
+    execSync(packageManager.install, { stdio: 'inherit' });
+    logSuccess('Dependencies installed');
+  });
+  
+  return portalConfig;
+}
+
+// Block a portal that needs a newer shared package than the workspace has (unless
+// --ignore-shared), and warn when the shared package may have moved past it
+function checkSharedRange(portalName, range, options) {
+  if (!range) {
+    return;
+  }
+  
+  const { status, version } = checkSharedCompatibility(range);
+  
+  if (status === 'satisfied') {
+    logInfo(`Shared package ${version} satisfies ${portalName}'s range ${range}`);
+  } else if (status === 'unknown') {
+    logWarning(`${portalName} needs shared ${range}, but ${SHARED_PACKAGE_FILE} has no version to check`);
+  } else if (status === 'newer') {
+    logWarning(`${portalName} was built for shared ${range}; the workspace has ${version}, which may not be compatible`);
+  } else if (options.ignoreShared) {
+    logWarning(`${portalName} needs shared ${range}, but the workspace has ${version} (--ignore-shared)`);
+  } else {
+    throw new Error(`${portalName} needs shared ${range}, but the workspace has ${version}. ` +
+      'Upgrade shared/ first, or pass --ignore-shared to continue anyway');
+  }
+}
+
+// Merge the template's turbo tasks, then give the portal its default build and export overrides
+function addPortalTasks(portalName, portalPath) {
+  const merged = mergeTemplateTasks(portalName, portalPath);
+  if (merged?.tasks) {
+    logSuccess(`Added turbo tasks: ${merged.tasks.join(', ')}`);
+  } else if (merged?.manual) {
+    logWarning(`Template turbo tasks not merged: ${merged.manual}`);
+  }
+  
+  const defaults = addDefaultPortalTasks(portalName, getPortalPm2Settings(portalName).serve, portalPath);
+  if (defaults?.length > 0) {
+    logSuccess(`Added turbo tasks: ${defaults.join(', ')}`);
+  }
+}
+
+function wireShared(portalPath) {
+  const { updated, manual } = wireSharedPackage(portalPath);
+  
+  if (updated.length > 0) {
+    logSuccess(`Wired ${SHARED_ALIAS}* (${updated.join(', ')})`);
+  }
+  manual.forEach(step => logWarning(`To import ${SHARED_ALIAS}*, ${step}`));
+}
+
+// The port of the portal's PM2 app when it already has one (a reinstall keeps it as committed,
+// conflicts included), else the pm2 port from .edutechrc or a free one
+async function assignPortalPort(portalName) {
+  const apps = readEcosystemAppsSafely();
+  
+  findPortConflicts(apps).forEach(conflict => {
+    logWarning(`Port ${conflict.port} is shared by ${conflict.apps.join(', ')} in ${ECOSYSTEM_FILE}`);
+  });
+  
+  const appPort = findPortalApp(apps, portalName)?.env?.PORT;
+  const assigned = isPort(appPort) ? appPort : await assignPort(portalName, apps, getPortalPm2Settings(portalName).port);
+  
+  setPortalPort(portalName, assigned);
+  logSuccess(`Assigned port ${assigned} (${getPortalEnvPath(portalName)}, dev/start scripts)`);
+  
+  return assigned;
+}
+
+// Add the portal's PM2 app to ecosystem.config.js, when there is one and it has no app yet
+function addEcosystemApp(transaction, portalName, port) {
+  let apps;
+  try {
+    apps = readEcosystemApps();
   } catch (error) {
-    logWarning(`Could not update workspaces: ${error.message}`);
+    logWarning(`${error.message}; add the ${portalName} app to it by hand`);
+    return;
   }
   
-  // 9. Update ecosystem.config.js if it exists
-  if (await exists('ecosystem.config.js')) {
-    try {
-      const ecosystemContent = await readFile('ecosystem.config.js', 'utf8');
-      let apps = [];
-      
-      // Parse existing apps
-      const appsMatch = ecosystemContent.match(/module\.exports\s*=\s*{\s*apps:\s*(\[.*?\])\s*}/s);
-      if (appsMatch) {
-        try {
-          apps = eval(`(${appsMatch[1]})`);
-        } catch (e) {
-          apps = [];
-        }
-      }
-      
-      // Find next available port
-      let nextPort = 3000;
-      if (apps.length > 0) {
-        const lastPort = apps[apps.length - 1].env?.PORT;
-        if (lastPort) {
-          nextPort = parseInt(lastPort) + 1;
-        }
-      }
-      
-      // Add new app
-      apps.push({
-        name: `${portalName}-portal`,
-        cwd: `./portals/${portalName}`,
-        script: 'npm',
-        args: 'run dev',
-        env: {
-          PORT: nextPort,
-          NODE_ENV: 'development'
-        }
-      });
-      
-      // Write updated config
-      const newContent = `module.exports = {
-  apps: ${JSON.stringify(apps, null, 2)}
-};`;
-      
-      await writeFile('ecosystem.config.js', newContent);
-      logSuccess(`Updated PM2 config (port: ${nextPort})`);
-    } catch (error) {
-      logWarning(`Could not update ecosystem.config.js: ${error.message}`);
+  if (apps === null || findPortalApp(apps, portalName)) {
+    return;
+  }
+  
+  transaction.track(ECOSYSTEM_FILE);
+  
+  const app = createPortalApp(portalName, port);
+  saveEcosystemApp(app);
+  logSuccess(`Updated PM2 config (port: ${app.env.PORT}, production port: ${app.env_production.PORT})`);
+}
+
+// Regenerate the CI/CD workflow for the new portal list; workspaces without one, or with a
+// workflow that does not list the portals (GitHub), are left alone
+function regenerateWorkflow(transaction) {
+  try {
+    const provider = getCiProvider();
+    if (!provider || !CI_PROVIDERS[provider].listsPortals) {
+      return;
     }
+    
+    transaction.track(getWorkflowPath(provider));
+    
+    const { file, changed } = writeWorkflow();
+    if (changed) {
+      logSuccess(`Updated ${file}`);
+    }
+  } catch (error) {
+    logWarning(`${error.message}; run ${formatRunCommand('portal:ci', 'generate')} once it is fixed`);
+  }
+}
+
+// The PM2 apps, or an empty list when ecosystem.config.js is missing or unreadable; the
+// ecosystem step reports an unreadable file
+function readEcosystemAppsSafely() {
+  try {
+    return readEcosystemApps() || [];
+  } catch (error) {
+    return [];
   }
+}
+
+// Run (or resume) the add transaction and report the result
+async function finishAdd(transaction) {
+  const { portalName, theme } = transaction.args;
+  const portalPath = `portals/${portalName}`;
+  let portalConfig;
   
-  // 10. Install dependencies
-  logInfo('Installing dependencies...');
   try {
-    execSync('npm install', { stdio: 'inherit' });
-    logSuccess('Dependencies installed');
+    portalConfig = await runTransaction(transaction, applyAdd);
   } catch (error) {
-    logWarning('Dependency installation had issues. You may need to run: npm install');
+    logError(`Failed to add portal: ${error.message}`);
+    logInfo('All changes have been rolled back');
+    process.exit(1);
   }
   
-  // 11. Final success message
+  // 16. Final success message
   console.log(`\n${colors.green}═══════════════════════════════════════════════════${colors.reset}`);
   console.log(`${colors.green}🎉 PORTAL "${portalName.toUpperCase()}" ADDED SUCCESSFULLY!${colors.reset}`);
   console.log(`${colors.green}═══════════════════════════════════════════════════${colors.reset}\n`);
   
   console.log(`${colors.cyan}📁 Location:${colors.reset} portals/${portalName}/`);
   console.log(`${colors.cyan}🎨 Theme:${colors.reset} ${theme}`);
+  console.log(`${colors.cyan}🏷️  Version:${colors.reset} ${portalConfig.version}${portalConfig.commit ? ` (${shortCommit(portalConfig.commit)})` : ''}`);
   
   // Check if it's a Next.js app
   const portalPkgPath = path.join(portalPath, 'package.json');
@@ -321,31 +598,170 @@ async function addPortal(portalName, theme = 'default') {
     }
   }
   
+  const packageManager = getPackageManager();
+  
   console.log(`\n${colors.cyan}🚀 To start development:${colors.reset}`);
-  console.log(`  ${colors.green}npm run dev${colors.reset}          # Start all portals`);
-  console.log(`  ${colors.green}cd portals/${portalName} && npm run dev${colors.reset}  # Start this portal only`);
+  console.log(`  ${colors.green}${packageManager.run('dev')}${colors.reset}          # Start all portals`);
+  console.log(`  ${colors.green}cd portals/${portalName} && ${packageManager.run('dev')}${colors.reset}  # Start this portal only`);
   
   console.log(`\n${colors.cyan}🏗️  To build for production:${colors.reset}`);
-  console.log(`  ${colors.green}npm run build${colors.reset}        # Build all portals`);
-  console.log(`  ${colors.green}npm run build:portal ./portals/${portalName}${colors.reset}  # Build this portal`);
+  console.log(`  ${colors.green}${packageManager.run('build')}${colors.reset}        # Build all portals`);
+  console.log(`  ${colors.green}${packageManager.run('build:portal', `./portals/${portalName}`)}${colors.reset}  # Build this portal`);
+  
+  if (await exists(ECOSYSTEM_FILE)) {
+    console.log(`\n${colors.cyan}🖥️  To run with PM2:${colors.reset}`);
+    console.log(`  ${colors.green}pm2 start ${ECOSYSTEM_FILE}${colors.reset}                   # Dev servers`);
+    console.log(`  ${colors.green}pm2 start ${ECOSYSTEM_FILE} --env production${colors.reset}  # Built portals`);
+  }
   
   console.log(`\n${colors.yellow}📝 Note:${colors.reset} Portal configuration saved to portals/${portalName}/.portal-config.json`);
 }
 
+// --dry-run: fetch the template outside the workspace and report what adding it would change
+async function printAddPlan(portalName, theme, repoUrl, resolved, portalInfo, options = {}) {
+  const scratchDir = createScratchDir('dry-run');
+  const templatePath = path.join(scratchDir, portalName);
+  let files;
+  let wiring;
+  let turboTasks;
+  let packageName;
+  
+  try {
+    if (isLocalSource(repoUrl)) {
+      copyLocalTemplate(repoUrl, templatePath);
+    } else {
+      await cloneTemplate(repoUrl, templatePath, portalName, resolved.commit);
+    }
+    // Wire the scratch copy the same way, to see which files would change
+    wiring = wireSharedPackage(templatePath);
+    files = listFiles(templatePath);
+    turboTasks = readTemplateTasks(templatePath);
+    packageName = getPortalPackageName(portalName, templatePath);
+  } finally {
+    removeScratchDir(scratchDir);
+  }
+  
+  const version = resolved.version || portalInfo.version || '1.0.0';
+  const packageManager = getPackageManager();
+  const turboConfig = readTurboConfig();
+  
+  // The template's turbo.json is merged into the workspace's rather than kept in the portal
+  const portalFiles = turboTasks && turboConfig ? files.filter(file => file !== TURBO_FILE) : files;
+  
+  console.log(`\n${colors.cyan}🔍 Dry run: nothing has been written${colors.reset}\n`);
+  
+  const port = await assignPort(portalName, readEcosystemAppsSafely(), getPortalPm2Settings(portalName).port);
+  
+  console.log(`${colors.blue}Files (portals/${portalName}/):${colors.reset}`);
+  [...portalFiles, '.portal-config.json', `${ENV_FILE} (PORT=${port})`].forEach(file => console.log(`  ${colors.green}+ ${file}${colors.reset}`));
+  console.log(`  ${colors.yellow}~ package.json${colors.reset} (next dev/start -p ${port})`);
+  
+  if (wiring.updated.length > 0 || wiring.manual.length > 0) {
+    console.log(`${colors.blue}${SHARED_ALIAS}*:${colors.reset}`);
+    wiring.updated.forEach(file => console.log(`  ${colors.green}~ ${file}${colors.reset}`));
+    wiring.manual.forEach(step => console.log(`  ${colors.yellow}! ${step}${colors.reset}`));
+  }
+  
+  console.log(`${colors.blue}package.json:${colors.reset}`);
+  const rootPkg = JSON.parse(await readFile('package.json', 'utf8'));
+  if ((rootPkg.workspaces || []).includes(`portals/${portalName}`)) {
+    console.log('  workspaces: no change');
+  } else {
+    console.log(`  ${colors.green}workspaces: + "portals/${portalName}"${colors.reset}`);
+    if (packageManager.name === 'pnpm') {
+      console.log(`${colors.blue}${PNPM_WORKSPACE_FILE}:${colors.reset}`);
+      console.log(`  ${colors.green}packages: + 'portals/${portalName}'${colors.reset}`);
+    }
+  }
+  
+  if (turboConfig) {
+    const tasksKey = getTasksKey(getTurboMajor());
+    const wrongKey = tasksKey === 'tasks' ? 'pipeline' : 'tasks';
+    
+    const tasks = new Set([...Object.keys(turboTasks || {}), ...Object.keys(getDefaultPortalTasks(null, turboConfig))]);
+    
+    console.log(`${colors.blue}${TURBO_FILE}:${colors.reset}`);
+    if (turboConfig[wrongKey]) {
+      console.log(`  ${colors.yellow}~ "${wrongKey}" → "${tasksKey}" for turbo ${getTurboMajor()}${colors.reset}`);
+    }
+    tasks.forEach(task => console.log(`  ${colors.green}+ ${packageName}#${task}${colors.reset}`));
+  } else if (turboTasks) {
+    logWarning(`No ${TURBO_FILE} in the workspace; the template's turbo tasks would not be merged`);
+  }
+  
+  try {
+    const apps = readEcosystemApps();
+    if (apps !== null && !findPortalApp(apps, portalName)) {
+      const app = createPortalApp(portalName, port);
+      const serve = app.env_production.PORTAL_SERVE === 'next' ? 'next start' : 'serves out/';
+      console.log(`${colors.blue}${ECOSYSTEM_FILE}:${colors.reset}`);
+      console.log(`  ${colors.green}+ ${app.name}${colors.reset}`);
+      console.log(`    env:            port ${app.env.PORT}, ${packageManager.run('dev')}`);
+      console.log(`    env_production: port ${app.env_production.PORT}, ${serve}, ${app.instances} instance(s)`);
+    }
+  } catch (error) {
+    logWarning(`${error.message}; it would be left unchanged`);
+  }
+  
+  try {
+    const provider = getCiProvider();
+    if (provider && CI_PROVIDERS[provider].listsPortals) {
+      console.log(`${colors.blue}${getWorkflowPath(provider)}:${colors.reset}`);
+      console.log(`  ${colors.green}+ ${portalName} (regenerated by portal:ci)${colors.reset}`);
+    }
+  } catch (error) {
+    logWarning(`${error.message}; the CI/CD workflow would be left unchanged`);
+  }
+  
+  console.log(`${colors.blue}${LOCKFILE}:${colors.reset}`);
+  console.log(`  ${colors.green}+ ${portalName} ${version}${resolved.commit ? ` (${shortCommit(resolved.commit)})` : ''} [${theme}]${colors.reset}`);
+  
+  console.log(`${colors.blue}.edutech/base/${portalName}/:${colors.reset}`);
+  console.log(`  ${colors.green}+ base snapshot (${files.length} file(s))${colors.reset}`);
+  
+  if (!options.skipInstall) {
+    console.log(`${colors.blue}Commands:${colors.reset}`);
+    console.log(`  ${packageManager.install}`);
+  }
+  
+  console.log(`\n${colors.yellow}Run without --dry-run to add the portal.${colors.reset}`);
+}
+
 // Parse command line arguments
 function parseArgs() {
   const args = process.argv.slice(2);
   
-  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+  
+  // Checked before the empty-arguments help: npm keeps a bare --resume for itself
+  const resume = hasFlag(args, '--resume');
+  const revert = hasFlag(args, '--revert');
+  if (resume || revert) {
+    return { resume, revert };
+  }
+  
+  if (args.length === 0) {
     showHelp();
     process.exit(0);
   }
   
   let portalName = '';
   let theme = 'default';
+  let dryRun = hasFlag(args, '--dry-run');
+  let ignoreShared = false;
+  let skipInstall = false;
   
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--theme' || args[i] === '-t') {
+    if (args[i] === '--dry-run') {
+      dryRun = true;
+    } else if (args[i] === '--ignore-shared') {
+      ignoreShared = true;
+    } else if (args[i] === '--skip-install') {
+      skipInstall = true;
+    } else if (args[i] === '--theme' || args[i] === '-t') {
       theme = args[i + 1] || 'default';
       i++;
     } else if (!args[i].startsWith('-')) {
@@ -359,35 +775,77 @@ function parseArgs() {
     process.exit(1);
   }
   
-  return { portalName, theme };
+  return { portalName, theme, dryRun, ignoreShared, skipInstall };
 }
 
 function showHelp() {
   console.log(`
 ${colors.cyan}Usage:${colors.reset}
-  npm run portal:add <portal-name> [options]
+  ${formatRunCommand('portal:add', '<portal-name> [options]')}
+  ${formatRunCommand('portal:add', '<registry>/<portal-name> [options]')}
+  ${formatRunCommand('portal:add', '<portal-name>@<version> [options]')}
+  ${formatRunCommand('portal:add', '--resume | --revert')}
 
 ${colors.cyan}Options:${colors.reset}
   --theme, -t <theme>    Theme to use (default: "default")
+  --dry-run              Show what would change without writing anything
+  --ignore-shared        Add the portal even if it needs a newer shared package
+  --skip-install         Don't install dependencies afterwards
+  --resume               Finish an interrupted portal:add
+  --revert               Undo an interrupted portal command
   --help, -h             Show this help message
 
 ${colors.cyan}Examples:${colors.reset}
-  npm run portal:add cbt
-  npm run portal:add cbt --theme silk
-  npm run portal:add academic --theme modern
+  ${formatRunCommand('portal:add', 'cbt')}
+  ${formatRunCommand('portal:add', 'cbt --theme silk')}
+  ${formatRunCommand('portal:add', 'academic --theme modern')}
+  ${formatRunCommand('portal:add', 'private/hostel')}
+  ${formatRunCommand('portal:add', 'academic@2.3.0')}
+  ${formatRunCommand('portal:add', 'finance --dry-run')}
 
 ${colors.cyan}Notes:${colors.reset}
   • Portal will be added to ./portals/<portal-name>/
   • Dependencies will be installed automatically
-  • PM2 config will be updated if available
+  • The portal gets a port no other portal uses, written to its .env.local;
+    see "ports" in .edutechrc
+  • PM2 config will be updated if available, with a dev profile and a
+    production profile (--env production); see "pm2" in .edutechrc
+  • A GitLab CI/CD workflow is regenerated to deploy the new portal; the GitHub
+    workflow finds changed portals itself and is left unchanged
+  • The portal is wired to import shared/ as @shared/*; a portal whose
+    registry entry needs a newer shared version ("shared": "^1.2.0") is
+    refused
+  • Tasks in the template's turbo.json are merged into the workspace's as
+    <package>#<task>, next to build and export overrides for the portal, and
+    turbo.json is converted for the installed turbo
+  • The resolved commit SHA is recorded so every install gets identical sources
+  • With several registries, the first one listing the portal is used
+    unless a registry is named explicitly
+  • If any step fails, every change is rolled back; an interrupted run
+    must be resumed (--resume) or reverted (--revert) before the next one
   `);
 }
 
 // Main execution
 async function main() {
   try {
-    const { portalName, theme } = parseArgs();
-    await addPortal(portalName, theme);
+    const args = parseArgs();
+    
+    // An interrupted portal command is resumed or reverted before another one starts
+    const pending = handlePendingTransaction('add', args);
+    if (pending) {
+      logInfo(pending.message);
+      if (pending.transaction) {
+        await finishAdd(pending.transaction);
+      }
+      return;
+    }
+    
+    await addPortal(args.portalName, args.theme, {
+      dryRun: args.dryRun,
+      ignoreShared: args.ignoreShared,
+      skipInstall: args.skipInstall
+    });
   } catch (error) {
     logError(`Fatal error: ${error.message}`);
     process.exit(1);
@@ -400,4 +858,16 @@ if (require.main === module) {
 }
 
 // Export for testing
-module.exports = { addPortal, fetchJSON, getRegistry };
\ No newline at end of file
+module.exports = {
+  addPortal,
+  fetchJSON,
+  getRegistry,
+  cloneTemplate,
+  normalizeRepoUrl,
+  checkSharedRange,
+  addPortalTasks,
+  wireShared,
+  assignPortalPort,
+  addEcosystemApp,
+  regenerateWorkflow
+};
\ No newline at end of file
@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { compareWithTemplate } = require('./lib/adopt');
+const { lockPortal, LOCKFILE } = require('./lib/lockfile');
+const { saveBaseSnapshot, getBaseSnapshotPath } = require('./lib/merge');
+const { parsePortalSpec, findPortal, isLocalSource, copyLocalTemplate } = require('./lib/registry');
+const { parseVersionSpec, getAvailableVersions, resolveVersion, compareVersions, shortCommit } = require('./lib/versions');
+const { createScratchDir, removeScratchDir } = require('./lib/dry-run');
+const { getPackageManager, formatRunCommand, hasFlag } = require('./lib/package-manager');
+const { beginTransaction, runTransaction, handlePendingTransaction } = require('./lib/transaction');
+const { getRegistry, cloneTemplate, normalizeRepoUrl } = require('./portal-add');
+
+// Colors for console output
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+// Below this share of common lines the chosen template is probably not the one the portal
+// was copied from
+const LOW_SIMILARITY = 0.5;
+
+function formatSimilarity(similarity) {
+  return `${Math.round(similarity * 100)}%`;
+}
+
+function formatCandidate(candidate) {
+  return `${candidate.version || 'latest'}${candidate.commit ? ` (${shortCommit(candidate.commit)})` : ''}`;
+}
+
+// The template versions to compare against, newest first, each resolved to an exact commit.
+// Local templates only provide the version the registry lists.
+function listCandidates(repoUrl, portalInfo, templateName, requestedVersion) {
+  if (isLocalSource(repoUrl)) {
+    const version = portalInfo.version || '1.0.0';
+
+    if (requestedVersion && requestedVersion !== version) {
+      throw new Error(`Local template for "${templateName}" only provides version ${version}`);
+    }
+    return [{ version, ref: null, commit: null }];
+  }
+
+  const versions = requestedVersion
+    ? [requestedVersion]
+    : getAvailableVersions(portalInfo).sort(compareVersions).reverse();
+  const candidates = [];
+
+  for (const version of versions.length > 0 ? versions : [null]) {
+    try {
+      candidates.push(resolveVersion(repoUrl, portalInfo, version));
+    } catch (error) {
+      if (requestedVersion) {
+        throw error;
+      }
+      logWarning(`Skipping version ${version}: ${error.message}`);
+    }
+  }
+
+  if (candidates.length === 0) {
+    throw new Error(`No version of "${templateName}" could be resolved in ${repoUrl}`);
+  }
+
+  return candidates;
+}
+
+async function fetchTemplate(repoUrl, commit, targetPath, portalName) {
+  if (isLocalSource(repoUrl)) {
+    copyLocalTemplate(repoUrl, targetPath);
+  } else {
+    await cloneTemplate(repoUrl, targetPath, `${portalName}-adopt`, commit);
+  }
+}
+
+async function adoptPortal(portalName, options = {}) {
+  const { spec, version: requestedVersion } = parseVersionSpec(options.from || portalName);
+  const { registry: registryName, name: templateName } = parsePortalSpec(spec);
+  const theme = options.theme || 'default';
+  const portalPath = `portals/${portalName}`;
+
+  console.log(`\n${colors.cyan}🧲 Adopting portal: ${portalName} (from ${spec}, ${theme} theme)${options.dryRun ? ' [dry run]' : ''}${colors.reset}\n`);
+
+  // 1. The portal has to be on disk and not managed yet
+  if (!fs.existsSync(portalPath)) {
+    throw new Error(`Portal "${portalName}" not found at ${portalPath}`);
+  }
+  if (fs.existsSync(path.join(portalPath, '.portal-config.json'))) {
+    throw new Error(`Portal "${portalName}" is already managed (it has a .portal-config.json); use portal:update to update it`);
+  }
+
+  // 2. Find the registry portal and theme it was copied from
+  const registry = await getRegistry(options);
+  const portalInfo = findPortal(registry, templateName, registryName);
+
+  if (!portalInfo) {
+    throw new Error(`Portal "${templateName}" not found in ${registryName ? `registry "${registryName}"` : 'registry'}`);
+  }
+  if (!portalInfo.themes || !portalInfo.themes[theme]) {
+    throw new Error(`Theme "${theme}" not available for portal "${templateName}" (available: ${Object.keys(portalInfo.themes || {}).join(', ')})`);
+  }
+
+  const repoUrl = normalizeRepoUrl(portalInfo.themes[theme]);
+  const candidates = listCandidates(repoUrl, portalInfo, templateName, requestedVersion);
+
+  // 3. Compare the portal with every version; the closest one becomes its base (the newest on a tie)
+  const scratchDir = createScratchDir('adopt');
+
+  try {
+    let best = null;
+
+    for (const [index, candidate] of candidates.entries()) {
+      const templatePath = path.join(scratchDir, String(index));
+      logInfo(`Comparing with ${templateName}@${formatCandidate(candidate)}...`);
+      await fetchTemplate(repoUrl, candidate.commit, templatePath, portalName);
+
+      const report = compareWithTemplate(templatePath, portalPath);
+      candidates[index] = { ...candidate, templatePath, report };
+
+      if (!best || report.similarity > best.report.similarity) {
+        best = candidates[index];
+      }
+    }
+
+    console.log(`\n${colors.cyan}📊 Closeness to ${templateName} (${theme})${colors.reset}\n`);
+    candidates.forEach(candidate => {
+      const { similarity, changed, added, missing } = candidate.report;
+      const marker = candidate === best ? `${colors.green}→` : ' ';
+      console.log(`  ${marker} ${formatCandidate(candidate).padEnd(20)} ${formatSimilarity(similarity).padStart(4)} same  ` +
+        `${changed.length} changed, ${added.length} added, ${missing.length} missing${colors.reset}`);
+    });
+    console.log('');
+
+    if (best.report.similarity < LOW_SIMILARITY) {
+      logWarning(`${portalName} shares only ${formatSimilarity(best.report.similarity)} of its lines with ${templateName}; check --from and --theme`);
+    }
+
+    const adoption = {
+      portalName,
+      template: templateName,
+      theme,
+      repoUrl,
+      version: best.version || portalInfo.version || '1.0.0',
+      ref: best.ref,
+      commit: best.commit,
+      registry: portalInfo.registry || null,
+      shared: portalInfo.shared || null
+    };
+
+    // 4. Show what would be recorded
+    if (options.dryRun) {
+      logInfo(`Base: ${templateName}@${formatCandidate(best)}`);
+      console.log(`\n${colors.cyan}📝 Would write:${colors.reset}`);
+      [`${portalPath}/.portal-config.json`, `${getBaseSnapshotPath(portalName)}/`, `${LOCKFILE} (${portalName})`]
+        .forEach(file => console.log(`  ${colors.green}+ ${file}${colors.reset}`));
+      console.log(`\n${colors.yellow}Run without --dry-run to adopt the portal.${colors.reset}`);
+      return null;
+    }
+
+    return await finishAdopt(beginTransaction('adopt', adoption), best.templatePath);
+  } finally {
+    removeScratchDir(scratchDir);
+  }
+}
+
+// Steps 5-6 run as a journaled transaction. templatePath is the chosen template version; a
+// resumed adoption that has not saved it yet fetches it again.
+async function applyAdopt(transaction, templatePath = null) {
+  const { portalName, repoUrl, commit } = transaction.args;
+  const snapshotPath = getBaseSnapshotPath(portalName);
+
+  // 5. Record the template version as the base portal:update merges against
+  await transaction.step('base', async () => {
+    transaction.track(snapshotPath);
+
+    if (templatePath) {
+      saveBaseSnapshot(portalName, templatePath);
+      return;
+    }
+
+    const scratchDir = createScratchDir('adopt');
+    try {
+      const fetchedPath = path.join(scratchDir, 'template');
+      await fetchTemplate(repoUrl, commit, fetchedPath, portalName);
+      saveBaseSnapshot(portalName, fetchedPath);
+    } finally {
+      removeScratchDir(scratchDir);
+    }
+  });
+
+  // 6. Save the portal metadata and pin the source in the lockfile
+  return transaction.step('config', async () => {
+    const configPath = path.join('portals', portalName, '.portal-config.json');
+    const config = {
+      name: portalName,
+      template: transaction.args.template,
+      theme: transaction.args.theme,
+      repo: repoUrl,
+      version: transaction.args.version,
+      ref: transaction.args.ref,
+      commit,
+      installedAt: new Date().toISOString(),
+      source: 'adopted',
+      registry: transaction.args.registry,
+      shared: transaction.args.shared
+    };
+
+    transaction.track(configPath);
+    fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+
+    transaction.track(LOCKFILE);
+    lockPortal(config, snapshotPath);
+
+    return config;
+  });
+}
+
+// Run (or resume) the adopt transaction and report the result
+async function finishAdopt(transaction, templatePath = null) {
+  const { portalName, template } = transaction.args;
+  const packageManager = getPackageManager();
+  let portalConfig;
+
+  try {
+    portalConfig = await runTransaction(transaction, current => applyAdopt(current, templatePath));
+  } catch (error) {
+    // exitCode rather than exit(), so the caller still removes its scratch folder
+    logError(`Failed to adopt portal: ${error.message}`);
+    logInfo('All changes have been rolled back');
+    process.exitCode = 1;
+    return null;
+  }
+
+  // 7. Final success message
+  logSuccess(`Adopted ${portalName} as ${template}@${portalConfig.version}${portalConfig.commit ? ` (${shortCommit(portalConfig.commit)})` : ''}`);
+  logInfo(`Saved portals/${portalName}/.portal-config.json, ${getBaseSnapshotPath(portalName)} and ${LOCKFILE}`);
+
+  const nextSteps = [
+    [packageManager.run('portal:update', `${portalName} --dry-run`), 'Preview the upstream changes'],
+    [packageManager.run('portal:doctor'), 'Check its workspace, PM2 and turbo setup']
+  ];
+  const width = Math.max(...nextSteps.map(([command]) => command.length));
+
+  console.log(`\n${colors.yellow}📋 Next steps:${colors.reset}`);
+  nextSteps.forEach(([command, description]) => console.log(`  ${command.padEnd(width)}  # ${description}`));
+
+  return portalConfig;
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const options = {
+    portalName: null,
+    from: null,
+    theme: null,
+    dryRun: hasFlag(args, '--dry-run'),
+    resume: hasFlag(args, '--resume'),
+    revert: hasFlag(args, '--revert')
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--from' || args[i] === '--theme') {
+      options[args[i].slice(2)] = args[++i];
+    } else if (args[i].startsWith('--from=') || args[i].startsWith('--theme=')) {
+      const [key, value] = args[i].slice(2).split('=');
+      options[key] = value;
+    } else if (!args[i].startsWith('-') && !options.portalName) {
+      options.portalName = args[i];
+    }
+  }
+
+  if (!options.portalName && !options.resume && !options.revert) {
+    showHelp();
+    process.exit(1);
+  }
+  if (options.from === undefined || options.from === '' || options.theme === undefined || options.theme === '') {
+    logError('--from and --theme need a value');
+    process.exit(1);
+  }
+
+  return options;
+}
+
+function showHelp() {
+  console.log(`
+${colors.blue}Usage:${colors.reset}
+  ${formatRunCommand('portal:adopt', '<portal-name> [options]')}
+
+${colors.blue}Options:${colors.reset}
+  --from <portal>       Registry portal the folder was copied from (default:
+                        <portal-name>); "<registry>/<portal>" picks a registry
+                        and "<portal>@<version>" skips the comparison
+  --theme <theme>       Theme it was copied from (default: default)
+  --dry-run             Compare and show the chosen version without writing anything
+  --resume              Finish an interrupted portal:adopt
+  --revert              Undo an interrupted portal command
+  --help, -h            Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${formatRunCommand('portal:adopt', 'academic')}
+  ${formatRunCommand('portal:adopt', 'campus --from academic --theme modern')}
+  ${formatRunCommand('portal:adopt', 'campus --from private/academic@2.1.0')}
+  ${formatRunCommand('portal:adopt', 'campus --from academic --dry-run')}
+
+${colors.blue}Notes:${colors.reset}
+  • For portals added by hand, which have no .portal-config.json and so
+    cannot be updated or rolled back
+  • Every published version of the template is fetched and compared with the
+    folder; the one sharing the most lines becomes the base portal:update
+    merges against, so your edits are kept as local changes
+  • Writes .portal-config.json, the base snapshot in .edutech/base/ and the
+    ${LOCKFILE} entry; the portal's files are not changed
+  • Run portal:doctor afterwards to wire the portal into package.json,
+    ecosystem.config.js, turbo.json and shared/
+  `);
+}
+
+async function main() {
+  try {
+    const options = parseArgs();
+
+    // An interrupted portal command is resumed or reverted before another one starts
+    const pending = handlePendingTransaction('adopt', options);
+    if (pending) {
+      logInfo(pending.message);
+      if (pending.transaction) {
+        await finishAdopt(pending.transaction);
+      }
+      return;
+    }
+
+    await adoptPortal(options.portalName, options);
+  } catch (error) {
+    logError(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { adoptPortal };
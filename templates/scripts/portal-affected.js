@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+const { getDefaultSince, getChangedFiles, findAffectedPortals } = require('./lib/affected');
+const { SHARED_ALIAS } = require('./lib/shared');
+const { formatRunCommand } = require('./lib/package-manager');
+
+// Colors for console output
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function affectedCommand(options) {
+  // 1. Work out what changed
+  const since = options.since || getDefaultSince();
+  const files = getChangedFiles(since);
+  const result = findAffectedPortals(files);
+
+  // 2. JSON for CI: { since, files, changed, affected, shared, via }
+  if (options.json) {
+    console.log(JSON.stringify({ since, files: files.length, ...result }, null, 2));
+    return result;
+  }
+
+  // 3. Readable report
+  logInfo(`${files.length} file(s) changed since ${since || 'the first commit'}`);
+
+  const unused = result.shared.filter(file => !Object.values(result.via).some(origins => origins.includes(file)));
+  if (unused.length > 0) {
+    logInfo(`Shared changes no portal imports: ${unused.join(', ')}`);
+  }
+
+  if (result.affected.length === 0) {
+    logSuccess('No portals affected');
+    return result;
+  }
+
+  console.log(`\n${colors.cyan}📦 Affected portals${colors.reset}\n`);
+  result.affected.forEach(name => {
+    const reasons = [
+      ...(result.changed.includes(name) ? [`portals/${name}/ changed`] : []),
+      ...(result.via[name] || [])
+    ];
+    console.log(`  ${colors.green}${name}${colors.reset}  ${reasons.join(', ')}`);
+  });
+
+  return result;
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const options = {
+    since: null,
+    json: args.includes('--json')
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--since') {
+      options.since = args[++i];
+    } else if (args[i].startsWith('--since=')) {
+      options.since = args[i].slice('--since='.length);
+    }
+  }
+
+  if (options.since === undefined || options.since === '') {
+    logError('--since needs a git ref');
+    process.exit(1);
+  }
+
+  return options;
+}
+
+function showHelp() {
+  console.log(`
+${colors.blue}Usage:${colors.reset}
+  ${formatRunCommand('portal:affected', '[options]')}
+
+${colors.blue}Options:${colors.reset}
+  --since <ref>          Compare <ref> with HEAD (default: HEAD~1)
+  --json                 Print the result as JSON
+  --help, -h             Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${formatRunCommand('portal:affected', '--since origin/main')}
+  ${formatRunCommand('portal:affected', '--since HEAD~3 --json')}
+
+${colors.blue}Notes:${colors.reset}
+  • A portal is affected when files in portals/<name>/ changed, or a shared
+    module it imports through ${SHARED_ALIAS}* changed, directly or through other
+    shared modules
+  • A change to shared/package.json or shared/tsconfig*.json affects every
+    portal that imports from ${SHARED_ALIAS}*
+  • The JSON lists the changed portals, the affected portals, the changed shared
+    files and, for each portal, the shared changes that affect it
+  • portal:deploy builds and reloads the affected portals
+  `);
+}
+
+async function main() {
+  try {
+    const options = parseArgs();
+    affectedCommand(options);
+  } catch (error) {
+    logError(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { affectedCommand };
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const {
+  listBackups,
+  findBackup,
+  getBackupFilesPath,
+  migrateLegacyBackups,
+  getRetentionPolicy,
+  pruneBackups,
+  BACKUP_STORE_DIR
+} = require('./lib/backups');
+const { listFiles } = require('./lib/files');
+const { CONFIG_FILE } = require('./lib/config');
+const { shortCommit } = require('./lib/versions');
+const { formatRunCommand, hasFlag } = require('./lib/package-manager');
+
+// Colors for console output
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return 'unknown';
+  }
+
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unit = 0;
+
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+function formatDuration(ms) {
+  const days = ms / 86400000;
+  return Number.isInteger(days) ? `${days}d` : `${ms / 3600000}h`;
+}
+
+// Backups from before the backup store are moved into it on first use
+function migrateBackups() {
+  const migrated = migrateLegacyBackups();
+  if (migrated.length > 0) {
+    logInfo(`Moved ${migrated.length} old backup(s) into ${BACKUP_STORE_DIR}`);
+  }
+}
+
+function printPolicy(policy) {
+  console.log(`${colors.blue}Retention (${CONFIG_FILE} "backups"):${colors.reset}`);
+  console.log(`  keepLast:     ${policy.keepLast === null ? 'off' : `${policy.keepLast} per portal`}`);
+  console.log(`  maxAge:       ${policy.maxAge === null ? 'off' : formatDuration(policy.maxAge)}`);
+  console.log(`  maxTotalSize: ${policy.maxTotalSize === null ? 'off' : formatSize(policy.maxTotalSize)}`);
+}
+
+function listCommand(portalName) {
+  migrateBackups();
+  const backups = listBackups(portalName);
+
+  if (backups.length === 0) {
+    logInfo(portalName ? `No backups found for portal "${portalName}"` : 'The backup store is empty');
+    return;
+  }
+
+  console.log(`\n${colors.blue}Backups${portalName ? ` of ${portalName}` : ''} (newest first):${colors.reset}\n`);
+
+  const idWidth = Math.max(2, ...backups.map(backup => backup.id.length));
+  console.log(`  ${'ID'.padEnd(idWidth)}  ${'REASON'.padEnd(8)}  ${'VERSION'.padEnd(18)}  SIZE`);
+
+  backups.forEach(backup => {
+    const version = backup.version ? `${backup.version} (${shortCommit(backup.commit)})` : '-';
+    console.log(`  ${colors.cyan}${backup.id.padEnd(idWidth)}${colors.reset}  ${backup.reason.padEnd(8)}  ${version.padEnd(18)}  ${formatSize(backup.size)}`);
+  });
+
+  const total = backups.reduce((sum, backup) => sum + (backup.size || 0), 0);
+  console.log(`\n${colors.blue}Total:${colors.reset} ${backups.length} backup(s), ${formatSize(total)}\n`);
+
+  printPolicy(getRetentionPolicy());
+}
+
+function pruneCommand(portalName, dryRun) {
+  migrateBackups();
+  const policy = getRetentionPolicy();
+  const pruned = pruneBackups({ policy, portal: portalName, dryRun });
+
+  if (pruned.length === 0) {
+    logSuccess('Nothing to prune');
+    printPolicy(policy);
+    return;
+  }
+
+  console.log(`\n${colors.blue}${dryRun ? 'Would remove' : 'Removed'}:${colors.reset}\n`);
+  pruned.forEach(({ backup, rule }) => {
+    console.log(`  ${colors.cyan}${backup.id}${colors.reset}  ${formatSize(backup.size)}  (${rule})`);
+  });
+
+  const freed = pruned.reduce((sum, { backup }) => sum + (backup.size || 0), 0);
+  console.log();
+
+  if (dryRun) {
+    logInfo(`Dry run: ${pruned.length} backup(s), ${formatSize(freed)} would be freed`);
+  } else {
+    logSuccess(`Pruned ${pruned.length} backup(s), freed ${formatSize(freed)}`);
+  }
+}
+
+function inspectCommand(id) {
+  migrateBackups();
+  const backup = findBackup(listBackups(), id);
+
+  if (!backup) {
+    logError(`No backup matches "${id}"`);
+    logInfo('Run portal:backups list to see the backup ids');
+    process.exit(1);
+  }
+
+  const filesPath = getBackupFilesPath(backup);
+  const files = fs.existsSync(filesPath) ? listFiles(filesPath, []) : [];
+
+  console.log(`\n${colors.cyan}${backup.id}${colors.reset}\n`);
+  console.log(`  Portal:        ${backup.portal}`);
+  console.log(`  Reason:        ${backup.reason}`);
+  console.log(`  Created:       ${backup.createdAt}`);
+  console.log(`  Version:       ${backup.version || 'unknown'} (${shortCommit(backup.commit)})`);
+  console.log(`  Size:          ${formatSize(backup.size)}`);
+  console.log(`  Location:      ${filesPath}/`);
+  console.log(`  Workspace:     ${backup.workspace ? `portals/${backup.portal}` : 'not in workspaces'}`);
+  console.log(`  PM2 app:       ${backup.ecosystemApp ? `${backup.ecosystemApp.name} (port ${backup.ecosystemApp.env?.PORT || 'default'})` : 'none'}`);
+  console.log(`  Base snapshot: ${backup.hasBaseSnapshot ? 'yes' : 'no'}`);
+
+  if (!fs.existsSync(filesPath)) {
+    logError(`Backup files are missing from ${filesPath}/`);
+    process.exit(1);
+  }
+
+  console.log(`\n${colors.blue}Files (${files.length}):${colors.reset}`);
+  files.forEach(file => console.log(`  ${file}`));
+
+  console.log(`\n${colors.blue}Restore with:${colors.reset} ${formatRunCommand('portal:rollback', `${backup.portal} --to ${backup.id}`)}\n`);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const positional = args.filter(arg => !arg.startsWith('-'));
+
+  return {
+    command: positional[0],
+    target: positional[1] || null,
+    dryRun: hasFlag(args, '--dry-run')
+  };
+}
+
+function showHelp() {
+  console.log(`
+${colors.blue}Usage:${colors.reset}
+  ${formatRunCommand('portal:backups', 'list [portal-name]')}
+  ${formatRunCommand('portal:backups', 'prune [portal-name] [--dry-run]')}
+  ${formatRunCommand('portal:backups', 'inspect <backup-id>')}
+
+${colors.blue}Commands:${colors.reset}
+  list                  List backups, newest first, with the retention policy
+  prune                 Remove backups the retention policy no longer keeps
+  inspect               Show a backup's details and files
+
+${colors.blue}Options:${colors.reset}
+  --dry-run             Show what prune would remove without removing it
+  --help, -h            Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${formatRunCommand('portal:backups', 'list')}
+  ${formatRunCommand('portal:backups', 'list academic')}
+  ${formatRunCommand('portal:backups', 'prune --dry-run')}
+  ${formatRunCommand('portal:backups', 'inspect academic-2024-06-10T08-00-00-000Z')}
+
+${colors.blue}Notes:${colors.reset}
+  • Backups live in ${BACKUP_STORE_DIR}/ and are taken by portal:update,
+    portal:remove and portal:rollback
+  • Configure retention in ${CONFIG_FILE}:
+    "backups": { "keepLast": 5, "maxAge": "30d", "maxTotalSize": "2GB" }
+  • Retention is also applied every time a backup is taken
+  `);
+}
+
+async function main() {
+  try {
+    const args = parseArgs();
+
+    if (args.command === 'list') {
+      listCommand(args.target);
+    } else if (args.command === 'prune') {
+      pruneCommand(args.target, args.dryRun);
+    } else if (args.command === 'inspect') {
+      if (!args.target) {
+        logError('Backup id is required');
+        showHelp();
+        process.exit(1);
+      }
+      inspectCommand(args.target);
+    } else {
+      logError(`Unknown command: ${args.command}`);
+      showHelp();
+      process.exit(1);
+    }
+  } catch (error) {
+    logError(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { listCommand, pruneCommand, inspectCommand };
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const {
+  CI_PROVIDERS,
+  CI_AUTH_MODES,
+  CI_TEMPLATE_DIR,
+  getCiSettings,
+  saveCiSettings,
+  getWorkflowPath,
+  renderWorkflow,
+  writeWorkflow
+} = require('./lib/ci');
+const { readWorkspaceConfig, CONFIG_FILE } = require('./lib/config');
+const { formatRunCommand, hasFlag } = require('./lib/package-manager');
+
+// Colors for console output
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+function generateCommand(options) {
+  const config = readWorkspaceConfig();
+  const previous = config.ci?.provider || null;
+
+  // Options given on the command line are checked together with the saved settings
+  const changes = {};
+  ['provider', 'auth', 'reload'].forEach(key => {
+    if (options[key] !== null) {
+      changes[key] = options[key];
+    }
+  });
+  const settings = getCiSettings({ ...config, ci: { ...config.ci, ...changes } });
+
+  if (!settings.provider) {
+    logError(`No CI provider configured in ${CONFIG_FILE}`);
+    logInfo(`Choose one: ${formatRunCommand('portal:ci', `generate --provider ${Object.keys(CI_PROVIDERS).join('|')}`)}`);
+    process.exit(1);
+  }
+
+  if (options.dryRun) {
+    const { file, content, portals } = renderWorkflow(settings);
+    console.log(`\n${colors.cyan}🔍 Dry run: ${file} would be written for ${portals.length} portal(s)${colors.reset}\n`);
+    console.log(content);
+    return;
+  }
+
+  const { file, portals, changed } = writeWorkflow(settings);
+
+  if (Object.keys(changes).length > 0) {
+    saveCiSettings(changes);
+    logSuccess(`Saved ${Object.entries(changes).map(([key, value]) => `ci.${key}=${value}`).join(', ')} to ${CONFIG_FILE}`);
+  }
+
+  if (previous && previous !== settings.provider && fs.existsSync(getWorkflowPath(previous))) {
+    logWarning(`${getWorkflowPath(previous)} was left in place; delete it if you no longer use ${previous}`);
+  }
+
+  const portalList = portals.length > 0 ? portals.join(', ') : 'none yet';
+
+  if (changed) {
+    logSuccess(`Wrote ${file} (portals: ${portalList})`);
+  } else {
+    logInfo(`${file} is up to date (portals: ${portalList})`);
+  }
+
+  const environments = Object.entries(settings.environments).map(([name, branch]) => `${name} ← ${branch}`);
+  logInfo(`Environments: ${environments.join(', ')}`);
+  logInfo(`SSH auth: ${settings.auth}; PM2 reload: ${settings.reload ? 'on' : 'off'}`);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const options = {
+    command: args[0],
+    provider: null,
+    auth: null,
+    reload: null,
+    dryRun: hasFlag(args, '--dry-run')
+  };
+
+  for (let i = 1; i < args.length; i++) {
+    if (args[i] === '--provider' || args[i] === '--auth') {
+      options[args[i].slice(2)] = args[++i];
+    } else if (args[i].startsWith('--provider=') || args[i].startsWith('--auth=')) {
+      const [key, value] = args[i].slice(2).split('=');
+      options[key] = value;
+    } else if (args[i] === '--reload' || args[i] === '--no-reload') {
+      options.reload = args[i] === '--reload';
+    }
+  }
+
+  if (options.provider !== null && !Object.keys(CI_PROVIDERS).includes(options.provider)) {
+    logError(`Unknown CI provider "${options.provider}" (use ${Object.keys(CI_PROVIDERS).join(' or ')})`);
+    process.exit(1);
+  }
+  if (options.auth !== null && !CI_AUTH_MODES.includes(options.auth)) {
+    logError(`Unknown SSH auth "${options.auth}" (use ${CI_AUTH_MODES.join(' or ')})`);
+    process.exit(1);
+  }
+
+  return options;
+}
+
+function showHelp() {
+  console.log(`
+${colors.blue}Usage:${colors.reset}
+  ${formatRunCommand('portal:ci', 'generate [options]')}
+
+${colors.blue}Commands:${colors.reset}
+  generate              Rewrite the CI/CD workflow for the installed portals
+
+${colors.blue}Options:${colors.reset}
+  --provider <name>     github (.github/workflows/deploy.yml) or gitlab (.gitlab-ci.yml)
+  --auth <mode>         SSH auth: key (SSH_PRIVATE_KEY, the default) or password
+                        (SERVER_PASSWORD, through sshpass)
+  --reload, --no-reload Reload the built portals with PM2 after deploying (default: off)
+  --dry-run             Print the workflow without writing it
+  --help, -h            Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${formatRunCommand('portal:ci', 'generate')}
+  ${formatRunCommand('portal:ci', 'generate --provider gitlab')}
+  ${formatRunCommand('portal:ci', 'generate --auth key --reload')}
+  ${formatRunCommand('portal:ci', 'generate --dry-run')}
+
+${colors.blue}Notes:${colors.reset}
+  • The workflow is rendered from ${CI_TEMPLATE_DIR}/; edit the template, not the
+    generated file, which is overwritten
+  • Options are saved to the "ci" section of ${CONFIG_FILE}, which also maps each
+    deploy environment to its branch:
+    "environments": { "staging": "staging", "production": "main" }
+  • Secrets (SERVER_HOST, SERVER_USER, PROJECT_DIR, SSH_KNOWN_HOSTS and
+    SSH_PRIVATE_KEY or SERVER_PASSWORD) are set per environment in GitHub
+    environments or GitLab environment-scoped variables
+  • Portals are the folders in portals/ plus the portals in edutech-lock.json
+  • portal:add and portal:remove regenerate the workflow automatically
+  `);
+}
+
+async function main() {
+  try {
+    const options = parseArgs();
+
+    if (options.command === 'generate') {
+      generateCommand(options);
+    } else {
+      logError(`Unknown command: ${options.command}`);
+      showHelp();
+      process.exit(1);
+    }
+  } catch (error) {
+    logError(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { generateCommand };
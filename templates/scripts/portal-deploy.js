@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+
+const { execSync, execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { getCommit, getDefaultSince, getChangedFiles, findAffectedPortals } = require('./lib/affected');
+const {
+  DEPLOY_STATE_FILE,
+  getPortalDir,
+  getReloadCommands,
+  readDeployState,
+  writeDeployState,
+  getDeployStarts,
+  planIncrementalDeploy,
+  recordDeploy,
+  parseTarget,
+  getRemoteScript
+} = require('./lib/deploy');
+const { listCiPortals } = require('./lib/ci');
+const { readEcosystemApps, findPortalApp, ECOSYSTEM_FILE } = require('./lib/ecosystem');
+const { getPackageManager, formatRunCommand, hasFlag } = require('./lib/package-manager');
+
+// Colors for console output
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+// PM2 apps, or an empty list when there is no ecosystem.config.js (builds still run)
+function readAppsForDeploy() {
+  try {
+    return readEcosystemApps() || [];
+  } catch (error) {
+    logWarning(`${error.message}; portals will be built but not reloaded`);
+    return [];
+  }
+}
+
+// --incremental: move the deploy record forward to HEAD, except for the portals that failed
+function saveDeployRecord(options, portals, plan, failed = []) {
+  if (options.incremental && !options.dryRun) {
+    writeDeployState(recordDeploy(portals, plan.since, failed, getCommit('HEAD')));
+  }
+}
+
+function deployLocal(options) {
+  // 1. Work out what changed
+  const portals = listCiPortals();
+  // Without --since the last commit is deployed; a repository with one commit deploys everything
+  const since = options.since || getDefaultSince();
+  const deployed = options.incremental ? readDeployState().portals : {};
+  let plan;
+
+  if (options.all) {
+    plan = { changed: portals, affected: portals, via: {}, since: getDeployStarts(portals, deployed, since) };
+    logInfo(`Deploying all ${portals.length} portal(s)`);
+  } else if (options.incremental) {
+    // Each portal from its last successful deploy, so one that failed is tried again
+    plan = planIncrementalDeploy(portals, deployed, since);
+    const recorded = portals.filter(name => plan.since[name] !== since).length;
+    logInfo(`Changes since the last deploy of ${recorded} portal(s) and since ${since || 'the first commit'} for the rest`);
+  } else {
+    const files = getChangedFiles(since);
+    plan = findAffectedPortals(files, portals);
+    logInfo(`${files.length} file(s) changed since ${since || 'the first commit'}`);
+  }
+
+  if (plan.affected.length === 0) {
+    saveDeployRecord(options, portals, plan);
+    logSuccess('No portal changes to deploy');
+    return;
+  }
+
+  const apps = readAppsForDeploy();
+  const packageManager = getPackageManager();
+
+  // 2. Show the plan
+  console.log(`\n${colors.cyan}🚀 Deploy plan${colors.reset}\n`);
+  console.log(`${colors.blue}Changed portals:${colors.reset} ${plan.changed.join(', ') || 'none'}`);
+  Object.entries(plan.via)
+    .filter(([name]) => !plan.changed.includes(name))
+    .forEach(([name, files]) => console.log(`${colors.blue}Shared change:${colors.reset}   ${name} (${files.join(', ')})`));
+  console.log(`${colors.blue}Build:${colors.reset}           ${plan.affected.join(', ')}`);
+
+  if (options.dryRun) {
+    console.log(`\n${colors.blue}Commands:${colors.reset}`);
+    plan.affected.forEach(name => console.log(`  (cd ${getPortalDir(name, apps)} && ${packageManager.run('build')})`));
+    if (options.reload) {
+      getReloadCommands(plan.affected, apps).forEach(command => console.log(`  ${command.join(' ')}`));
+    }
+    console.log(`\n${colors.yellow}Run without --dry-run to deploy.${colors.reset}`);
+    return;
+  }
+
+  // 3. Build, carrying on past failures so every portal gets a result
+  const successful = [];
+  const failed = [];
+
+  plan.affected.forEach(name => {
+    const dir = getPortalDir(name, apps);
+    console.log(`\n${colors.cyan}🏗️  Building ${name} (${dir})${colors.reset}`);
+
+    try {
+      execSync(packageManager.run('build'), { cwd: dir, stdio: 'inherit' });
+    } catch (error) {
+      failed.push(name);
+      logError(`${name} build failed`);
+      return;
+    }
+
+    // A portal served as a static export would crash on reload without out/
+    if (findPortalApp(apps, name)?.env_production?.PORTAL_SERVE === 'static' && !fs.existsSync(path.join(dir, 'out'))) {
+      failed.push(name);
+      logError(`${name} is served from out/ but its build made none; set output: 'export' in its next.config, or PORTAL_SERVE: 'next' for its app in ${ECOSYSTEM_FILE}`);
+      return;
+    }
+
+    successful.push(name);
+    logSuccess(`${name} built successfully`);
+  });
+
+  // 4. Reload the PM2 apps of the portals that built
+  if (!options.reload) {
+    logInfo('PM2 reload skipped (--no-reload)');
+  } else if (!fs.existsSync(ECOSYSTEM_FILE)) {
+    logWarning(`No ${ECOSYSTEM_FILE}; nothing to reload`);
+  } else {
+    successful
+      .filter(name => !findPortalApp(apps, name))
+      .forEach(name => logWarning(`${name} has no app in ${ECOSYSTEM_FILE}; it was built but not reloaded`));
+
+    getReloadCommands(successful, apps).forEach(([command, ...args]) => {
+      console.log(`\n${colors.cyan}🔄 ${command} ${args.join(' ')}${colors.reset}`);
+      execFileSync(command, args, { stdio: 'inherit' });
+    });
+  }
+
+  // 5. Record what was deployed; a failed reload above stops before this, so nothing moves forward
+  saveDeployRecord(options, portals, plan, failed);
+
+  // 6. Summary
+  console.log(`\n${colors.cyan}=== Deployment Summary ===${colors.reset}`);
+  console.log(`${colors.green}Built:${colors.reset}  ${successful.join(', ') || 'none'}`);
+  console.log(`${colors.red}Failed:${colors.reset} ${failed.join(', ') || 'none'}`);
+
+  if (failed.length > 0) {
+    logError(`${failed.length} portal(s) failed to build`);
+    process.exit(1);
+  }
+
+  logSuccess('Deployment complete');
+}
+
+// Run the same deploy on a server: pull, install and deploy what changed since its last commit
+function deployRemote(options) {
+  const target = parseTarget(options.target);
+  const branch = options.branch || execFileSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], { encoding: 'utf8' }).trim();
+  const deployArgs = [
+    ...(options.all ? ['--all'] : []),
+    ...(options.reload ? [] : ['--no-reload'])
+  ];
+
+  const script = getRemoteScript(target.dir, branch, getPackageManager().install, deployArgs, options.since);
+  const [ssh, ...sshArgs] = options.ssh.split(/\s+/).filter(Boolean);
+  const args = [...sshArgs, ...(target.port ? ['-p', target.port] : []), target.destination, 'bash -s'];
+
+  if (options.dryRun) {
+    console.log(`\n${colors.cyan}🔍 Dry run: nothing has been run on ${target.destination}${colors.reset}\n`);
+    console.log(`${colors.blue}Command:${colors.reset} ${ssh} ${args.join(' ')}`);
+    console.log(`${colors.blue}Script:${colors.reset}\n${script}`);
+    return;
+  }
+
+  logInfo(`Deploying ${branch} to ${target.destination}:${target.dir}`);
+
+  const result = spawnSync(ssh, args, { input: script, stdio: ['pipe', 'inherit', 'inherit'] });
+
+  if (result.error) {
+    throw new Error(`Could not run ${ssh}: ${result.error.message}`);
+  }
+  if (result.status !== 0) {
+    logError(`Deploy on ${target.destination} failed (exit code ${result.status})`);
+    process.exit(result.status || 1);
+  }
+
+  logSuccess(`Deployed ${branch} to ${target.destination}`);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const options = {
+    since: null,
+    target: null,
+    branch: null,
+    ssh: 'ssh',
+    all: args.includes('--all'),
+    incremental: args.includes('--incremental'),
+    reload: !args.includes('--no-reload'),
+    dryRun: hasFlag(args, '--dry-run')
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split(/=(.*)/s);
+    const key = flag.slice(2);
+
+    if (['since', 'target', 'branch', 'ssh'].includes(key) && flag.startsWith('--')) {
+      options[key] = inlineValue !== undefined ? inlineValue : args[++i];
+
+      if (!options[key]) {
+        logError(`${flag} needs a value`);
+        process.exit(1);
+      }
+    }
+  }
+
+  return options;
+}
+
+function showHelp() {
+  console.log(`
+${colors.blue}Usage:${colors.reset}
+  ${formatRunCommand('portal:deploy', '[options]')}
+
+${colors.blue}Options:${colors.reset}
+  --since <ref>          Deploy what changed between <ref> and HEAD (default: HEAD~1;
+                         with --target, the commit the server was on)
+  --all                  Build and reload every portal
+  --incremental          Deploy each portal's changes since its last successful
+                         deploy on this machine (recorded in
+                         ${DEPLOY_STATE_FILE}); --since is used for
+                         portals without one
+  --no-reload            Build without reloading PM2
+  --target <url>         Deploy on a server: ssh://user@host[:port]/path/to/workspace
+  --branch <name>        Branch the server pulls (default: the current branch)
+  --ssh <command>        SSH command for --target (default: ssh)
+  --dry-run              Show what would be built and reloaded without doing it
+  --help, -h             Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${formatRunCommand('portal:deploy', '--since origin/main --dry-run')}
+  ${formatRunCommand('portal:deploy', '--all --no-reload')}
+  ${formatRunCommand('portal:deploy', '--target ssh://deploy@example.com/srv/workspace --branch main')}
+  ${formatRunCommand('portal:deploy', '--target ssh://deploy@example.com/srv/workspace --dry-run')}
+
+${colors.blue}Notes:${colors.reset}
+  • A portal is deployed when files in portals/<name>/ changed, or shared code it
+    imports through @shared/* (see ${formatRunCommand('portal:affected')})
+  • Each portal is built with the workspace's package manager (run build) in its
+    PM2 app's cwd; a failed build does not stop the others, but the command
+    exits with an error
+  • Built portals are reloaded with pm2 startOrReload ${ECOSYSTEM_FILE}
+    --only <app> --env production
+  • With --target the server runs git pull, installs dependencies and runs this
+    command with --incremental, so a portal that failed to build is deployed
+    again next time; --since then applies to portals the server has no record of
+  `);
+}
+
+async function main() {
+  try {
+    const options = parseArgs();
+
+    if (options.target) {
+      deployRemote(options);
+    } else {
+      deployLocal(options);
+    }
+  } catch (error) {
+    logError(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { deployLocal, deployRemote };
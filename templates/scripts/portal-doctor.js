@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+const { AREAS, runChecks } = require('./lib/doctor');
+const { loadTransaction } = require('./lib/transaction');
+const { formatRunCommand } = require('./lib/package-manager');
+
+// Colors for console output
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+// Style helpers
+const dim = '\x1b[2m';
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+// A half-done portal command has to be resumed or reverted before anything is repaired
+function hasPendingTransaction() {
+  try {
+    return Boolean(loadTransaction());
+  } catch (error) {
+    return true;
+  }
+}
+
+// Apply the repairs one at a time; each re-reads the files it changes, so an earlier repair
+// cannot leave a later one working from stale data
+async function applyFixes(issues) {
+  let applied = 0;
+
+  for (const { fix } of issues.filter(issue => issue.fix)) {
+    try {
+      const manual = await fix.apply();
+      logSuccess(fix.description);
+      (manual || []).forEach(step => logWarning(`Still to do by hand: ${step}`));
+      applied++;
+    } catch (error) {
+      logError(`${fix.description}: ${error.message}`);
+    }
+  }
+
+  return applied;
+}
+
+function printReport(issues) {
+  AREAS.forEach(area => {
+    const found = issues.filter(issue => issue.area === area);
+
+    console.log(`\n${colors.cyan}${area}${colors.reset}`);
+    if (found.length === 0) {
+      log('  ✅ OK', colors.green);
+      return;
+    }
+
+    found.forEach(issue => {
+      const [icon, color] = issue.severity === 'error' ? ['❌', colors.red] : ['⚠️ ', colors.yellow];
+      log(`  ${icon} ${issue.message}`, color);
+      if (issue.fix) {
+        log(`     ${dim}fix: ${issue.fix.description}`);
+      } else if (issue.hint) {
+        log(`     ${dim}hint: ${issue.hint}`);
+      }
+    });
+  });
+
+  console.log('');
+}
+
+async function doctorCommand(options) {
+  // 1. Check the workspace
+  let issues = runChecks();
+
+  // 2. Apply the safe repairs, then check again to show what is left
+  if (options.fix && issues.some(issue => issue.fix)) {
+    if (hasPendingTransaction()) {
+      logError('An interrupted portal command has to be resumed or reverted before anything is repaired');
+    } else {
+      logInfo('Repairing the workspace...');
+      const applied = await applyFixes(issues);
+      logInfo(`Applied ${applied} repair(s)`);
+      issues = runChecks();
+    }
+  }
+
+  // 3. JSON for scripts: [{ severity, area, message, hint, fix }]
+  if (options.json) {
+    console.log(JSON.stringify(issues.map(issue => ({ ...issue, fix: issue.fix?.description || null })), null, 2));
+    return issues;
+  }
+
+  // 4. Readable report
+  printReport(issues);
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  const warnings = issues.length - errors;
+  const fixable = issues.filter(issue => issue.fix).length;
+
+  if (issues.length === 0) {
+    logSuccess('No issues found');
+    return issues;
+  }
+
+  (errors > 0 ? logError : logWarning)(`${errors} error(s), ${warnings} warning(s)`);
+  if (fixable > 0 && !options.fix) {
+    logInfo(`${fixable} can be repaired automatically: ${formatRunCommand('portal:doctor', '--fix')}`);
+  }
+
+  return issues;
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  return {
+    fix: args.includes('--fix'),
+    json: args.includes('--json')
+  };
+}
+
+function showHelp() {
+  console.log(`
+${colors.blue}Usage:${colors.reset}
+  ${formatRunCommand('portal:doctor', '[options]')}
+
+${colors.blue}Options:${colors.reset}
+  --fix                  Apply the repairs that are safe to make automatically
+  --json                 Print the issues as JSON
+  --help, -h             Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${formatRunCommand('portal:doctor')}
+  ${formatRunCommand('portal:doctor', '--fix')}
+  ${formatRunCommand('portal:doctor', '--json')}
+
+${colors.blue}Notes:${colors.reset}
+  • Checks ${AREAS.join(', ')}
+  • Errors break a portal command, turbo or PM2; warnings are drift the
+    workspace still works with
+  • --fix edits workspaces, PM2 apps, ports, turbo.json tasks, portal metadata
+    and the lockfile; it never deletes a portal folder. Issues without a safe
+    repair come with a hint
+  • Exits with 1 while any error is left, so it can run in CI
+  `);
+}
+
+async function main() {
+  try {
+    const options = parseArgs();
+    const issues = await doctorCommand(options);
+
+    if (issues.some(issue => issue.severity === 'error')) {
+      process.exit(1);
+    }
+  } catch (error) {
+    logError(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { doctorCommand };
@@ -0,0 +1,335 @@
+#!/usr/bin/env node
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { readLockfile, hashDirectory, LOCKFILE } = require('./lib/lockfile');
+const { addBackup, getNewBackupPath, MANIFEST_FILE } = require('./lib/backups');
+const { saveBaseSnapshot, getBaseSnapshotPath } = require('./lib/merge');
+const { isLocalSource, copyLocalTemplate } = require('./lib/registry');
+const { shortCommit } = require('./lib/versions');
+const { getPackageManager, syncWorkspaceFile, PNPM_WORKSPACE_FILE, formatRunCommand, hasFlag } = require('./lib/package-manager');
+const { TURBO_FILE } = require('./lib/turbo');
+const { beginTransaction, runTransaction, handlePendingTransaction } = require('./lib/transaction');
+const { cloneTemplate, wireShared, addPortalTasks, assignPortalPort, addEcosystemApp } = require('./portal-add');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const exists = promisify(fs.exists);
+
+// Colors for console output
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+async function readInstalledConfig(portalName) {
+  const configPath = `portals/${portalName}/.portal-config.json`;
+
+  if (!await exists(configPath)) {
+    return null;
+  }
+
+  return JSON.parse(await readFile(configPath, 'utf8'));
+}
+
+async function ensureWorkspaceEntry(portalName) {
+  const rootPkg = JSON.parse(await readFile('package.json', 'utf8'));
+
+  if (!rootPkg.workspaces) {
+    rootPkg.workspaces = [];
+  }
+
+  if (!rootPkg.workspaces.includes(`portals/${portalName}`)) {
+    rootPkg.workspaces.push(`portals/${portalName}`);
+    await writeFile('package.json', JSON.stringify(rootPkg, null, 2));
+  }
+
+  syncWorkspaceFile();
+}
+
+// Fetch a locked portal at its exact commit and verify the content hash. Runs as one
+// transaction per portal, so a failed install leaves the workspace as it was. Returns
+// { backup } with the id of the backup taken of a portal reinstalled with --force.
+async function installPortal(transaction) {
+  const { portalName, entry } = transaction.args;
+  const portalPath = `portals/${portalName}`;
+
+  // The lockfile pins the template, not the edits made to the portal since, so a portal being
+  // reinstalled is backed up for portal:rollback before it is replaced
+  const backup = await transaction.step('backup', () => {
+    if (!fs.existsSync(portalPath)) {
+      return null;
+    }
+
+    const createdAt = new Date();
+    transaction.track(MANIFEST_FILE);
+    transaction.track(getNewBackupPath(portalName, createdAt));
+    return addBackup(portalName, 'install', createdAt).id;
+  });
+
+  await transaction.step('fetch', async () => {
+    // Also clears a portal being reinstalled with --force
+    transaction.track(portalPath, { move: true });
+
+    if (isLocalSource(entry.repo)) {
+      copyLocalTemplate(entry.repo, portalPath);
+    } else {
+      await cloneTemplate(entry.repo, portalPath, portalName, entry.commit);
+    }
+
+    if (entry.integrity) {
+      const integrity = hashDirectory(portalPath);
+
+      if (integrity !== entry.integrity) {
+        throw new Error(`Integrity check failed for "${portalName}" (expected ${entry.integrity}, got ${integrity})`);
+      }
+    }
+  });
+
+  await transaction.step('config', async () => {
+    const portalConfig = {
+      name: portalName,
+      ...(entry.template ? { template: entry.template } : {}),
+      theme: entry.theme,
+      repo: entry.repo,
+      version: entry.version,
+      ref: entry.ref,
+      commit: entry.commit,
+      installedAt: new Date().toISOString(),
+      source: 'lockfile',
+      registry: entry.registry,
+      shared: entry.shared || null
+    };
+
+    await writeFile(
+      path.join(portalPath, '.portal-config.json'),
+      JSON.stringify(portalConfig, null, 2)
+    );
+
+    transaction.track(getBaseSnapshotPath(portalName));
+    saveBaseSnapshot(portalName, portalPath);
+
+    transaction.track('package.json');
+    transaction.track(PNPM_WORKSPACE_FILE);
+    await ensureWorkspaceEntry(portalName);
+  });
+
+  // The fetched copy is the pristine template; make the edits portal:add made to it again. The
+  // portal folder is tracked, so the wiring and port are undone with it.
+  await transaction.step('shared', () => wireShared(portalPath));
+
+  await transaction.step('turbo', () => {
+    transaction.track(TURBO_FILE);
+    addPortalTasks(portalName, portalPath);
+  });
+
+  const port = await transaction.step('port', () => assignPortalPort(portalName));
+
+  await transaction.step('ecosystem', () => addEcosystemApp(transaction, portalName, port));
+
+  return { backup };
+}
+
+// Install one portal as its own transaction; an existing journal is resumed instead
+async function installLockedPortal(portalName, entry, pending = null) {
+  const label = `${portalName}@${entry.version || 'unknown'}${entry.commit ? ` (${shortCommit(entry.commit)})` : ''}`;
+  const transaction = pending || beginTransaction('install', { portalName, entry });
+
+  logInfo(`Installing ${label}...`);
+
+  try {
+    const { backup } = await runTransaction(transaction, installPortal);
+    logSuccess(`Installed ${label}`);
+    if (backup) {
+      logInfo(`  The previous portals/${portalName} was saved as backup ${backup}; restore it with ${formatRunCommand('portal:rollback', portalName)}`);
+    }
+    return true;
+  } catch (error) {
+    logError(`Failed to install ${portalName}: ${error.message}`);
+    return false;
+  }
+}
+
+async function installFromLockfile(options = {}) {
+  console.log(`\n${colors.cyan}📦 Installing portals from ${LOCKFILE}${colors.reset}\n`);
+
+  if (!await exists(LOCKFILE)) {
+    logError(`No ${LOCKFILE} found in this workspace`);
+    logInfo('It is created by portal:add, portal:update and portal:remove');
+    process.exit(1);
+  }
+
+  let lock;
+  try {
+    lock = readLockfile();
+  } catch (error) {
+    logError(error.message);
+    process.exit(1);
+  }
+
+  const lockedNames = Object.keys(lock.portals);
+  if (lockedNames.length === 0) {
+    logInfo(`${LOCKFILE} has no portals`);
+    return;
+  }
+
+  const installed = [];
+  const skipped = [];
+  const failed = [];
+
+  for (const portalName of lockedNames) {
+    const entry = lock.portals[portalName];
+    const portalPath = `portals/${portalName}`;
+
+    if (await exists(portalPath) && !options.force) {
+      const config = await readInstalledConfig(portalName);
+
+      // Only the template is locked, so an installed portal is kept with its local changes
+      if (config && entry.commit && config.commit !== entry.commit) {
+        logWarning(`${portalName} is installed at ${shortCommit(config.commit)} but locked at ${shortCommit(entry.commit)}`);
+        logInfo(`  Use --force to reinstall it from ${LOCKFILE}`);
+      } else {
+        logInfo(`${portalName} already installed, skipping`);
+      }
+
+      skipped.push(portalName);
+      continue;
+    }
+
+    if (await installLockedPortal(portalName, entry)) {
+      installed.push(portalName);
+    } else {
+      failed.push(portalName);
+    }
+  }
+
+  // Portals on disk that the lockfile does not know about
+  if (await exists('portals')) {
+    fs.readdirSync('portals')
+      .filter(name => fs.statSync(path.join('portals', name)).isDirectory() && !lock.portals[name])
+      .forEach(name => logWarning(`portals/${name} is not in ${LOCKFILE}`));
+  }
+
+  if (installed.length > 0 && !options.skipInstall) {
+    const packageManager = getPackageManager();
+    logInfo(`Installing dependencies with ${packageManager.name}...`);
+    try {
+      execSync(packageManager.install, { stdio: 'inherit' });
+      logSuccess('Dependencies installed');
+    } catch (error) {
+      logWarning(`Dependency installation had issues. You may need to run: ${packageManager.install}`);
+    }
+  }
+
+  console.log(`\n${colors.cyan}Summary:${colors.reset}`);
+  console.log(`  Installed: ${installed.length > 0 ? installed.join(', ') : 'none'}`);
+  console.log(`  Skipped:   ${skipped.length > 0 ? skipped.join(', ') : 'none'}`);
+
+  if (failed.length > 0) {
+    console.log(`  ${colors.red}Failed:    ${failed.join(', ')}${colors.reset}`);
+    process.exit(1);
+  }
+
+  logSuccess('Workspace matches the lockfile');
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  return {
+    force: args.includes('--force') || args.includes('-f'),
+    skipInstall: args.includes('--skip-install'),
+    resume: hasFlag(args, '--resume'),
+    revert: hasFlag(args, '--revert')
+  };
+}
+
+function showHelp() {
+  console.log(`
+${colors.blue}Usage:${colors.reset}
+  ${formatRunCommand('portal:install', '[options]')}
+
+${colors.blue}Options:${colors.reset}
+  --force, -f           Reinstall portals that already exist (backed up first)
+  --skip-install        Do not install dependencies afterwards
+  --resume              Finish an interrupted portal:install, then the rest
+  --revert              Undo an interrupted portal command
+  --help, -h            Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${formatRunCommand('portal:install')}
+  ${formatRunCommand('portal:install', '--force')}
+
+${colors.blue}Notes:${colors.reset}
+  • Installs every portal in ${LOCKFILE} at its locked commit
+  • Verifies each portal against the content hash in the lockfile, then wires it
+    to shared/, gives it its port and adds its PM2 app, as portal:add does
+  • The content hash is the template's; local changes to a portal are not in
+    ${LOCKFILE}, so existing portals are left untouched unless --force is
+    used, and --force backs each one up for portal:rollback before replacing it
+  • A portal that fails to install is removed again; the others are kept
+  `);
+}
+
+async function main() {
+  try {
+    const args = parseArgs();
+
+    // An interrupted portal command is resumed or reverted before another one starts; a
+    // resumed install carries on with the rest of the lockfile afterwards
+    const pending = handlePendingTransaction('install', args);
+    if (pending) {
+      logInfo(pending.message);
+      if (!pending.transaction) {
+        return;
+      }
+      if (!await installLockedPortal(pending.transaction.args.portalName, pending.transaction.args.entry, pending.transaction)) {
+        process.exit(1);
+      }
+    }
+
+    await installFromLockfile(args);
+  } catch (error) {
+    logError(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { installFromLockfile, installPortal };
@@ -2,11 +2,19 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
 const { promisify } = require('util');
+const {
+  loadRegistries,
+  getRegistrySources,
+  readRegistryCache,
+  writeRegistryCache,
+  getCachedRegistries,
+  validateRegistryCache,
+  isRemoteLocation
+} = require('./lib/registry');
+const { formatRunCommand } = require('./lib/package-manager');
 
 const readFile = promisify(fs.readFile);
-const writeFile = promisify(fs.writeFile);
 const exists = promisify(fs.exists);
 const readdir = promisify(fs.readdir);
 
@@ -46,60 +54,44 @@ function logWarning(message) {
   log(`⚠️  ${message}`, colors.yellow);
 }
 
-async function fetchJSON(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      if (res.statusCode !== 200) {
-        reject(new Error(`HTTP ${res.statusCode}`));
-        return;
-      }
-
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (error) {
-          reject(new Error('Invalid JSON response'));
-        }
-      });
-    }).on('error', reject);
-  });
-}
-
 async function getRegistry(forceRefresh = false) {
+  const cache = readRegistryCache();
+  
   try {
-    // Read .edutechrc for registry URL
+    // Read .edutechrc for the registries to use
     const configContent = await readFile('.edutechrc', 'utf8');
-    const config = JSON.parse(configContent);
-    
-    // Check cache
-    const cachePath = 'portal-registry-cache.json';
+    const sources = getRegistrySources(JSON.parse(configContent));
     const now = Date.now();
     
-    if (!forceRefresh && await exists(cachePath)) {
-      const cacheContent = await readFile(cachePath, 'utf8');
-      const cache = JSON.parse(cacheContent);
+    // Local registries are cheap to read, so the cache only short-circuits all-remote setups
+    const allRemote = sources.every(source => isRemoteLocation(source.url));
+    
+    if (allRemote && !forceRefresh && cache && cache.registries) {
+      // Use cache if less than 1 hour old and built from the same registries
+      const sameSources = sources.every(source => cache.registries[source.name]);
       
-      // Use cache if less than 1 hour old
-      if (cache.lastFetched) {
+      if (sameSources && cache.lastFetched) {
         const cacheTime = new Date(cache.lastFetched).getTime();
         if (now - cacheTime < 60 * 60 * 1000) { // 1 hour
-          logInfo('Using cached registry (use --refresh to update)');
-          return cache;
+          try {
+            validateRegistryCache(cache);
+            logInfo('Using cached registry (use --refresh to update)');
+            return cache;
+          } catch (error) {
+            // Fall through and fetch a fresh copy
+            logWarning(error.message);
+          }
         }
       }
     }
     
-    // Fetch fresh registry
-    logInfo('Fetching latest registry...');
-    const registry = await fetchJSON(config.registryUrl);
+    // Fetch fresh registries
+    logInfo(sources.length > 1 ? `Fetching ${sources.length} registries...` : 'Fetching latest registry...');
+    const { registry, warnings } = await loadRegistries(sources, getCachedRegistries(cache));
+    warnings.forEach(logWarning);
     
     // Update cache
-    await writeFile(cachePath, JSON.stringify({
-      ...registry,
-      lastFetched: new Date().toISOString()
-    }, null, 2));
+    writeRegistryCache(registry);
     
     logSuccess('Registry updated');
     return registry;
@@ -108,10 +100,9 @@ async function getRegistry(forceRefresh = false) {
     logWarning(`Failed to fetch registry: ${error.message}`);
     
     // Try to use cached registry
-    if (await exists('portal-registry-cache.json')) {
+    if (cache) {
       logInfo('Falling back to cached registry');
-      const cache = await readFile('portal-registry-cache.json', 'utf8');
-      return JSON.parse(cache);
+      return validateRegistryCache(cache);
     }
     
     throw new Error('No registry available');
@@ -149,6 +140,8 @@ async function getInstalledPortals() {
       version: config.version || 'unknown',
       installedAt: config.installedAt || 'unknown',
       repo: config.repo || 'unknown',
+      registry: config.registry || 'default',
+      commit: config.commit || null,
       description: pkg.description || 'No description',
       path: portalPath
     });
@@ -227,18 +220,36 @@ async function listAvailablePortals(registry) {
       info.description || 'No description',
       Object.keys(info.themes || {}).join(', ') || 'default',
       info.version || '1.0.0',
+      info.registry || 'default',
       status
     ]);
   });
   
   printTable(
-    ['Portal', 'Description', 'Themes', 'Version', 'Status'],
+    ['Portal', 'Description', 'Themes', 'Version', 'Registry', 'Status'],
     rows,
-    [colors.white, colors.white, colors.white, colors.white]
+    [colors.white, colors.white, colors.white, colors.white, colors.white]
   );
   
   console.log(`${dim}Total:${colors.reset} ${Object.keys(registry.portals).length} portal(s) available`);
-  console.log(`${dim}Use:${colors.reset} ${colors.green}npm run portal:add <name> [--theme <theme>]${colors.reset} to install`);
+  
+  // Portals hidden by a higher-priority registry can still be installed explicitly
+  const shadowed = [];
+  (registry.sources || []).forEach(source => {
+    const sourceRegistry = (registry.registries || {})[source.name];
+    Object.keys((sourceRegistry && sourceRegistry.portals) || {}).forEach(name => {
+      if (registry.portals[name] && registry.portals[name].registry !== source.name) {
+        shadowed.push(`${source.name}/${name}`);
+      }
+    });
+  });
+  
+  if (shadowed.length > 0) {
+    console.log(`${dim}Overridden by a higher-priority registry:${colors.reset} ${shadowed.join(', ')}`);
+  }
+  
+  console.log(`${dim}Use:${colors.reset} ${colors.green}${formatRunCommand('portal:add', '<name> [--theme <theme>]')}${colors.reset} to install`);
+  console.log(`${dim}     ${colors.green}${formatRunCommand('portal:add', '<registry>/<name>')}${colors.reset} to install from a specific registry`);
 }
 
 async function listInstalledPortals() {
@@ -246,7 +257,7 @@ async function listInstalledPortals() {
   
   if (portals.length === 0) {
     console.log(`\n${colors.yellow}No portals installed yet${colors.reset}`);
-    console.log(`${dim}Use ${colors.green}npm run portal:list --available${colors.reset} to see available portals`);
+    console.log(`${dim}Use ${colors.green}${formatRunCommand('portal:list', '--available')}${colors.reset} to see available portals`);
     return;
   }
   
@@ -268,8 +279,8 @@ async function listInstalledPortals() {
   );
   
   console.log(`${dim}Total:${colors.reset} ${portals.length} portal(s) installed`);
-  console.log(`${dim}Manage:${colors.reset} ${colors.green}npm run portal:update <name>${colors.reset} to update`);
-  console.log(`${dim}        ${colors.green}npm run portal:remove <name>${colors.reset} to remove`);
+  console.log(`${dim}Manage:${colors.reset} ${colors.green}${formatRunCommand('portal:update', '<name>')}${colors.reset} to update`);
+  console.log(`${dim}        ${colors.green}${formatRunCommand('portal:remove', '<name>')}${colors.reset} to remove`);
 }
 
 async function listAll() {
@@ -296,10 +307,16 @@ async function listAll() {
   }
   
   console.log(`\n${dim}Commands:${colors.reset}`);
-  console.log(`  ${colors.green}npm run portal:list --installed${colors.reset}  Show installed portals`);
-  console.log(`  ${colors.green}npm run portal:list --available${colors.reset}  Show available portals`);
-  console.log(`  ${colors.green}npm run portal:list --refresh${colors.reset}    Refresh registry cache`);
-  console.log(`  ${colors.green}npm run portal:add <name>${colors.reset}        Install a portal`);
+  const commands = [
+    [formatRunCommand('portal:list', '--installed'), 'Show installed portals'],
+    [formatRunCommand('portal:list', '--available'), 'Show available portals'],
+    [formatRunCommand('portal:list', '--refresh'), 'Refresh registry cache'],
+    [formatRunCommand('portal:add', '<name>'), 'Install a portal']
+  ];
+  const width = Math.max(...commands.map(([command]) => command.length));
+  commands.forEach(([command, description]) => {
+    console.log(`  ${colors.green}${command.padEnd(width)}${colors.reset}  ${description}`);
+  });
 }
 
 function printPortalInfo(portal, isDetailed = false) {
@@ -314,6 +331,10 @@ function printPortalInfo(portal, isDetailed = false) {
   if (isDetailed) {
     console.log(`  ${colors.white}Path:${colors.reset} ${portal.path}`);
     console.log(`  ${colors.white}Repository:${colors.reset} ${portal.repo}`);
+    console.log(`  ${colors.white}Registry:${colors.reset} ${portal.registry}`);
+    if (portal.commit) {
+      console.log(`  ${colors.white}Commit:${colors.reset} ${portal.commit}`);
+    }
     
     // Check for Next.js
     const nextConfig = path.join(portal.path, 'next.config.js');
@@ -357,7 +378,10 @@ async function showPortalDetails(portalName) {
         console.log(`  ${colors.white}Description:${colors.reset} ${availablePortal.description}`);
         console.log(`  ${colors.white}Themes:${colors.reset} ${Object.keys(availablePortal.themes || {}).join(', ')}`);
         console.log(`  ${colors.white}Version:${colors.reset} ${availablePortal.version || '1.0.0'}`);
-        console.log(`\n${colors.green}Install with:${colors.reset} npm run portal:add ${portalName}`);
+        if (availablePortal.registry) {
+          console.log(`  ${colors.white}Registry:${colors.reset} ${availablePortal.registry}`);
+        }
+        console.log(`\n${colors.green}Install with:${colors.reset} ${formatRunCommand('portal:add', portalName)}`);
       }
     } catch (error) {
       // Ignore registry errors
@@ -408,9 +432,19 @@ function parseArgs() {
 }
 
 function showHelp() {
+  const examples = [
+    ['', 'Show all portals'],
+    ['--installed', 'Show installed portals only'],
+    ['--available', 'Show available portals only'],
+    ['--refresh', 'Refresh and show all'],
+    ['--details cbt', 'Show details about CBT portal'],
+    ['-d academic', 'Show details about Academic portal']
+  ].map(([args, description]) => [formatRunCommand('portal:list', args), description]);
+  const width = Math.max(...examples.map(([command]) => command.length));
+
   console.log(`
 ${bold}${colors.blue}Usage:${colors.reset}
-  npm run portal:list [options]
+  ${formatRunCommand('portal:list', '[options]')}
 
 ${bold}${colors.blue}Options:${colors.reset}
   --installed, -i        List only installed portals
@@ -420,12 +454,7 @@ ${bold}${colors.blue}Options:${colors.reset}
   --help, -h             Show this help message
 
 ${bold}${colors.blue}Examples:${colors.reset}
-  npm run portal:list                 # Show all portals
-  npm run portal:list --installed     # Show installed portals only
-  npm run portal:list --available     # Show available portals only
-  npm run portal:list --refresh       # Refresh and show all
-  npm run portal:list --details cbt   # Show details about CBT portal
-  npm run portal:list -d academic     # Show details about Academic portal
+${examples.map(([command, description]) => `  ${command.padEnd(width)}   # ${description}`).join('\n')}
 
 ${bold}${colors.blue}Notes:${colors.reset}
   • Registry is cached for 1 hour
@@ -461,7 +490,7 @@ async function main() {
   } catch (error) {
     if (error.message === 'No registry available') {
       logError('Cannot connect to portal registry');
-      logInfo('Check your internet connection or .edutechrc configuration');
+      logInfo('Check your internet connection or the registryUrl in .edutechrc');
       
       // Still show installed portals if any
       const installed = await getInstalledPortals();
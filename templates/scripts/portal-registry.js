@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { fetchJSON, isRemoteLocation, resolveLocalPath } = require('./lib/registry');
+const { registrySchema, validateRegistry } = require('./lib/registry-schema');
+const { formatRunCommand } = require('./lib/package-manager');
+
+// Colors for console output
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+async function readRegistryFile(location) {
+  if (isRemoteLocation(location)) {
+    return { registry: await fetchJSON(location), baseDir: null };
+  }
+
+  let registryPath = resolveLocalPath(location);
+
+  if (!fs.existsSync(registryPath)) {
+    throw new Error(`File not found: ${registryPath}`);
+  }
+
+  if (fs.statSync(registryPath).isDirectory()) {
+    registryPath = path.join(registryPath, 'registry.json');
+  }
+
+  let registry;
+  try {
+    registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`${registryPath} is not valid JSON: ${error.message}`);
+  }
+
+  return { registry, baseDir: path.dirname(registryPath) };
+}
+
+// Local theme paths are only resolvable relative to the registry file, so check they exist
+function findMissingLocalThemes(registry, baseDir) {
+  const missing = [];
+
+  Object.entries(registry.portals || {}).forEach(([portalName, portal]) => {
+    Object.entries(portal.themes || {}).forEach(([theme, source]) => {
+      const isLocal = source.startsWith('file://') || source.startsWith('./') || source.startsWith('../');
+      if (isLocal && !fs.existsSync(resolveLocalPath(source, baseDir))) {
+        missing.push(`Portal "${portalName}", theme "${theme}": ${source} does not exist`);
+      }
+    });
+  });
+
+  return missing;
+}
+
+async function validateCommand(location) {
+  console.log(`\n${colors.cyan}🔍 Validating registry: ${location}${colors.reset}\n`);
+
+  let registry;
+  let baseDir;
+  try {
+    ({ registry, baseDir } = await readRegistryFile(location));
+  } catch (error) {
+    logError(error.message);
+    process.exit(1);
+  }
+
+  const errors = validateRegistry(registry);
+
+  if (errors.length > 0) {
+    logError(`Found ${errors.length} problem(s):`);
+    errors.forEach(error => console.log(`  ${colors.red}•${colors.reset} ${error}`));
+    console.log(`\n${colors.yellow}Schema:${colors.reset} ${formatRunCommand('portal:registry', 'schema')}`);
+    process.exit(1);
+  }
+
+  if (baseDir) {
+    findMissingLocalThemes(registry, baseDir).forEach(logWarning);
+  }
+
+  const portals = Object.values(registry.portals);
+  const themeCount = portals.reduce((count, portal) => count + Object.keys(portal.themes).length, 0);
+
+  logSuccess(`Registry is valid: ${portals.length} portal(s), ${themeCount} theme(s)`);
+  if (registry.version) {
+    logInfo(`Registry version: ${registry.version}`);
+  }
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const [command, ...rest] = args;
+  return { command, target: rest.find(arg => !arg.startsWith('-')) };
+}
+
+function showHelp() {
+  console.log(`
+${colors.blue}Usage:${colors.reset}
+  ${formatRunCommand('portal:registry', 'validate <file|url>')}
+  ${formatRunCommand('portal:registry', 'schema')}
+
+${colors.blue}Commands:${colors.reset}
+  validate <file|url>   Check a registry file against the registry schema
+  schema                Print the registry JSON schema
+
+${colors.blue}Options:${colors.reset}
+  --help, -h            Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${formatRunCommand('portal:registry', 'validate ./registry.json')}
+  ${formatRunCommand('portal:registry', 'validate ./portal-templates')}
+  ${formatRunCommand('portal:registry', 'validate https://example.com/registry.json')}
+  ${formatRunCommand('portal:registry', 'schema > registry.schema.json')}
+
+${colors.blue}Notes:${colors.reset}
+  • Every problem names the portal and field that is wrong
+  • Local theme paths are checked relative to the registry file
+  `);
+}
+
+async function main() {
+  try {
+    const { command, target } = parseArgs();
+
+    if (command === 'validate') {
+      if (!target) {
+        logError('Registry file is required');
+        showHelp();
+        process.exit(1);
+      }
+      await validateCommand(target);
+    } else if (command === 'schema') {
+      console.log(JSON.stringify(registrySchema, null, 2));
+    } else {
+      logError(`Unknown command: ${command}`);
+      showHelp();
+      process.exit(1);
+    }
+  } catch (error) {
+    logError(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { validateCommand, readRegistryFile };
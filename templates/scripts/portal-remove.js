@@ -4,6 +4,22 @@ const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const { execSync } = require('child_process');
+const { unlockPortal, readLockfile, LOCKFILE } = require('./lib/lockfile');
+const { addBackup, pruneBackups, BACKUP_STORE_DIR } = require('./lib/backups');
+const {
+  readEcosystemApps,
+  removeEcosystemApp,
+  findPortalApp,
+  getPortalAppName,
+  ECOSYSTEM_FILE
+} = require('./lib/ecosystem');
+const { CI_PROVIDERS, getCiProvider, getWorkflowPath } = require('./lib/ci');
+const { getPackageManager, syncWorkspaceFile, PNPM_WORKSPACE_FILE, formatRunCommand, hasFlag } = require('./lib/package-manager');
+const { getPortalPackageName, getPortalTasks, setPortalTasks, TURBO_FILE } = require('./lib/turbo');
+const { beginTransaction, runTransaction, handlePendingTransaction } = require('./lib/transaction');
+const { getBaseSnapshotPath } = require('./lib/merge');
+const { listFiles } = require('./lib/files');
+const { regenerateWorkflow } = require('./portal-add');
 
 const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
@@ -147,71 +163,127 @@ async function removeFromWorkspaces(portalName) {
       logSuccess(`Removed from workspaces configuration`);
     }
   }
+  
+  if (syncWorkspaceFile()) {
+    logSuccess(`Updated ${PNPM_WORKSPACE_FILE}`);
+  }
 }
 
 async function removeFromEcosystem(portalName) {
-  const ecosystemPath = 'ecosystem.config.js';
+  const appName = getPortalAppName(portalName);
   
-  if (!await exists(ecosystemPath)) {
-    return;
+  try {
+    if (removeEcosystemApp(appName)) {
+      logSuccess(`Removed from PM2 configuration`);
+    }
+  } catch (error) {
+    logWarning(`${error.message}; remove the ${appName} app from it by hand`);
   }
+}
+
+async function removeFromTurbo(portalName) {
+  const packageName = getPortalPackageName(portalName);
   
   try {
-    const content = await readFile(ecosystemPath, 'utf8');
-    const appsMatch = content.match(/module\.exports\s*=\s*{\s*apps:\s*(\[.*?\])\s*}/s);
-    
-    if (appsMatch) {
-      let apps;
-      try {
-        apps = eval(`(${appsMatch[1]})`);
-      } catch (e) {
-        apps = [];
-      }
-      
-      const appName = `${portalName}-portal`;
-      const filteredApps = apps.filter(app => app.name !== appName);
-      
-      if (filteredApps.length < apps.length) {
-        const newContent = `module.exports = {
-  apps: ${JSON.stringify(filteredApps, null, 2)}
-};`;
-        
-        await writeFile(ecosystemPath, newContent);
-        logSuccess(`Removed from PM2 configuration`);
-      }
+    if (Object.keys(getPortalTasks(packageName)).length > 0) {
+      setPortalTasks(packageName, {});
+      logSuccess(`Removed ${packageName}#* tasks from ${TURBO_FILE}`);
     }
   } catch (error) {
-    logWarning(`Could not update ecosystem.config.js: ${error.message}`);
+    logWarning(`${error.message}; remove the ${packageName}#* tasks from it by hand`);
   }
 }
 
-async function createBackup(portalName, portalPath) {
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const backupDir = `portal-backups/${portalName}-${timestamp}`;
+async function createBackup(portalName) {
+  // Files, workspace entry, PM2 app, turbo tasks and base snapshot, so portal:rollback can
+  // restore them all
+  const backup = addBackup(portalName, 'remove');
+  
+  // Apply the retention policy from .edutechrc, keeping the backup just taken
+  const pruned = pruneBackups({ protectedIds: [backup.id] });
+  if (pruned.length > 0) {
+    logInfo(`Pruned ${pruned.length} old backup(s)`);
+  }
+  
+  return backup.id;
+}
+
+// --dry-run: report everything removing the portal would change
+async function printRemovePlan(portalName, portalPath, backup, force) {
+  // Generated folders are listed once rather than file by file
+  const generatedDirs = ['node_modules', '.next', '.turbo', 'out'];
+  const files = listFiles(portalPath, generatedDirs);
+  
+  console.log(`\n${colors.blue}🔍 Dry run: nothing has been written${colors.reset}\n`);
+  
+  console.log(`${colors.blue}Files (${portalPath}/, deleted entirely):${colors.reset}`);
+  files.forEach(file => console.log(`  ${colors.red}- ${file}${colors.reset}`));
+  generatedDirs
+    .filter(dir => fs.existsSync(path.join(portalPath, dir)))
+    .forEach(dir => console.log(`  ${colors.red}- ${dir}/${colors.reset}`));
+  
+  console.log(`${colors.blue}package.json:${colors.reset}`);
+  const pkg = await exists('package.json') ? JSON.parse(await readFile('package.json', 'utf8')) : {};
+  if ((pkg.workspaces || []).includes(portalPath)) {
+    console.log(`  ${colors.red}workspaces: - "${portalPath}"${colors.reset}`);
+  } else {
+    console.log('  workspaces: no change');
+  }
+  
+  try {
+    const packageName = getPortalPackageName(portalName);
+    const tasks = Object.keys(getPortalTasks(packageName));
+    if (tasks.length > 0) {
+      console.log(`${colors.blue}${TURBO_FILE}:${colors.reset}`);
+      tasks.forEach(task => console.log(`  ${colors.red}- ${packageName}#${task}${colors.reset}`));
+    }
+  } catch (error) {
+    logWarning(`${error.message}; it would be left unchanged`);
+  }
   
-  await fs.promises.mkdir('portal-backups', { recursive: true });
+  try {
+    const app = findPortalApp(readEcosystemApps(), portalName);
+    if (app) {
+      console.log(`${colors.blue}${ECOSYSTEM_FILE}:${colors.reset}`);
+      console.log(`  ${colors.red}- ${app.name} (port ${app.env?.PORT?.$expression || app.env?.PORT || 'default'})${colors.reset}`);
+    }
+  } catch (error) {
+    logWarning(`${error.message}; it would be left unchanged`);
+  }
   
-  // Copy portal to backup directory
-  execSync(`cp -r "${portalPath}" "${backupDir}"`, { stdio: 'pipe' });
+  try {
+    const provider = getCiProvider();
+    if (provider && CI_PROVIDERS[provider].listsPortals) {
+      console.log(`${colors.blue}${getWorkflowPath(provider)}:${colors.reset}`);
+      console.log(`  ${colors.red}- ${portalName} (regenerated by portal:ci)${colors.reset}`);
+    }
+  } catch (error) {
+    logWarning(`${error.message}; the CI/CD workflow would be left unchanged`);
+  }
   
-  // Create backup info file
-  const backupInfo = {
-    portal: portalName,
-    backedUpAt: new Date().toISOString(),
-    originalPath: portalPath,
-    backupLocation: backupDir
-  };
+  if (readLockfile().portals[portalName]) {
+    console.log(`${colors.blue}${LOCKFILE}:${colors.reset}`);
+    console.log(`  ${colors.red}- ${portalName}${colors.reset}`);
+  }
+  
+  if (await exists(getBaseSnapshotPath(portalName))) {
+    console.log(`${colors.blue}${getBaseSnapshotPath(portalName)}/:${colors.reset}`);
+    console.log(`  ${colors.red}- base snapshot${colors.reset}`);
+  }
+  
+  if (backup) {
+    console.log(`${colors.blue}${BACKUP_STORE_DIR}/:${colors.reset}`);
+    console.log(`  ${colors.green}+ backup of ${portalPath}${force ? '' : ' (unless declined at the prompt)'}${colors.reset}`);
+  }
   
-  await writeFile(
-    path.join(backupDir, '.backup-info.json'),
-    JSON.stringify(backupInfo, null, 2)
-  );
+  console.log(`${colors.blue}Commands:${colors.reset}`);
+  console.log(`  none (run ${getPackageManager().install} afterwards to clean up dependencies)`);
   
-  return backupDir;
+  console.log(`\n${colors.yellow}Run without --dry-run to remove the portal.${colors.reset}`);
 }
 
-async function removePortal(portalName, force = false, backup = true) {
-  console.log(`\n${colors.magenta}🗑️  Removing portal: ${portalName}${colors.reset}\n`);
+async function removePortal(portalName, force = false, backup = true, options = {}) {
+  console.log(`\n${colors.magenta}🗑️  Removing portal: ${portalName}${options.dryRun ? ' [dry run]' : ''}${colors.reset}\n`);
   
   // 1. Get portal information
   let portalInfo;
@@ -256,6 +328,11 @@ async function removePortal(portalName, force = false, backup = true) {
     // Not a git repo, that's okay
   }
   
+  if (options.dryRun) {
+    await printRemovePlan(portalName, portalPath, backup, force);
+    return;
+  }
+  
   // 4. Confirm removal
   if (!force) {
     const confirmed = await confirmAction(
@@ -282,11 +359,11 @@ async function removePortal(portalName, force = false, backup = true) {
   }
   
   // 5. Create backup if requested
-  let backupDir = null;
+  let backupId = null;
   if (backup) {
     try {
-      backupDir = await createBackup(portalName, portalPath);
-      logSuccess(`Backup created: ${backupDir}`);
+      backupId = await createBackup(portalName);
+      logSuccess(`Backup created: ${backupId}`);
     } catch (error) {
       logWarning(`Failed to create backup: ${error.message}`);
       const continueAnyway = await confirmAction('Continue without backup?', false);
@@ -298,29 +375,58 @@ async function removePortal(portalName, force = false, backup = true) {
     }
   }
   
+  const transaction = beginTransaction('remove', { portalName, backupId, hasUncommittedChanges });
+  await finishRemove(transaction);
+}
+
+// Steps 6-8 run as a journaled transaction: if any of them fails, package.json, ecosystem.config.js,
+// turbo.json, the lockfile, the CI/CD workflow and the portal folder are put back exactly as they were
+async function applyRemove(transaction) {
+  const { portalName } = transaction.args;
+  const portalPath = `portals/${portalName}`;
+  
   // 6. Remove from configurations first
-  try {
+  await transaction.step('configs', async () => {
+    transaction.track('package.json');
+    transaction.track(PNPM_WORKSPACE_FILE);
     await removeFromWorkspaces(portalName);
+    
+    transaction.track(ECOSYSTEM_FILE);
     await removeFromEcosystem(portalName);
-  } catch (error) {
-    logWarning(`Failed to update configurations: ${error.message}`);
-  }
+    
+    transaction.track(TURBO_FILE);
+    await removeFromTurbo(portalName);
+    
+    transaction.track(LOCKFILE);
+    if (unlockPortal(portalName)) {
+      logSuccess(`Removed from ${LOCKFILE}`);
+    }
+  });
   
-  // 7. Remove portal directory
-  try {
-    fs.rmSync(portalPath, { recursive: true, force: true });
+  // 7. Remove portal directory and base snapshot (held in the transaction snapshot until it commits)
+  await transaction.step('delete', async () => {
+    transaction.track(portalPath, { move: true });
+    transaction.track(getBaseSnapshotPath(portalName), { move: true });
     logSuccess(`Portal directory removed: ${portalPath}`);
+  });
+  
+  // 8. Drop the portal from the CI/CD workflow (GitLab lists portal folders; GitHub needs no change)
+  await transaction.step('ci', () => regenerateWorkflow(transaction));
+}
+
+// Run (or resume) the remove transaction and report the result
+async function finishRemove(transaction) {
+  const { portalName, backupId, hasUncommittedChanges } = transaction.args;
+  
+  try {
+    await runTransaction(transaction, applyRemove);
   } catch (error) {
-    logError(`Failed to remove portal directory: ${error.message}`);
-    
-    if (backupDir) {
-      logInfo(`Backup is available at: ${backupDir}`);
-    }
-    
+    logError(`Failed to remove portal: ${error.message}`);
+    logInfo('All changes have been rolled back');
     process.exit(1);
   }
   
-  // 8. Clean up empty portals directory
+  // 9. Clean up empty portals directory
   try {
     const remainingPortals = await readdir('portals');
     if (remainingPortals.length === 0) {
@@ -331,20 +437,21 @@ async function removePortal(portalName, force = false, backup = true) {
     // Ignore errors
   }
   
-  // 9. Success message
+  // 10. Success message
   console.log(`\n${colors.green}═══════════════════════════════════════════════════${colors.reset}`);
   console.log(`${colors.green}🗑️  PORTAL "${portalName.toUpperCase()}" REMOVED SUCCESSFULLY!${colors.reset}`);
   console.log(`${colors.green}═══════════════════════════════════════════════════${colors.reset}\n`);
   
-  if (backupDir) {
-    console.log(`${colors.cyan}💾 Backup saved to:${colors.reset} ${backupDir}`);
-    console.log(`${colors.yellow}⚠️  Backup will not be automatically cleaned up${colors.reset}`);
+  if (backupId) {
+    console.log(`${colors.blue}💾 Backup saved as:${colors.reset} ${backupId}`);
+    console.log(`${colors.yellow}⚠️  Old backups are pruned by the retention policy in .edutechrc${colors.reset}`);
+    console.log(`${colors.blue}↩️  Restore it with:${colors.reset} ${formatRunCommand('portal:rollback', portalName)}`);
   }
   
   console.log(`${colors.blue}🔧 Next steps:${colors.reset}`);
-  console.log(`  ${colors.green}npm install${colors.reset}           # Update workspace dependencies`);
+  console.log(`  ${colors.green}${getPackageManager().install}${colors.reset}           # Update workspace dependencies`);
   
-  if (hasUncommittedChanges && !backupDir) {
+  if (hasUncommittedChanges && !backupId) {
     console.log(`\n${colors.red}⚠️  WARNING: Uncommitted changes were lost!${colors.reset}`);
   }
 }
@@ -422,7 +529,18 @@ async function interactiveRemove() {
 function parseArgs() {
   const args = process.argv.slice(2);
   
-  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+  
+  const resume = hasFlag(args, '--resume');
+  const revert = hasFlag(args, '--revert');
+  if (resume || revert) {
+    return { action: 'pending', resume, revert };
+  }
+  
+  if (args.length === 0) {
     showHelp();
     process.exit(0);
   }
@@ -430,6 +548,7 @@ function parseArgs() {
   let portalName = '';
   let force = false;
   let noBackup = false;
+  let dryRun = hasFlag(args, '--dry-run');
   let interactive = false;
   
   for (let i = 0; i < args.length; i++) {
@@ -437,6 +556,8 @@ function parseArgs() {
     
     if (arg === '--force' || arg === '-f') {
       force = true;
+    } else if (arg === '--dry-run') {
+      dryRun = true;
     } else if (arg === '--no-backup' || arg === '-n') {
       noBackup = true;
     } else if (arg === '--interactive' || arg === '-i') {
@@ -466,39 +587,48 @@ function parseArgs() {
     action: 'remove',
     portalName,
     force,
-    backup: !noBackup
+    backup: !noBackup,
+    dryRun
   };
 }
 
 function showHelp() {
   console.log(`
 ${colors.blue}Usage:${colors.reset}
-  npm run portal:remove <portal-name> [options]
-  npm run portal:remove --interactive
-  npm run portal:remove --list
+  ${formatRunCommand('portal:remove', '<portal-name> [options]')}
+  ${formatRunCommand('portal:remove', '--interactive')}
+  ${formatRunCommand('portal:remove', '--list')}
+  ${formatRunCommand('portal:remove', '--resume | --revert')}
 
 ${colors.blue}Options:${colors.reset}
   --force, -f           Force removal without confirmation
   --no-backup, -n       Do not create a backup
+  --dry-run             Show what would change without writing anything
   --interactive, -i     Interactive portal selection
   --list, -l            List all portals
+  --resume              Finish an interrupted portal:remove
+  --revert              Undo an interrupted portal command
   --help, -h            Show this help message
 
 ${colors.blue}Examples:${colors.reset}
-  npm run portal:remove cbt
-  npm run portal:remove academic --no-backup
-  npm run portal:remove finance --force
-  npm run portal:remove --interactive
-  npm run portal:remove --list
+  ${formatRunCommand('portal:remove', 'cbt')}
+  ${formatRunCommand('portal:remove', 'academic --no-backup')}
+  ${formatRunCommand('portal:remove', 'finance --force')}
+  ${formatRunCommand('portal:remove', 'cbt --dry-run')}
+  ${formatRunCommand('portal:remove', '--interactive')}
+  ${formatRunCommand('portal:remove', '--list')}
 
 ${colors.blue}Notes:${colors.reset}
-  • Creates backup by default in portal-backups/
-  • Removes from workspaces and PM2 config
+  • Creates backup by default in ${BACKUP_STORE_DIR}/
+  • Removes from workspaces, PM2 config, turbo.json and a GitLab CI/CD workflow
   • Interactive mode shows all portals
   • Use --list to see removable portals
+  • If a step fails, the portal and configs are put back; an interrupted
+    run must be resumed (--resume) or reverted (--revert) first
   
 ${colors.yellow}⚠️  Warning:${colors.reset}
   This action cannot be undone (unless backup is created)!
+  Restore a backup with: ${formatRunCommand('portal:rollback', '<portal-name>')}
   `);
 }
 
@@ -506,6 +636,16 @@ async function main() {
   try {
     const args = parseArgs();
     
+    // An interrupted portal command is resumed or reverted before another one starts
+    const pending = args.action === 'list' ? null : handlePendingTransaction('remove', args);
+    if (pending) {
+      logInfo(pending.message);
+      if (pending.transaction) {
+        await finishRemove(pending.transaction);
+      }
+      return;
+    }
+    
     if (args.action === 'list') {
       const portals = await listAllPortals();
       
@@ -531,10 +671,14 @@ async function main() {
       await interactiveRemove();
       
     } else if (args.action === 'remove') {
-      await removePortal(args.portalName, args.force, args.backup);
+      await removePortal(args.portalName, args.force, args.backup, { dryRun: args.dryRun });
+      
+      if (args.dryRun) {
+        return;
+      }
       
       // Suggest to run install
-      console.log(`\n${colors.yellow}💡 Tip:${colors.reset} Run ${colors.green}npm install${colors.reset} to clean up dependencies`);
+      console.log(`\n${colors.yellow}💡 Tip:${colors.reset} Run ${colors.green}${getPackageManager().install}${colors.reset} to clean up dependencies`);
     }
     
   } catch (error) {
@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+
+const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const {
+  addBackup,
+  getNewBackupPath,
+  listBackups,
+  findBackup,
+  restoreBackup,
+  pruneBackups,
+  migrateLegacyBackups,
+  BACKUP_STORE_DIR,
+  MANIFEST_FILE
+} = require('./lib/backups');
+const { getBaseSnapshotPath } = require('./lib/merge');
+const { lockPortal, LOCKFILE } = require('./lib/lockfile');
+const {
+  readEcosystemApps,
+  saveEcosystemApp,
+  findPortalApp,
+  createPortalApp,
+  getPortalAppName,
+  ECOSYSTEM_FILE
+} = require('./lib/ecosystem');
+const { getPortalEnvPath, readEnvPort, setPortalPort, assignPort } = require('./lib/ports');
+const { getPackageManager, syncWorkspaceFile, PNPM_WORKSPACE_FILE, formatRunCommand, hasFlag } = require('./lib/package-manager');
+const { getPortalPackageName, getPortalTasks, setPortalTasks, TURBO_FILE } = require('./lib/turbo');
+const { beginTransaction, runTransaction, handlePendingTransaction } = require('./lib/transaction');
+const { shortCommit } = require('./lib/versions');
+const { regenerateWorkflow } = require('./portal-add');
+
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const exists = promisify(fs.exists);
+
+// Colors for console output
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = '') {
+  console.log(`${color}${message}${colors.reset}`);
+}
+
+function logSuccess(message) {
+  log(`✅ ${message}`, colors.green);
+}
+
+function logError(message) {
+  log(`❌ ${message}`, colors.red);
+}
+
+function logInfo(message) {
+  log(`ℹ️  ${message}`, colors.blue);
+}
+
+function logWarning(message) {
+  log(`⚠️  ${message}`, colors.yellow);
+}
+
+function describeBackup(backup) {
+  const version = backup.version ? ` ${backup.version} (${shortCommit(backup.commit)})` : '';
+  return `${backup.createdAt}  ${backup.reason.padEnd(8)}${version}`;
+}
+
+// Backups from before the backup store are moved into it on first use
+function migrateBackups() {
+  const migrated = migrateLegacyBackups();
+  if (migrated.length > 0) {
+    logInfo(`Moved ${migrated.length} old backup(s) into ${BACKUP_STORE_DIR}`);
+  }
+}
+
+function printBackups(portalName, backups) {
+  console.log(`\n${colors.blue}Backups of ${portalName} (newest first):${colors.reset}\n`);
+
+  backups.forEach((backup, index) => {
+    console.log(`  ${colors.cyan}${backup.id}${colors.reset}${index === 0 ? `  ${colors.green}(latest)${colors.reset}` : ''}`);
+    console.log(`    ${describeBackup(backup)}`);
+  });
+
+  console.log();
+}
+
+async function restoreWorkspaceEntry(portalName, backup) {
+  const workspacePath = `portals/${portalName}`;
+
+  if (!backup.workspace) {
+    return;
+  }
+
+  const rootPkg = JSON.parse(await readFile('package.json', 'utf8'));
+
+  if (!rootPkg.workspaces) {
+    rootPkg.workspaces = [];
+  }
+
+  if (!rootPkg.workspaces.includes(workspacePath)) {
+    rootPkg.workspaces.push(workspacePath);
+    await writeFile('package.json', JSON.stringify(rootPkg, null, 2));
+    logSuccess('Restored workspace entry');
+  }
+
+  if (syncWorkspaceFile()) {
+    logSuccess(`Updated ${PNPM_WORKSPACE_FILE}`);
+  }
+}
+
+async function restoreEcosystemEntry(portalName, backup) {
+  const apps = readEcosystemApps();
+
+  if (apps === null || (!backup.ecosystemApp && findPortalApp(apps, portalName))) {
+    return;
+  }
+
+  // Backups made before apps were saved with them: keep the port in the restored .env.local,
+  // or assign a new one
+  let app = backup.ecosystemApp;
+  if (!app) {
+    const envPath = getPortalEnvPath(portalName);
+    let port = readEnvPort(envPath);
+    if (!port) {
+      port = await assignPort(portalName, apps);
+      setPortalPort(portalName, port);
+    }
+    app = createPortalApp(portalName, port);
+  }
+
+  // Only this portal's app is rewritten; the rest of the file stays as it is
+  saveEcosystemApp(app);
+  logSuccess('Restored PM2 configuration');
+}
+
+// Put the portal's turbo tasks back as they were when the backup was taken; backups made before
+// turbo tasks were saved with them leave turbo.json alone
+function restoreTurboTasks(portalName, backup) {
+  if (!backup.turboTasks) {
+    return;
+  }
+
+  const packageName = getPortalPackageName(portalName);
+  if (JSON.stringify(getPortalTasks(packageName)) === JSON.stringify(backup.turboTasks)) {
+    return;
+  }
+
+  if (setPortalTasks(packageName, backup.turboTasks)) {
+    logSuccess(`Restored ${packageName}#* tasks in ${TURBO_FILE}`);
+  }
+}
+
+async function rollbackPortal(portalName, options = {}) {
+  console.log(`\n${colors.cyan}↩️  Rolling back portal: ${portalName}${colors.reset}\n`);
+
+  // 1. Find the backup to restore
+  migrateBackups();
+  const backups = listBackups(portalName);
+
+  if (backups.length === 0) {
+    logError(`No backups found for portal "${portalName}"`);
+    logInfo('Backups are created by portal:update and portal:remove');
+    process.exit(1);
+  }
+
+  const backup = options.to ? findBackup(backups, options.to) : backups[0];
+
+  if (!backup) {
+    logError(`No backup of "${portalName}" matches "${options.to}"`);
+    printBackups(portalName, backups);
+    process.exit(1);
+  }
+
+  logInfo(`Restoring backup ${backup.id} (${backup.reason}, ${backup.createdAt})`);
+
+  const transaction = beginTransaction('rollback', {
+    portalName,
+    backup,
+    skipInstall: Boolean(options.skipInstall)
+  });
+
+  await finishRollback(transaction);
+}
+
+// Steps 2-6 of a rollback, journaled so a failure puts the current portal back
+async function applyRollback(transaction) {
+  const { portalName, backup, skipInstall } = transaction.args;
+  const portalPath = `portals/${portalName}`;
+
+  // 2. Keep the current portal so the rollback itself can be undone
+  const safetyBackup = await transaction.step('backup', async () => {
+    if (!await exists(portalPath)) {
+      return null;
+    }
+
+    // Tracked so a failed rollback does not leave its backup behind as the latest one
+    const createdAt = new Date();
+    transaction.track(MANIFEST_FILE);
+    transaction.track(getNewBackupPath(portalName, createdAt));
+
+    const entry = addBackup(portalName, 'rollback', createdAt);
+    logSuccess(`Current portal backed up as: ${entry.id}`);
+    return entry;
+  });
+
+  // 3. Copy the backup into place
+  await transaction.step('restore', () => {
+    transaction.track(portalPath, { move: true });
+    transaction.track(getBaseSnapshotPath(portalName));
+    restoreBackup(backup);
+    logSuccess(`Restored files to ${portalPath}/`);
+  });
+
+  // 4. Restore workspace, PM2 and turbo entries
+  await transaction.step('workspace', async () => {
+    transaction.track('package.json');
+    transaction.track(PNPM_WORKSPACE_FILE);
+    await restoreWorkspaceEntry(portalName, backup);
+  });
+
+  await transaction.step('ecosystem', async () => {
+    transaction.track(ECOSYSTEM_FILE);
+    try {
+      await restoreEcosystemEntry(portalName, backup);
+    } catch (error) {
+      logWarning(`${error.message}; restore the ${getPortalAppName(portalName)} app by hand`);
+    }
+  });
+
+  await transaction.step('turbo', () => {
+    transaction.track(TURBO_FILE);
+    try {
+      restoreTurboTasks(portalName, backup);
+    } catch (error) {
+      logWarning(`${error.message}; restore the portal's turbo tasks by hand`);
+    }
+  });
+
+  // 5. Pin the restored version in the lockfile
+  const portalConfig = await transaction.step('lock', async () => {
+    const configPath = path.join(portalPath, '.portal-config.json');
+
+    if (!await exists(configPath)) {
+      logWarning('Restored portal has no .portal-config.json; it was not added to the lockfile');
+      return null;
+    }
+
+    const config = JSON.parse(await readFile(configPath, 'utf8'));
+    const basePath = getBaseSnapshotPath(portalName);
+
+    if (config.repo) {
+      if (!await exists(basePath)) {
+        logWarning('Backup has no base snapshot; the lockfile hash is taken from the restored files');
+      }
+      transaction.track(LOCKFILE);
+      lockPortal(config, await exists(basePath) ? basePath : portalPath);
+      logSuccess(`Updated ${LOCKFILE}`);
+    }
+
+    return config;
+  });
+
+  // 6. Put a restored portal back into a CI/CD workflow that lists portals (GitLab)
+  await transaction.step('ci', () => regenerateWorkflow(transaction));
+
+  // 7. Reinstall dependencies
+  if (!skipInstall) {
+    await transaction.step('install', () => {
+      const packageManager = getPackageManager();
+      transaction.track(packageManager.lockfile);
+      logInfo(`Installing dependencies with ${packageManager.name}...`);
+      execSync(packageManager.install, { stdio: 'inherit' });
+      logSuccess('Dependencies installed');
+    });
+  }
+
+  return { safetyBackup, portalConfig };
+}
+
+// Run (or resume) the rollback transaction and report the result
+async function finishRollback(transaction) {
+  const { portalName, backup } = transaction.args;
+  const portalPath = `portals/${portalName}`;
+  let result;
+
+  try {
+    result = await runTransaction(transaction, applyRollback);
+  } catch (error) {
+    logError(`Failed to roll back portal: ${error.message}`);
+    logInfo('All changes have been rolled back');
+    process.exit(1);
+  }
+
+  const { safetyBackup, portalConfig } = result;
+
+  if (safetyBackup) {
+    // The backup just restored must survive the retention policy too
+    const pruned = pruneBackups({ protectedIds: [safetyBackup.id, backup.id] });
+    if (pruned.length > 0) {
+      logInfo(`Pruned ${pruned.length} old backup(s)`);
+    }
+  }
+
+  // 7. Success message
+  console.log(`\n${colors.green}═══════════════════════════════════════════════════${colors.reset}`);
+  console.log(`${colors.green}🎉 PORTAL "${portalName.toUpperCase()}" ROLLED BACK SUCCESSFULLY!${colors.reset}`);
+  console.log(`${colors.green}═══════════════════════════════════════════════════${colors.reset}\n`);
+
+  console.log(`${colors.cyan}📁 Restored:${colors.reset} ${portalPath}/`);
+  if (portalConfig) {
+    console.log(`${colors.cyan}📌 Version:${colors.reset} ${portalConfig.version || 'unknown'} (${shortCommit(portalConfig.commit)})`);
+  }
+  console.log(`${colors.cyan}💾 From:${colors.reset} ${backup.id}`);
+
+  if (safetyBackup) {
+    console.log(`\n${colors.blue}🔧 Changed your mind?${colors.reset}`);
+    console.log(`  ${colors.green}${formatRunCommand('portal:rollback', portalName)}${colors.reset}  # Restores ${safetyBackup.id}`);
+  }
+}
+
+async function listPortalBackups(portalName) {
+  migrateBackups();
+  const backups = listBackups(portalName);
+
+  if (backups.length === 0) {
+    logInfo(`No backups found for portal "${portalName}"`);
+    return;
+  }
+
+  printBackups(portalName, backups);
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const resume = hasFlag(args, '--resume');
+  const revert = hasFlag(args, '--revert');
+  if (resume || revert) {
+    return { resume, revert };
+  }
+
+  let portalName = null;
+  let to = null;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--to') {
+      to = args[++i];
+    } else if (arg.startsWith('--to=')) {
+      to = arg.slice('--to='.length);
+    } else if (!arg.startsWith('-')) {
+      portalName = arg;
+    }
+  }
+
+  if (!portalName) {
+    logError('Portal name is required');
+    showHelp();
+    process.exit(1);
+  }
+
+  if (args.includes('--to') && !to) {
+    logError('--to requires a backup timestamp');
+    process.exit(1);
+  }
+
+  return {
+    portalName,
+    to,
+    list: args.includes('--list') || args.includes('-l'),
+    skipInstall: args.includes('--skip-install')
+  };
+}
+
+function showHelp() {
+  console.log(`
+${colors.blue}Usage:${colors.reset}
+  ${formatRunCommand('portal:rollback', '<portal-name> [options]')}
+  ${formatRunCommand('portal:rollback', '--resume | --revert')}
+
+${colors.blue}Options:${colors.reset}
+  --to <timestamp>      Restore a specific backup instead of the latest
+  --list, -l            List the portal's backups
+  --skip-install        Do not install dependencies afterwards
+  --resume              Finish an interrupted portal:rollback
+  --revert              Undo an interrupted portal command
+  --help, -h            Show this help message
+
+${colors.blue}Examples:${colors.reset}
+  ${formatRunCommand('portal:rollback', 'academic')}
+  ${formatRunCommand('portal:rollback', 'academic --list')}
+  ${formatRunCommand('portal:rollback', 'academic --to academic-2024-06-10T08-00-00-000Z')}
+  ${formatRunCommand('portal:rollback', 'cbt --to 2024-06-10T08:00')}
+
+${colors.blue}Notes:${colors.reset}
+  • Restores backups made by portal:update, portal:remove and portal:rollback
+    from ${BACKUP_STORE_DIR}/
+  • --to takes a backup id from --list or the start of its ISO time
+  • Workspace, PM2 and turbo.json entries are restored along with the files,
+    and a GitLab CI/CD workflow is regenerated to list the portal again
+  • The current portal is backed up first, so a rollback can be undone
+  • If a step fails, the current portal and configs are put back
+  `);
+}
+
+async function main() {
+  try {
+    const args = parseArgs();
+
+    // An interrupted portal command is resumed or reverted before another one starts
+    const pending = args.list ? null : handlePendingTransaction('rollback', args);
+    if (pending) {
+      logInfo(pending.message);
+      if (pending.transaction) {
+        await finishRollback(pending.transaction);
+      }
+      return;
+    }
+
+    if (args.list) {
+      await listPortalBackups(args.portalName);
+    } else {
+      await rollbackPortal(args.portalName, args);
+    }
+  } catch (error) {
+    logError(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { rollbackPortal, listPortalBackups };
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+// PM2 entry point for a portal, run from the portal's folder (the app's cwd).
+// PM2 cannot change an app's script per --env, so this script picks what to run from the
+// environment it is given:
+//   env             NODE_ENV=development       run dev with the workspace's package manager
+//   env_production  PORTAL_SERVE=next          next start, in this process so cluster mode works
+//   env_production  PORTAL_SERVE=static        serves the static export in out/
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { readEnvPort, ENV_FILE } = require('./lib/ports');
+const { getPackageManager } = require('./lib/package-manager');
+
+// This script lives in <workspace>/scripts
+const WORKSPACE_DIR = path.join(__dirname, '..');
+
+const SERVE_MODES = ['static', 'next'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+function getServeMode(env = process.env) {
+  if (env.NODE_ENV !== 'production') {
+    return 'dev';
+  }
+
+  const mode = env.PORTAL_SERVE || 'next';
+
+  if (!SERVE_MODES.includes(mode)) {
+    throw new Error(`Unknown PORTAL_SERVE "${mode}" (use ${SERVE_MODES.join(' or ')})`);
+  }
+
+  return mode;
+}
+
+// /about -> out/about, out/about.html or out/about/index.html; never a file outside out/
+function resolveStaticFile(root, url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.split('?')[0]);
+  } catch (error) {
+    return null;
+  }
+
+  const target = path.join(root, pathname);
+
+  if (target !== root && !target.startsWith(`${root}${path.sep}`)) {
+    return null;
+  }
+
+  return [target, `${target}.html`, path.join(target, 'index.html')]
+    .find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+function serveStatic(port) {
+  const root = path.resolve('out');
+  const notFoundPage = path.join(root, '404.html');
+
+  if (!fs.existsSync(root)) {
+    throw new Error(`${root} not found. Build the portal with output: 'export' in its next.config, or set PORTAL_SERVE=next`);
+  }
+
+  http.createServer((req, res) => {
+    const file = resolveStaticFile(root, req.url) || (fs.existsSync(notFoundPage) ? notFoundPage : null);
+
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': CONTENT_TYPES['.txt'] });
+      res.end('Not found');
+      return;
+    }
+
+    res.writeHead(file === notFoundPage ? 404 : 200, {
+      'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream'
+    });
+
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+
+    // A file deleted or unreadable mid-request (a rebuild replacing out/) must not crash the server
+    fs.createReadStream(file)
+      .on('error', () => {
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': CONTENT_TYPES['.txt'] });
+        }
+        res.end();
+      })
+      .pipe(res);
+  }).listen(port, () => {
+    console.log(`Serving ${root} on port ${port}`);
+  });
+}
+
+async function serveNext(port) {
+  let next;
+  try {
+    next = require(require.resolve('next', { paths: [process.cwd()] }));
+  } catch (error) {
+    throw new Error('next is not installed for this portal. Install the workspace dependencies, or set PORTAL_SERVE=static');
+  }
+
+  const app = next({ dev: false, dir: process.cwd() });
+  await app.prepare();
+
+  const handle = app.getRequestHandler();
+  http.createServer((req, res) => handle(req, res)).listen(port, () => {
+    console.log(`next start on port ${port}`);
+  });
+}
+
+function runDev() {
+  // With instances > 1 every instance runs this script; only the first starts a dev server
+  const instance = process.env.NODE_APP_INSTANCE;
+  if (instance && instance !== '0') {
+    console.log(`Instance ${instance} idles in development; only one dev server runs per portal`);
+    setInterval(() => {}, 60 * 60 * 1000);
+    return;
+  }
+
+  const child = spawn(getPackageManager(WORKSPACE_DIR).name, ['run', 'dev'], { stdio: 'inherit', shell: process.platform === 'win32' });
+
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => child.kill(signal));
+  });
+
+  child.on('exit', code => process.exit(code === null ? 1 : code));
+}
+
+async function main() {
+  try {
+    // PM2 passes PORT; run by hand, the port assigned in .env.local is used
+    const port = parseInt(process.env.PORT) || readEnvPort(ENV_FILE) || 3000;
+    process.env.PORT = String(port);
+    const mode = getServeMode();
+
+    if (mode === 'dev') {
+      runDev();
+    } else if (mode === 'static') {
+      serveStatic(port);
+    } else {
+      await serveNext(port);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+// Export for testing
+module.exports = { getServeMode, resolveStaticFile };
@@ -4,17 +4,40 @@ const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
+const { getBaseSnapshotPath, saveBaseSnapshot, mergeDirectories } = require('./lib/merge');
+const { isLocalSource, copyLocalTemplate, findPortal } = require('./lib/registry');
+const { resolveVersion, shortCommit } = require('./lib/versions');
+const { lockPortal, LOCKFILE } = require('./lib/lockfile');
+const {
+  addBackup,
+  getNewBackupPath,
+  getBackupFilesPath,
+  pruneBackups,
+  BACKUP_STORE_DIR,
+  MANIFEST_FILE
+} = require('./lib/backups');
+const { createScratchDir, removeScratchDir, diffDirectories, dependenciesChanged } = require('./lib/dry-run');
+const { beginTransaction, runTransaction, handlePendingTransaction } = require('./lib/transaction');
+const { SHARED_ALIAS, wireSharedPackage } = require('./lib/shared');
+const { getPortalEnvPath, readEnvPort, setPortalPort } = require('./lib/ports');
+const { getPackageManager, formatRunCommand, hasFlag } = require('./lib/package-manager');
+const { mergeTemplateTasks, readTemplateTasks, TURBO_FILE } = require('./lib/turbo');
+const { getRegistry, cloneTemplate, checkSharedRange } = require('./portal-add');
 
 const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
 const exists = promisify(fs.exists);
 
+// Written into the portal when an update leaves files to resolve by hand
+const CONFLICT_REPORT_FILE = '.portal-conflicts.json';
+
 // Colors for console output
 const colors = {
   red: '\x1b[31m',
   green: '\x1b[32m',
   yellow: '\x1b[33m',
   blue: '\x1b[34m',
+  cyan: '\x1b[36m',
   reset: '\x1b[0m'
 };
 
@@ -38,57 +61,120 @@ function logWarning(message) {
   log(`⚠️  ${message}`, colors.yellow);
 }
 
-async function backupPortal(portalName) {
-  const portalPath = `portals/${portalName}`;
-  const backupDir = `backup-${portalName}-${Date.now()}`;
-  
-  if (!await exists(portalPath)) {
-    throw new Error(`Portal "${portalName}" does not exist`);
-  }
-  
-  logInfo(`Creating backup: ${backupDir}`);
+async function backupPortal(transaction, portalName, reason = 'update') {
+  logInfo(`Backing up portals/${portalName} to the backup store`);
   
-  // Copy portal to backup directory
-  execSync(`cp -r ${portalPath} ${backupDir}`);
+  // Tracked so a failed update does not leave its backup behind as the latest one
+  const createdAt = new Date();
+  transaction.track(MANIFEST_FILE);
+  transaction.track(getNewBackupPath(portalName, createdAt));
   
-  return backupDir;
+  // Files, workspace entry, PM2 app and base snapshot, so portal:rollback can restore them all
+  return addBackup(portalName, reason, createdAt);
 }
 
 async function getPortalConfig(portalName) {
   const configPath = `portals/${portalName}/.portal-config.json`;
   
   if (!await exists(configPath)) {
-    throw new Error(`No configuration found for portal "${portalName}". This portal may have been added manually.`);
+    throw new Error(`No configuration found for portal "${portalName}". This portal may have been added manually; adopt it with: ${formatRunCommand('portal:adopt', `${portalName} --from <registry-portal>`)}`);
   }
   
   const configContent = await readFile(configPath, 'utf8');
   return JSON.parse(configContent);
 }
 
-async function updatePortal(portalName, force = false) {
-  console.log(`\n${colors.blue}🔄 Updating portal: ${portalName}${colors.reset}\n`);
+// Work out which version and commit to update to: --to <version>, or the registry's current version
+// The version to update to as { version, ref, commit, shared }; shared is the registry's
+// shared package range, or undefined when the registry could not be read
+async function resolveUpdateTarget(portalName, portalConfig, toVersion, options = {}) {
+  if (isLocalSource(portalConfig.repo) && toVersion) {
+    throw new Error('Portals installed from a local template cannot be pinned to a version');
+  }
+  
+  let portalInfo = null;
+  let registryError = null;
+  try {
+    const registry = await getRegistry(options);
+    // Adopted portals can come from a registry portal with another name
+    portalInfo = findPortal(registry, portalConfig.template || portalName, portalConfig.registry || null);
+  } catch (error) {
+    registryError = error;
+  }
+  
+  const shared = portalInfo ? portalInfo.shared || null : undefined;
+  const unresolved = { version: toVersion, ref: null, commit: null, shared };
+  
+  if (isLocalSource(portalConfig.repo)) {
+    return unresolved;
+  }
+  
+  if (registryError) {
+    if (toVersion) {
+      throw registryError;
+    }
+    logWarning(`Registry unavailable (${registryError.message}), updating from the default branch`);
+  }
+  
+  if (!portalInfo && toVersion) {
+    throw new Error(`Portal "${portalName}" not found in registry`);
+  }
+  
+  try {
+    return { ...resolveVersion(portalConfig.repo, portalInfo || {}, toVersion), shared };
+  } catch (error) {
+    if (toVersion) {
+      throw error;
+    }
+    logWarning(`Could not resolve the exact commit: ${error.message}`);
+    return unresolved;
+  }
+}
+
+async function updatePortal(portalName, force = false, toVersion = null, options = {}) {
+  console.log(`\n${colors.blue}🔄 Updating portal: ${portalName}${options.dryRun ? ' [dry run]' : ''}${colors.reset}\n`);
   
   // 1. Get portal configuration
   let portalConfig;
   try {
     portalConfig = await getPortalConfig(portalName);
-    logInfo(`Current version: ${portalConfig.version || 'unknown'}`);
+    logInfo(`Current version: ${portalConfig.version || 'unknown'}${portalConfig.commit ? ` (${shortCommit(portalConfig.commit)})` : ''}`);
     logInfo(`Source: ${portalConfig.repo}`);
   } catch (error) {
     logError(error.message);
     process.exit(1);
   }
   
-  // 2. Check for uncommitted changes
+  // 2. Resolve the target version to an exact commit
+  let target;
+  try {
+    target = await resolveUpdateTarget(portalName, portalConfig, toVersion, options);
+  } catch (error) {
+    logError(error.message);
+    process.exit(1);
+  }
+  
+  if (target.commit) {
+    logInfo(`Target version: ${target.version || 'latest'} → ${target.ref} (${shortCommit(target.commit)})`);
+    
+    if (target.commit === portalConfig.commit && !force) {
+      logSuccess(`Portal "${portalName}" is already at ${target.version || shortCommit(target.commit)}`);
+      return;
+    }
+  }
+  
+  // The registry's shared range must fit the workspace's shared package (throws when it needs a newer one)
+  checkSharedRange(portalName, target.shared, options);
+  
+  // 3. Check for uncommitted changes in the portal (the rest of the workspace doesn't matter)
   const portalPath = `portals/${portalName}`;
   
   try {
-    execSync(`cd ${portalPath} && git status --porcelain`, { stdio: 'pipe' });
-    const hasChanges = execSync(`cd ${portalPath} && git status --porcelain | wc -l`, { stdio: 'pipe' })
+    const changes = execSync(`git status --porcelain -- ${portalPath}`, { stdio: 'pipe' })
       .toString()
       .trim();
     
-    if (hasChanges !== '0' && !force) {
+    if (changes && !force) {
       logWarning(`Portal "${portalName}" has uncommitted changes.`);
       console.log(`
 ${colors.yellow}Options:${colors.reset}
@@ -97,10 +183,10 @@ ${colors.yellow}Options:${colors.reset}
   3. Update manually by merging changes
   
 ${colors.blue}To see changes:${colors.reset}
-  cd portals/${portalName} && git status
+  git status -- ${portalPath}
   
 ${colors.blue}To force update (will overwrite changes):${colors.reset}
-  npm run portal:update ${portalName} --force
+  ${formatRunCommand('portal:update', `${portalName} --force`)}
 `);
       process.exit(1);
     }
@@ -109,180 +195,404 @@ ${colors.blue}To force update (will overwrite changes):${colors.reset}
     logInfo('Portal is not a git repository (normal for degit clones)');
   }
   
-  // 3. Create backup
-  let backupDir;
-  try {
-    backupDir = await backupPortal(portalName);
-    logSuccess(`Backup created: ${backupDir}`);
-  } catch (error) {
-    logError(`Failed to create backup: ${error.message}`);
-    process.exit(1);
+  if (options.dryRun) {
+    await printUpdatePlan(portalName, portalConfig, target, force);
+    return;
   }
   
-  // 4. Fetch latest version
-  logInfo(`Fetching latest version from: ${portalConfig.repo}`);
+  const transaction = beginTransaction('update', { portalName, force, target, portalConfig });
+  await finishUpdate(transaction);
+}
+
+// Steps 4-8 run as a journaled transaction: if any of them fails, the portal, its base
+// snapshot, the lockfile, turbo.json and the package manager's lockfile are put back exactly
+// as they were
+async function applyUpdate(transaction) {
+  const { portalName, force, target, portalConfig } = transaction.args;
+  const portalPath = `portals/${portalName}`;
+  const basePath = getBaseSnapshotPath(portalName);
   
-  const tempDir = `temp-update-${portalName}-${Date.now()}`;
+  // 4. Create backup
+  const backup = await transaction.step('backup', async () => {
+    const created = await backupPortal(transaction, portalName);
+    logSuccess(`Backup created: ${created.id}`);
+    return created;
+  });
   
-  try {
-    // Use degit for clean clone
-    execSync(`npx degit ${portalConfig.repo} ${tempDir}`, { stdio: 'inherit' });
+  // 5. Fetch the target version
+  const tempDir = await transaction.step('fetch', async () => {
+    const dir = `temp-update-${portalName}-${Date.now()}`;
+    transaction.track(dir);
+    
+    logInfo(`Fetching ${target.version ? `version ${target.version}` : 'latest version'} from: ${portalConfig.repo}`);
+    
+    if (isLocalSource(portalConfig.repo)) {
+      // Local registry template (folder or tarball), no network needed
+      copyLocalTemplate(portalConfig.repo, dir);
+    } else {
+      // Clean clone of exactly the resolved commit
+      await cloneTemplate(portalConfig.repo, dir, `${portalName}-update`, target.commit);
+    }
     
     // Check if new version exists
-    if (!await exists(tempDir) || fs.readdirSync(tempDir).length === 0) {
+    if (!await exists(dir) || fs.readdirSync(dir).length === 0) {
       throw new Error('Failed to fetch update (empty directory)');
     }
     
-    logSuccess('Fetched latest version');
-    
-    // 5. Compare versions
-    const newConfigPath = path.join(tempDir, '.portal-config.json');
-    if (await exists(newConfigPath)) {
-      const newConfig = JSON.parse(await readFile(newConfigPath, 'utf8'));
-      logInfo(`New version: ${newConfig.version || 'unknown'}`);
-      
-      if (portalConfig.version && newConfig.version && portalConfig.version === newConfig.version) {
-        logWarning('Portal is already at the latest version');
-      }
-    }
+    logSuccess(`Fetched ${target.version ? `version ${target.version}` : 'latest version'}`);
+    return dir;
+  });
+  
+  // 6. Merge or replace
+  const mergeReport = await transaction.step('apply', async () => {
+    transaction.track(basePath);
     
-    // 6. Merge or replace
     if (force) {
       // Force replace
       logWarning('Force mode: Replacing portal completely');
       
-      // Remove old portal
-      fs.rmSync(portalPath, { recursive: true, force: true });
-      
-      // Move new portal in place
-      fs.renameSync(tempDir, portalPath);
+      // The old portal moves into the transaction snapshot; the fetched copy takes its place
+      const port = readEnvPort(getPortalEnvPath(portalName));
+      transaction.track(portalPath, { move: true });
+      fs.cpSync(tempDir, portalPath, { recursive: true });
+      saveBaseSnapshot(portalName, portalPath);
       
       logSuccess('Portal replaced with new version');
-    } else {
-      // Smart merge attempt
-      logInfo('Attempting smart merge...');
       
-      // Copy new files, but preserve existing custom files
-      // For now, we'll do a simple merge strategy
-      mergeDirectories(tempDir, portalPath);
+      // The replaced copy loses the @shared/* wiring portal:add made, so it is made again
+      const { updated, manual } = wireSharedPackage(portalPath);
+      if (updated.length > 0) {
+        logSuccess(`Wired ${SHARED_ALIAS}* (${updated.join(', ')})`);
+      }
+      manual.forEach(step => logWarning(`To import ${SHARED_ALIAS}*, ${step}`));
       
-      // Cleanup temp dir
-      fs.rmSync(tempDir, { recursive: true, force: true });
+      // ...and its port, which lived in the replaced .env.local and scripts
+      if (port) {
+        setPortalPort(portalName, port);
+      }
       
-      logSuccess('Merge completed');
+      mergeTurboTasks(transaction, portalName, portalPath);
+      return null;
     }
     
-    // 7. Update portal configuration
-    const updatedConfig = {
+    // Three-way merge: base snapshot from the last add/update, local edits, upstream
+    transaction.track(portalPath);
+    const hasBase = await exists(basePath);
+    
+    if (!hasBase) {
+      logWarning('No base snapshot found for this portal; every file that differs from upstream will be marked as a conflict');
+    }
+    
+    restoreTemplateTurboFile(portalPath, basePath, tempDir);
+    
+    logInfo('Merging upstream changes with local edits...');
+    
+    const report = mergeDirectories(hasBase ? basePath : null, portalPath, tempDir, {
+      local: `local (portals/${portalName})`,
+      upstream: `upstream (${portalConfig.repo})`
+    });
+    
+    await writeConflictReport(portalName, portalConfig, report);
+    
+    // The fetched template becomes the base for the next update
+    saveBaseSnapshot(portalName, tempDir);
+    
+    mergeTurboTasks(transaction, portalName, portalPath);
+    
+    printMergeReport(report);
+    return report;
+  });
+  
+  // 7. Update portal configuration
+  const updatedConfig = await transaction.step('config', async () => {
+    const config = {
       ...portalConfig,
+      version: target.version || portalConfig.version,
+      ref: target.ref,
+      commit: target.commit,
       updatedAt: new Date().toISOString(),
       previousVersion: portalConfig.version,
-      backupLocation: backupDir
+      previousCommit: portalConfig.commit || null,
+      backupId: backup.id,
+      shared: target.shared === undefined ? portalConfig.shared : target.shared
     };
     
     await writeFile(
       path.join(portalPath, '.portal-config.json'),
-      JSON.stringify(updatedConfig, null, 2)
+      JSON.stringify(config, null, 2)
     );
     
-    // 8. Install updated dependencies
+    // The base snapshot now holds the fetched template; pin it in the lockfile
+    transaction.track(LOCKFILE);
+    lockPortal(config, basePath);
+    logSuccess(`Updated ${LOCKFILE}`);
+    
+    return config;
+  });
+  
+  // 8. Install updated dependencies
+  const installPending = await transaction.step('install', async () => {
     logInfo('Checking for dependency updates...');
     
+    // A package.json with conflict markers cannot be read; the install waits for the resolution
+    if (mergeReport && mergeReport.conflicts.some(({ file }) => file === 'package.json')) {
+      logWarning('package.json has merge conflicts; dependencies were not installed');
+      return true;
+    }
+    
     const portalPkgPath = path.join(portalPath, 'package.json');
-    if (await exists(portalPkgPath)) {
-      const oldPkg = JSON.parse(await readFile(path.join(backupDir, 'package.json'), 'utf8'));
-      const newPkg = JSON.parse(await readFile(portalPkgPath, 'utf8'));
+    if (await exists(portalPkgPath) &&
+        dependenciesChanged(path.join(getBackupFilesPath(backup), 'package.json'), portalPkgPath)) {
+      const packageManager = getPackageManager();
+      transaction.track(packageManager.lockfile);
       
-      if (JSON.stringify(oldPkg.dependencies) !== JSON.stringify(newPkg.dependencies) ||
-          JSON.stringify(oldPkg.devDependencies) !== JSON.stringify(newPkg.devDependencies)) {
-        logInfo('Dependencies changed, installing updates...');
-        try {
-          execSync('npm install', { stdio: 'inherit' });
-          logSuccess('Dependencies updated');
-        } catch (error) {
-          logWarning('Failed to install dependencies. You may need to run: npm install');
-        }
-      }
+      logInfo(`Dependencies changed, installing updates with ${packageManager.name}...`);
+      execSync(packageManager.install, { stdio: 'inherit' });
+      logSuccess('Dependencies updated');
     }
-    
-    // 9. Success message
-    console.log(`\n${colors.green}═══════════════════════════════════════════════════${colors.reset}`);
-    console.log(`${colors.green}🎉 PORTAL "${portalName.toUpperCase()}" UPDATED SUCCESSFULLY!${colors.reset}`);
-    console.log(`${colors.green}═══════════════════════════════════════════════════${colors.reset}\n`);
-    
-    console.log(`${colors.cyan}📁 Updated:${colors.reset} portals/${portalName}/`);
-    console.log(`${colors.cyan}💾 Backup:${colors.reset} ${backupDir}/`);
-    
-    console.log(`\n${colors.yellow}⚠️  Important:${colors.reset}`);
-    console.log(`  1. Review the changes in your portal`);
-    console.log(`  2. Test the updated portal: npm run dev`);
-    console.log(`  3. Backup will be kept for rollback if needed`);
-    
-    console.log(`\n${colors.blue}🔧 Next steps:${colors.reset}`);
-    console.log(`  ${colors.green}cd portals/${portalName}${colors.reset}`);
-    console.log(`  ${colors.green}npm run dev${colors.reset}          # Test the updated portal`);
-    console.log(`  ${colors.green}rm -rf ${backupDir}${colors.reset}  # Remove backup when confirmed working`);
-    
+    return false;
+  });
+  
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  return { backup, mergeReport, updatedConfig, installPending };
+}
+
+// portal:add moved the template's turbo.json into the workspace's. When upstream changed it, the
+// base copy goes back into the portal first, so the merge takes the upstream version instead of
+// reporting a conflict with the deletion.
+function restoreTemplateTurboFile(portalPath, basePath, upstreamPath) {
+  const localFile = path.join(portalPath, TURBO_FILE);
+  const baseFile = path.join(basePath, TURBO_FILE);
+  const upstreamFile = path.join(upstreamPath, TURBO_FILE);
+  
+  if (fs.existsSync(localFile) || !fs.existsSync(baseFile) || !readTemplateTasks(basePath)) {
+    return;
+  }
+  
+  if (!fs.existsSync(upstreamFile) || !fs.readFileSync(upstreamFile).equals(fs.readFileSync(baseFile))) {
+    fs.copyFileSync(baseFile, localFile);
+  }
+}
+
+// A turbo.json the update brought into the portal is merged into the workspace's, as portal:add
+// does
+function mergeTurboTasks(transaction, portalName, portalPath) {
+  transaction.track(TURBO_FILE);
+  
+  try {
+    const merged = mergeTemplateTasks(portalName, portalPath);
+    if (merged?.tasks) {
+      logSuccess(`Updated turbo tasks: ${merged.tasks.join(', ')}`);
+    } else if (merged?.manual) {
+      logWarning(`Template turbo tasks not merged: ${merged.manual}`);
+    }
+  } catch (error) {
+    logWarning(`${error.message}; merge portals/${portalName}/${TURBO_FILE} into ${TURBO_FILE} by hand`);
+  }
+}
+
+// Run (or resume) the update transaction and report the result
+async function finishUpdate(transaction) {
+  const { portalName } = transaction.args;
+  let result;
+  
+  try {
+    result = await runTransaction(transaction, applyUpdate);
   } catch (error) {
-    // Cleanup on error
-    if (await exists(tempDir)) {
-      fs.rmSync(tempDir, { recursive: true, force: true });
+    logError(`Update failed: ${error.message}`);
+    logSuccess('Portal and workspace restored to their previous state');
+    process.exit(1);
+  }
+  
+  const { backup, mergeReport, installPending } = result;
+  
+  // Apply the retention policy from .edutechrc, keeping the backup just taken
+  const pruned = pruneBackups({ protectedIds: [backup.id] });
+  if (pruned.length > 0) {
+    logInfo(`Pruned ${pruned.length} old backup(s)`);
+  }
+  
+  // 9. Success message
+  console.log(`\n${colors.green}═══════════════════════════════════════════════════${colors.reset}`);
+  console.log(`${colors.green}🎉 PORTAL "${portalName.toUpperCase()}" UPDATED SUCCESSFULLY!${colors.reset}`);
+  console.log(`${colors.green}═══════════════════════════════════════════════════${colors.reset}\n`);
+  
+  console.log(`${colors.cyan}📁 Updated:${colors.reset} portals/${portalName}/`);
+  console.log(`${colors.cyan}💾 Backup:${colors.reset} ${backup.id}`);
+  
+  if (mergeReport && mergeReport.conflicts.length > 0) {
+    console.log(`\n${colors.red}⚠️  ${mergeReport.conflicts.length} file(s) need manual resolution:${colors.reset}`);
+    mergeReport.conflicts.forEach(({ file }) => {
+      console.log(`  ${colors.yellow}portals/${portalName}/${file}${colors.reset}`);
+    });
+    console.log(`  See portals/${portalName}/${CONFLICT_REPORT_FILE} for details`);
+  }
+  
+  const packageManager = getPackageManager();
+  
+  if (installPending) {
+    console.log(`\n${colors.yellow}📦 Dependencies not installed:${colors.reset} resolve the conflicts in portals/${portalName}/package.json, then run ${colors.green}${packageManager.install}${colors.reset}`);
+  }
+  
+  console.log(`\n${colors.yellow}⚠️  Important:${colors.reset}`);
+  console.log(`  1. Review the changes in your portal`);
+  console.log(`  2. Test the updated portal: ${packageManager.run('dev')}`);
+  console.log(`  3. Backup will be kept for rollback if needed`);
+  
+  console.log(`\n${colors.blue}🔧 Next steps:${colors.reset}`);
+  console.log(`  ${colors.green}cd portals/${portalName}${colors.reset}`);
+  console.log(`  ${colors.green}${packageManager.run('dev')}${colors.reset}          # Test the updated portal`);
+  console.log(`  ${colors.green}${formatRunCommand('portal:rollback', portalName)}${colors.reset}  # Go back to the backup if something broke`);
+}
+
+// --dry-run: fetch the target version outside the workspace and report what updating would change
+async function printUpdatePlan(portalName, portalConfig, target, force) {
+  const portalPath = `portals/${portalName}`;
+  const scratchDir = createScratchDir('dry-run');
+  const upstreamPath = path.join(scratchDir, portalName);
+  let changes;
+  let conflicts = [];
+  let installNeeded;
+  
+  try {
+    if (isLocalSource(portalConfig.repo)) {
+      copyLocalTemplate(portalConfig.repo, upstreamPath);
+    } else {
+      await cloneTemplate(portalConfig.repo, upstreamPath, `${portalName}-update`, target.commit);
     }
     
-    logError(`Update failed: ${error.message}`);
+    const basePath = getBaseSnapshotPath(portalName);
+    const hasBase = await exists(basePath);
     
-    // Restore from backup
-    logInfo('Restoring from backup...');
-    if (await exists(portalPath)) {
-      fs.rmSync(portalPath, { recursive: true, force: true });
+    if (force) {
+      changes = diffDirectories(portalPath, upstreamPath);
+    } else {
+      const report = mergeDirectories(hasBase ? basePath : null, portalPath, upstreamPath, {}, { dryRun: true });
+      changes = {
+        added: report.added,
+        modified: report.updated,
+        merged: report.merged,
+        deleted: report.deleted
+      };
+      conflicts = report.conflicts;
     }
-    fs.renameSync(backupDir, portalPath);
     
-    logSuccess('Portal restored from backup');
-    process.exit(1);
+    // Against the template as installed: the portal's own package.json has the shared dependency
+    // portal:add injects, which upstream never lists
+    installNeeded = dependenciesChanged(path.join(hasBase ? basePath : portalPath, 'package.json'), path.join(upstreamPath, 'package.json'));
+  } finally {
+    removeScratchDir(scratchDir);
+  }
+  
+  const from = `${portalConfig.version || 'unknown'} (${shortCommit(portalConfig.commit)})`;
+  const to = `${target.version || portalConfig.version || 'latest'} (${shortCommit(target.commit)})`;
+  
+  console.log(`\n${colors.cyan}🔍 Dry run: nothing has been written${colors.reset}\n`);
+  
+  console.log(`${colors.blue}Files (${portalPath}/, ${force ? 'replaced' : 'three-way merge'}):${colors.reset}`);
+  changes.added.forEach(file => console.log(`  ${colors.green}+ ${file}${colors.reset}`));
+  changes.modified.forEach(file => console.log(`  ${colors.yellow}~ ${file}${colors.reset}`));
+  (changes.merged || []).forEach(file => console.log(`  ${colors.yellow}~ ${file}${colors.reset} (merged with local edits)`));
+  changes.deleted.forEach(file => console.log(`  ${colors.red}- ${file}${colors.reset}`));
+  conflicts.forEach(({ file, reason }) => console.log(`  ${colors.red}! ${file}${colors.reset} (conflict: ${reason})`));
+  console.log(`  ${colors.yellow}~ .portal-config.json${colors.reset} (${from} → ${to})`);
+  
+  console.log(`${colors.blue}package.json:${colors.reset}`);
+  console.log('  workspaces: no change');
+  
+  console.log(`${colors.blue}${LOCKFILE}:${colors.reset}`);
+  console.log(`  ${colors.yellow}~ ${portalName} ${from} → ${to}${colors.reset}`);
+  
+  console.log(`${colors.blue}.edutech/base/${portalName}/:${colors.reset}`);
+  console.log(`  ${colors.yellow}~ replaced with ${to}${colors.reset}`);
+  
+  console.log(`${colors.blue}${BACKUP_STORE_DIR}/:${colors.reset}`);
+  console.log(`  ${colors.green}+ backup of ${portalPath}${colors.reset}`);
+  
+  console.log(`${colors.blue}Commands:${colors.reset}`);
+  console.log(installNeeded ? `  ${getPackageManager().install} (dependencies changed)` : '  none (dependencies unchanged)');
+  
+  if (conflicts.length > 0) {
+    console.log(`\n${colors.red}⚠️  ${conflicts.length} file(s) would need manual resolution${colors.reset}`);
   }
+  console.log(`\n${colors.yellow}Run without --dry-run to update the portal.${colors.reset}`);
 }
 
-// Simple directory merge utility
-function mergeDirectories(sourceDir, targetDir) {
-  const files = fs.readdirSync(sourceDir);
-  
-  for (const file of files) {
-    const sourcePath = path.join(sourceDir, file);
-    const targetPath = path.join(targetDir, file);
-    const stat = fs.statSync(sourcePath);
-    
-    if (stat.isDirectory()) {
-      if (!fs.existsSync(targetPath)) {
-        fs.mkdirSync(targetPath, { recursive: true });
-      }
-      mergeDirectories(sourcePath, targetPath);
-    } else {
-      // Skip portal config - we'll update it separately
-      if (file === '.portal-config.json') {
-        continue;
-      }
-      
-      // Copy file
-      fs.copyFileSync(sourcePath, targetPath);
+function printMergeReport(report) {
+  const summary = [
+    ['Added', report.added],
+    ['Updated', report.updated],
+    ['Merged', report.merged],
+    ['Deleted', report.deleted]
+  ];
+  
+  summary.forEach(([label, files]) => {
+    if (files.length > 0) {
+      logInfo(`${label}: ${files.length} file(s)`);
     }
+  });
+  
+  if (report.conflicts.length > 0) {
+    logWarning(`Merge completed with ${report.conflicts.length} conflict(s):`);
+    report.conflicts.forEach(({ file, reason }) => {
+      console.log(`  ${colors.yellow}${file}${colors.reset}: ${reason}`);
+    });
+  } else {
+    logSuccess('Merge completed without conflicts');
+  }
+}
+
+async function writeConflictReport(portalName, portalConfig, report) {
+  const reportPath = path.join(`portals/${portalName}`, CONFLICT_REPORT_FILE);
+  
+  if (report.conflicts.length === 0) {
+    fs.rmSync(reportPath, { force: true });
+    return;
   }
+  
+  await writeFile(reportPath, JSON.stringify({
+    portal: portalName,
+    upstream: portalConfig.repo,
+    mergedAt: new Date().toISOString(),
+    conflicts: report.conflicts
+  }, null, 2));
 }
 
 function parseArgs() {
   const args = process.argv.slice(2);
   
-  if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+  
+  const resume = hasFlag(args, '--resume');
+  const revert = hasFlag(args, '--revert');
+  if (resume || revert) {
+    return { resume, revert };
+  }
+  
+  if (args.length === 0) {
     showHelp();
     process.exit(0);
   }
   
   let portalName = '';
   let force = false;
+  let toVersion = null;
+  let dryRun = hasFlag(args, '--dry-run');
+  let ignoreShared = false;
   
   for (let i = 0; i < args.length; i++) {
-    if (args[i] === '--force' || args[i] === '-f') {
+    if (args[i] === '--dry-run') {
+      dryRun = true;
+    } else if (args[i] === '--ignore-shared') {
+      ignoreShared = true;
+    } else if (args[i] === '--force' || args[i] === '-f') {
       force = true;
+    } else if (args[i] === '--to') {
+      toVersion = args[i + 1] || null;
+      i++;
     } else if (!args[i].startsWith('-')) {
       portalName = args[i];
     }
@@ -294,28 +604,47 @@ function parseArgs() {
     process.exit(1);
   }
   
-  return { portalName, force };
+  if (toVersion && portalName === 'all') {
+    logError('--to can only be used when updating a single portal');
+    process.exit(1);
+  }
+  
+  return { portalName, force, toVersion, dryRun, ignoreShared };
 }
 
 function showHelp() {
   console.log(`
 ${colors.blue}Usage:${colors.reset}
-  npm run portal:update <portal-name> [options]
+  ${formatRunCommand('portal:update', '<portal-name> [options]')}
+  ${formatRunCommand('portal:update', '--resume | --revert')}
 
 ${colors.blue}Options:${colors.reset}
-  --force, -f           Force update (overwrites local changes)
+  --to <version>        Update to a specific registry version instead of the latest
+  --force, -f           Force update (replaces the portal, discarding local changes)
+  --dry-run             Show what would change without writing anything
+  --ignore-shared       Update even if the portal needs a newer shared package
+  --resume              Finish an interrupted portal:update
+  --revert              Undo an interrupted portal command
   --help, -h            Show this help message
 
 ${colors.blue}Examples:${colors.reset}
-  npm run portal:update cbt
-  npm run portal:update academic --force
-  npm run portal:update finance
+  ${formatRunCommand('portal:update', 'cbt')}
+  ${formatRunCommand('portal:update', 'academic --to 2.4.0')}
+  ${formatRunCommand('portal:update', 'academic --force')}
+  ${formatRunCommand('portal:update', 'finance --dry-run')}
 
 ${colors.blue}Notes:${colors.reset}
-  • Creates a backup before updating
+  • Resolves the version to an exact commit and records it in .portal-config.json
+  • Creates a backup in .edutech/backups/ before updating
   • Checks for uncommitted changes (unless --force)
-  • Preserves custom files when possible
+  • Refuses an update whose registry entry needs a newer shared package
+    than shared/package.json has (unless --ignore-shared)
+  • Merges upstream changes with your local edits (three-way merge)
+  • Files changed on both sides get conflict markers and are listed
+    in portals/<portal-name>/.portal-conflicts.json
   • Updates dependencies if changed
+  • If any step fails, the portal, lockfile and the package manager's lockfile
+    are restored; an interrupted run must be resumed or reverted first
   
 ${colors.yellow}⚠️  Warning:${colors.reset}
   Using --force will overwrite all local changes!
@@ -345,7 +674,19 @@ async function listUpdatablePortals() {
 
 async function main() {
   try {
-    const { portalName, force } = parseArgs();
+    const args = parseArgs();
+    
+    // An interrupted portal command is resumed or reverted before another one starts
+    const pending = handlePendingTransaction('update', args);
+    if (pending) {
+      logInfo(pending.message);
+      if (pending.transaction) {
+        await finishUpdate(pending.transaction);
+      }
+      return;
+    }
+    
+    const { portalName, force, toVersion, dryRun, ignoreShared } = args;
     
     if (portalName === 'all') {
       const portals = await listUpdatablePortals();
@@ -359,16 +700,16 @@ async function main() {
       
       for (const portal of portals) {
         try {
-          await updatePortal(portal, force);
+          await updatePortal(portal, force, null, { dryRun, ignoreShared });
         } catch (error) {
           logError(`Failed to update ${portal}: ${error.message}`);
           // Continue with other portals
         }
       }
       
-      logSuccess('All portals update completed');
+      logSuccess(dryRun ? 'All portals dry run completed' : 'All portals update completed');
     } else {
-      await updatePortal(portalName, force);
+      await updatePortal(portalName, force, toVersion, { dryRun, ignoreShared });
     }
     
   } catch (error) {
@@ -383,4 +724,4 @@ if (require.main === module) {
 }
 
 // Export for testing
-module.exports = { updatePortal, getPortalConfig, backupPortal };
\ No newline at end of file
+module.exports = { updatePortal, getPortalConfig, backupPortal, applyUpdate };
\ No newline at end of file
@@ -0,0 +1,10 @@
+import type { ButtonHTMLAttributes } from 'react';
+import { cn } from '@shared/lib/utils';
+
+export type ButtonProps = ButtonHTMLAttributes<HTMLButtonElement> & {
+  variant?: 'primary' | 'secondary';
+};
+
+export function Button({ variant = 'primary', className, type = 'button', ...props }: ButtonProps) {
+  return <button type={type} className={cn('btn', `btn-${variant}`, className)} {...props} />;
+}
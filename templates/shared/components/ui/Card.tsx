@@ -0,0 +1,15 @@
+import type { HTMLAttributes } from 'react';
+import { cn } from '@shared/lib/utils';
+
+export type CardProps = HTMLAttributes<HTMLDivElement> & {
+  title?: string;
+};
+
+export function Card({ title, className, children, ...props }: CardProps) {
+  return (
+    <div className={cn('card', className)} {...props}>
+      {title && <h3 className="card-title">{title}</h3>}
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,4 @@
+export { Button } from './Button';
+export type { ButtonProps } from './Button';
+export { Card } from './Card';
+export type { CardProps } from './Card';
@@ -0,0 +1,32 @@
+import { useCallback, useEffect, useState } from 'react';
+
+export type AuthUser = {
+  id: string;
+  name: string;
+  email: string;
+};
+
+const STORAGE_KEY = 'edutech.auth.user';
+
+// The signed-in user, kept in localStorage so every portal on the same origin shares it.
+// Replace the storage with your institution's auth provider.
+export function useAuth() {
+  const [user, setUser] = useState<AuthUser | null>(null);
+
+  useEffect(() => {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    setUser(saved ? (JSON.parse(saved) as AuthUser) : null);
+  }, []);
+
+  const signIn = useCallback((nextUser: AuthUser) => {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(nextUser));
+    setUser(nextUser);
+  }, []);
+
+  const signOut = useCallback(() => {
+    window.localStorage.removeItem(STORAGE_KEY);
+    setUser(null);
+  }, []);
+
+  return { user, isAuthenticated: user !== null, signIn, signOut };
+}
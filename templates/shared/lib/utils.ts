@@ -0,0 +1,4 @@
+// Join class names, skipping empty values: cn('btn', active && 'btn-active')
+export function cn(...classNames: Array<string | false | null | undefined>): string {
+  return classNames.filter(Boolean).join(' ');
+}
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compareWithTemplate } = require('../templates/scripts/lib/adopt');
+const { readLockfile, hashDirectory } = require('../templates/scripts/lib/lockfile');
+const { getBaseSnapshotPath } = require('../templates/scripts/lib/merge');
+const { adoptPortal } = require('../templates/scripts/portal-adopt');
+
+const cwd = process.cwd();
+let workspace;
+
+test.beforeEach(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-adopt-'));
+  process.chdir(workspace);
+  fs.mkdirSync('template');
+  fs.mkdirSync('portals/library', { recursive: true });
+
+  fs.writeFileSync('template/package.json', '{ "name": "academic" }\n');
+  fs.writeFileSync('template/index.js', 'one\ntwo\nthree\n');
+  fs.writeFileSync('template/README.md', 'Academic portal\n');
+
+  // Copied from the template by hand, then edited
+  fs.writeFileSync('portals/library/package.json', '{ "name": "academic" }\n');
+  fs.writeFileSync('portals/library/index.js', 'one\ntwo (edited)\nthree\n');
+  fs.writeFileSync('portals/library/notes.md', 'Added\n');
+
+  fs.writeFileSync('registry.json', `${JSON.stringify({
+    version: '1.0.0',
+    portals: { academic: { description: 'Academic portal', version: '2.0.0', shared: '^1.0.0', themes: { default: 'file://./template' } } }
+  })}\n`);
+  fs.writeFileSync('.edutechrc', '{ "registryUrl": "./registry.json", "packageManager": "npm" }\n');
+});
+
+test.afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+test('compareWithTemplate sorts files into unchanged, changed, added and missing', () => {
+  const report = compareWithTemplate('template', 'portals/library');
+
+  assert.deepEqual(report.unchanged, ['package.json']);
+  assert.deepEqual(report.changed, ['index.js']);
+  assert.deepEqual(report.added, ['notes.md']);
+  assert.deepEqual(report.missing, ['README.md']);
+  // 3 common lines counted on both sides, out of 10 lines in all
+  assert.equal(report.similarity, 0.6);
+
+  assert.equal(compareWithTemplate('template', 'template').similarity, 1);
+});
+
+test('a dry run writes nothing', async () => {
+  assert.equal(await adoptPortal('library', { from: 'academic', dryRun: true }), null);
+
+  assert.equal(fs.existsSync('portals/library/.portal-config.json'), false);
+  assert.equal(fs.existsSync(getBaseSnapshotPath('library')), false);
+  assert.equal(fs.existsSync('edutech-lock.json'), false);
+});
+
+test('adopting records the template as the base and locks it', async () => {
+  await adoptPortal('library', { from: 'academic' });
+
+  const portalConfig = JSON.parse(fs.readFileSync('portals/library/.portal-config.json', 'utf8'));
+  assert.equal(portalConfig.template, 'academic');
+  assert.equal(portalConfig.source, 'adopted');
+  assert.equal(portalConfig.version, '2.0.0');
+  assert.equal(portalConfig.shared, '^1.0.0');
+
+  assert.equal(fs.readFileSync(path.join(getBaseSnapshotPath('library'), 'index.js'), 'utf8'), 'one\ntwo\nthree\n');
+  assert.equal(fs.readFileSync('portals/library/index.js', 'utf8'), 'one\ntwo (edited)\nthree\n');
+
+  const entry = readLockfile().portals.library;
+  assert.equal(entry.template, 'academic');
+  assert.equal(entry.integrity, hashDirectory('template'));
+
+  await assert.rejects(adoptPortal('library', { from: 'academic' }), /already managed/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findAffectedPortals } = require('../templates/scripts/lib/affected');
+
+// A workspace where academic imports @shared/ui/button, which imports ./theme, and hostel
+// imports @shared/utils only; cbt does not use shared at all
+const files = {
+  'shared/package.json': '{ "name": "@edutech/shared" }',
+  'shared/ui/button.tsx': "import { colors } from './theme';\nexport const Button = () => null;\n",
+  'shared/ui/theme.ts': 'export const colors = {};\n',
+  'shared/utils/index.ts': 'export const slug = text => text;\n',
+  'portals/academic/app/page.tsx': "import { Button } from '@shared/ui/button';\n",
+  'portals/hostel/app/page.tsx': "const { slug } = require('@shared/utils');\n",
+  'portals/cbt/app/page.tsx': 'export default function Page() { return null; }\n'
+};
+const portals = ['academic', 'cbt', 'hostel'];
+
+const cwd = process.cwd();
+let workspace;
+
+test.before(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-affected-'));
+  process.chdir(workspace);
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  });
+});
+
+test.after(() => {
+  process.chdir(cwd);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+test('findAffectedPortals finds portals changed directly', () => {
+  assert.deepEqual(findAffectedPortals(['portals/cbt/app/page.tsx', 'README.md'], portals), {
+    changed: ['cbt'],
+    affected: ['cbt'],
+    shared: [],
+    via: {}
+  });
+});
+
+test('findAffectedPortals follows shared imports through other shared files', () => {
+  assert.deepEqual(findAffectedPortals(['shared/ui/theme.ts'], portals), {
+    changed: [],
+    affected: ['academic'],
+    shared: ['shared/ui/theme.ts'],
+    via: { academic: ['shared/ui/theme.ts'] }
+  });
+});
+
+test('findAffectedPortals resolves index files and deleted files', () => {
+  assert.deepEqual(findAffectedPortals(['shared/utils/index.ts', 'shared/ui/button.jsx'], portals).via, {
+    academic: ['shared/ui/button.jsx'],
+    hostel: ['shared/utils/index.ts']
+  });
+});
+
+test('findAffectedPortals counts a shared package.json change for every portal using @shared', () => {
+  const result = findAffectedPortals(['shared/package.json', 'portals/cbt/app/page.tsx'], portals);
+
+  assert.deepEqual(result.changed, ['cbt']);
+  assert.deepEqual(result.affected, ['academic', 'cbt', 'hostel']);
+  assert.deepEqual(result.via, { academic: ['shared/package.json'], hostel: ['shared/package.json'] });
+});
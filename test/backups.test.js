@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  BACKUP_STORE_DIR,
+  addBackup,
+  restoreBackup,
+  listBackups,
+  findBackup,
+  migrateLegacyBackups,
+  getRetentionPolicy,
+  selectExpiredBackups,
+  pruneBackups
+} = require('../templates/scripts/lib/backups');
+
+const cwd = process.cwd();
+let workspace;
+
+test.beforeEach(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-backups-'));
+  process.chdir(workspace);
+  fs.mkdirSync('portals/cbt/node_modules', { recursive: true });
+  fs.writeFileSync('package.json', '{ "name": "school", "workspaces": ["portals/cbt"] }\n');
+  fs.writeFileSync('portals/cbt/.portal-config.json', '{ "name": "cbt", "version": "1.0.0" }\n');
+  fs.writeFileSync('portals/cbt/index.js', 'module.exports = 1;\n');
+  fs.writeFileSync('portals/cbt/node_modules/dep.js', '\n');
+});
+
+test.afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+function backupAt(portal, createdAt, size = 100) {
+  return { id: `${portal}-${createdAt}`, portal, createdAt, size };
+}
+
+test('a backup leaves out generated folders and restores the portal as it was', () => {
+  const backup = addBackup('cbt', 'update', new Date('2024-06-10T08:00:00.000Z'));
+
+  assert.equal(backup.id, 'cbt-2024-06-10T08-00-00-000Z');
+  assert.equal(backup.version, '1.0.0');
+  assert.equal(backup.workspace, true);
+
+  fs.writeFileSync('portals/cbt/index.js', 'module.exports = 2;\n');
+  restoreBackup(backup);
+
+  assert.equal(fs.readFileSync('portals/cbt/index.js', 'utf8'), 'module.exports = 1;\n');
+  assert.equal(fs.existsSync('portals/cbt/node_modules'), false);
+});
+
+test('findBackup matches an id, its time part or the start of its ISO time', () => {
+  addBackup('cbt', 'update', new Date('2024-06-10T08:00:00.000Z'));
+  addBackup('cbt', 'remove', new Date('2024-06-11T09:30:00.000Z'));
+  const backups = listBackups('cbt');
+
+  assert.equal(backups[0].reason, 'remove');
+  assert.equal(findBackup(backups, 'cbt-2024-06-10T08-00-00-000Z').reason, 'update');
+  assert.equal(findBackup(backups, '2024-06-10T08-00-00-000Z').reason, 'update');
+  assert.equal(findBackup(backups, '2024-06-11T09:30').reason, 'remove');
+  assert.equal(findBackup(backups, '2023'), null);
+});
+
+test('the retention policy reads .edutechrc and rejects invalid values', () => {
+  assert.deepEqual(getRetentionPolicy({}), { keepLast: 5, maxAge: null, maxTotalSize: null });
+  assert.deepEqual(
+    getRetentionPolicy({ backups: { keepLast: null, maxAge: '2w', maxTotalSize: '1.5KB' } }),
+    { keepLast: null, maxAge: 14 * 86400000, maxTotalSize: 1536 }
+  );
+  assert.throws(() => getRetentionPolicy({ backups: { keepLast: 0 } }), /Invalid backups.keepLast/);
+  assert.throws(() => getRetentionPolicy({ backups: { maxAge: '30 days' } }), /Invalid backups.maxAge/);
+  assert.throws(() => getRetentionPolicy({ backups: { maxTotalSize: 'lots' } }), /Invalid backups.maxTotalSize/);
+});
+
+test('selectExpiredBackups applies keepLast per portal, then maxAge, then maxTotalSize', () => {
+  const backups = [
+    backupAt('cbt', '2024-06-01T00:00:00.000Z'),
+    backupAt('cbt', '2024-06-08T00:00:00.000Z'),
+    backupAt('cbt', '2024-06-09T00:00:00.000Z'),
+    backupAt('hostel', '2024-05-01T00:00:00.000Z'),
+    backupAt('hostel', '2024-06-09T00:00:00.000Z', 250)
+  ];
+  const now = new Date('2024-06-10T00:00:00.000Z').getTime();
+  const policy = { keepLast: 2, maxAge: 14 * 86400000, maxTotalSize: 400 };
+
+  const expired = selectExpiredBackups(backups, policy, [], now).map(({ backup, rule }) => [backup.id, rule]);
+
+  assert.deepEqual(expired, [
+    ['cbt-2024-06-01T00:00:00.000Z', 'more than 2 backups of cbt'],
+    ['hostel-2024-05-01T00:00:00.000Z', 'older than maxAge'],
+    ['cbt-2024-06-08T00:00:00.000Z', 'store larger than maxTotalSize']
+  ]);
+});
+
+test('protected backups are never expired', () => {
+  const backups = [backupAt('cbt', '2024-06-01T00:00:00.000Z'), backupAt('cbt', '2024-06-09T00:00:00.000Z')];
+  const policy = { keepLast: 1, maxAge: null, maxTotalSize: null };
+
+  assert.deepEqual(selectExpiredBackups(backups, policy, ['cbt-2024-06-01T00:00:00.000Z']), []);
+});
+
+test('pruneBackups removes expired backups from the store unless it is a dry run', () => {
+  addBackup('cbt', 'update', new Date('2024-06-10T08:00:00.000Z'));
+  const kept = addBackup('cbt', 'update', new Date('2024-06-11T08:00:00.000Z'));
+  const policy = { keepLast: 1, maxAge: null, maxTotalSize: null };
+
+  assert.equal(pruneBackups({ policy, dryRun: true }).length, 1);
+  assert.equal(listBackups().length, 2);
+
+  const [{ backup: removed }] = pruneBackups({ policy });
+  assert.deepEqual(listBackups().map(backup => backup.id), [kept.id]);
+  assert.equal(fs.existsSync(path.join(BACKUP_STORE_DIR, removed.id)), false);
+});
+
+test('legacy backup folders are moved into the store', () => {
+  fs.cpSync('portals/cbt', `backup-cbt-${Date.parse('2024-06-10T08:00:00.000Z')}`, { recursive: true });
+  fs.cpSync('portals/cbt', 'portal-backups/cbt-2024-06-11T09-30-00-000Z', { recursive: true });
+
+  const migrated = migrateLegacyBackups();
+
+  assert.deepEqual(migrated.map(backup => [backup.reason, backup.createdAt]).sort(), [
+    ['remove', '2024-06-11T09:30:00.000Z'],
+    ['update', '2024-06-10T08:00:00.000Z']
+  ]);
+  assert.equal(fs.existsSync('portal-backups'), false);
+  assert.equal(listBackups('cbt').length, 2);
+});
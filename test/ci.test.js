@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CI_TEMPLATE_DIR, getCiSettings, renderWorkflow, writeWorkflow } = require('../templates/scripts/lib/ci');
+
+const cwd = process.cwd();
+const templates = path.join(__dirname, '..', 'templates');
+let workspace;
+
+test.beforeEach(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-ci-'));
+  process.chdir(workspace);
+  fs.mkdirSync(CI_TEMPLATE_DIR, { recursive: true });
+  fs.copyFileSync(path.join(templates, 'gitlab-ci.yml'), path.join(CI_TEMPLATE_DIR, 'gitlab-ci.yml'));
+  fs.copyFileSync(path.join(templates, 'github-workflow.yml'), path.join(CI_TEMPLATE_DIR, 'github-workflow.yml'));
+  fs.mkdirSync('portals/cbt', { recursive: true });
+  fs.writeFileSync('edutech-lock.json', '{ "lockfileVersion": 1, "portals": { "academic": {} } }\n');
+});
+
+test.afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+test('the GitLab workflow deploys each environment when a listed portal or shared/ changes', () => {
+  const settings = getCiSettings({ ci: { provider: 'gitlab', reload: true } });
+  const { file, content, portals } = renderWorkflow(settings);
+
+  assert.equal(file, '.gitlab-ci.yml');
+  assert.deepEqual(portals, ['academic', 'cbt']);
+  assert.doesNotMatch(content, /__[A-Z_]+__/);
+  assert.match(content, / {4}- if: \$CI_COMMIT_BRANCH == "main"\n {6}changes:\n {8}- portals\/academic\/\*\*\/\*\n {8}- portals\/cbt\/\*\*\/\*\n {8}- shared\/\*\*\/\*\n {6}variables:\n {8}DEPLOY_ENVIRONMENT: production\n/);
+  assert.match(content, /PM2_RELOAD: "true"/);
+  assert.match(content, /deploy_key/);
+  assert.doesNotMatch(content, /sshpass/);
+});
+
+test('the GitHub workflow maps branches to environments and uses password auth when asked', () => {
+  const settings = getCiSettings({ ci: { provider: 'github', auth: 'password', environments: { production: 'main', staging: 'develop' } } });
+  const { file, content } = renderWorkflow(settings);
+
+  assert.equal(file, '.github/workflows/deploy.yml');
+  assert.doesNotMatch(content, /__[A-Z_]+__/);
+  assert.match(content, /branches: \[ main, develop \]/);
+  assert.match(content, /environment: \$\{\{ \(github\.ref_name == 'main' && 'production'\) \|\| \(github\.ref_name == 'develop' && 'staging'\) \}\}/);
+  assert.match(content, /SSHPASS: \$\{\{ secrets\.SERVER_PASSWORD \}\}/);
+  assert.doesNotMatch(content, /SSH_PRIVATE_KEY/);
+});
+
+test('writeWorkflow only rewrites a workflow that changed', () => {
+  const settings = getCiSettings({ ci: { provider: 'gitlab' } });
+
+  assert.equal(writeWorkflow(settings).changed, true);
+  assert.equal(writeWorkflow(settings).changed, false);
+
+  fs.mkdirSync('portals/hostel');
+  assert.equal(writeWorkflow(settings).changed, true);
+  assert.match(fs.readFileSync('.gitlab-ci.yml', 'utf8'), /portals\/hostel\/\*\*\/\*/);
+});
+
+test('invalid ci settings are rejected', () => {
+  assert.throws(() => getCiSettings({ ci: { provider: 'jenkins' } }), /Invalid ci.provider "jenkins"/);
+  assert.throws(() => getCiSettings({ ci: { provider: 'github', auth: 'token' } }), /Invalid ci.auth/);
+  assert.throws(() => getCiSettings({ ci: { provider: 'github', reload: 'yes' } }), /Invalid ci.reload/);
+  assert.throws(
+    () => getCiSettings({ ci: { provider: 'github', environments: { production: 'main', staging: 'main' } } }),
+    /Invalid ci.environments/
+  );
+});
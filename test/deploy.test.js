@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getReloadCommands,
+  planIncrementalDeploy,
+  recordDeploy,
+  parseTarget,
+  getRemoteScript
+} = require('../templates/scripts/lib/deploy');
+
+const cwd = process.cwd();
+let workspace;
+
+function git(...args) {
+  return execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { encoding: 'utf8' }).trim();
+}
+
+function commit(files) {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  });
+  git('add', '.');
+  git('commit', '-qm', 'change');
+  return git('rev-parse', 'HEAD');
+}
+
+test.before(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-deploy-'));
+  process.chdir(workspace);
+  git('init', '-q');
+});
+
+test.after(() => {
+  process.chdir(cwd);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+test('a portal that failed to deploy is planned again after unrelated commits', () => {
+  const first = commit({ 'portals/academic/page.js': '1', 'portals/hostel/page.js': '1' });
+  const second = commit({ 'portals/academic/page.js': '2', 'portals/hostel/page.js': '2' });
+
+  // The deploy of the second commit built academic but not hostel
+  const state = recordDeploy(['academic', 'hostel'], { academic: first, hostel: first }, ['hostel'], second);
+  assert.deepEqual(state, { portals: { academic: second, hostel: first } });
+
+  commit({ 'README.md': 'docs' });
+  const plan = planIncrementalDeploy(['academic', 'hostel'], state.portals, second);
+
+  assert.deepEqual(plan.affected, ['hostel']);
+  assert.deepEqual(plan.since, { academic: second, hostel: first });
+});
+
+test('portals without a usable deploy record are diffed from the fallback commit', () => {
+  const before = git('rev-parse', 'HEAD');
+  commit({ 'portals/cbt/page.js': '1' });
+
+  const plan = planIncrementalDeploy(['academic', 'cbt'], { academic: 'f'.repeat(40) }, before);
+
+  assert.deepEqual(plan.since, { academic: before, cbt: before });
+  assert.deepEqual(plan.affected, ['cbt']);
+});
+
+test('getRemoteScript deploys incrementally from the commit the server was on', () => {
+  assert.equal(getRemoteScript('/srv/my workspace', 'main', 'pnpm install', ['--no-reload']), [
+    'set -e',
+    "cd '/srv/my workspace'",
+    'BEFORE=$(git rev-parse HEAD)',
+    "git pull --ff-only origin 'main'",
+    'pnpm install',
+    'node scripts/portal-deploy.js --incremental --since "$BEFORE" \'--no-reload\'',
+    ''
+  ].join('\n'));
+  assert.match(getRemoteScript('/srv/ws', "it's", 'npm install', [], 'v1.0.0'), /origin 'it'\\''s'\n[\s\S]*--since 'v1.0.0'$/m);
+});
+
+test('parseTarget reads ssh:// targets', () => {
+  assert.deepEqual(parseTarget('ssh://deploy@example.com:2222/srv/workspace'), {
+    destination: 'deploy@example.com',
+    port: '2222',
+    dir: '/srv/workspace'
+  });
+  assert.throws(() => parseTarget('deploy@example.com:/srv'), /Invalid target/);
+});
+
+test('getReloadCommands reloads the built portals with their production profile', () => {
+  const apps = [{ name: 'academic-portal', cwd: './portals/academic' }];
+
+  assert.deepEqual(getReloadCommands(['academic', 'hostel'], apps), [
+    ['pm2', 'startOrReload', 'ecosystem.config.js', '--only', 'academic-portal', '--env', 'production'],
+    ['pm2', 'save']
+  ]);
+  assert.deepEqual(getReloadCommands(['hostel'], apps), []);
+});
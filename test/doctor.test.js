@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runChecks } = require('../templates/scripts/lib/doctor');
+
+const cwd = process.cwd();
+let workspace;
+
+test.beforeEach(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-doctor-'));
+  process.chdir(workspace);
+  fs.mkdirSync('portals/cbt', { recursive: true });
+  fs.writeFileSync('.edutechrc', '{ "registries": ["https://example.com/registry.json"], "packageManager": "npm" }\n');
+  fs.writeFileSync('package.json', '{ "name": "school", "workspaces": ["portals/hostel"] }\n');
+  fs.writeFileSync('portals/cbt/package.json', '{ "name": "cbt", "scripts": { "dev": "next dev -p 3100" } }\n');
+  fs.writeFileSync('portals/cbt/.env.local', 'PORT=3100\n');
+  fs.writeFileSync('edutech-lock.json', `${JSON.stringify({
+    lockfileVersion: 1,
+    portals: { cbt: { theme: 'silk', registry: 'default', repo: 'https://example.com/cbt.git', version: '1.0.0', shared: '^1.0.0' } }
+  })}\n`);
+  fs.writeFileSync('turbo.json', '{ "tasks": { "build": {}, "library#build": { "outputs": [] } } }\n');
+});
+
+test.afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+function messages(issues) {
+  return issues.map(({ severity, message }) => `${severity}: ${message}`);
+}
+
+test('runChecks reports drift in the workspaces, portals and turbo.json', () => {
+  assert.deepEqual(messages(runChecks()), [
+    'error: Workspace "portals/hostel" does not exist',
+    'warning: portals/cbt is not in the workspaces, so it is not installed or built',
+    'warning: Tasks for library, which is not in the workspace',
+    'warning: portals/cbt has no .portal-config.json, so it cannot be updated or rolled back'
+  ]);
+});
+
+test('the safe fixes repair the workspace', async () => {
+  for (const { fix } of runChecks()) {
+    await fix.apply();
+  }
+
+  assert.deepEqual(runChecks(), []);
+  assert.deepEqual(JSON.parse(fs.readFileSync('package.json', 'utf8')).workspaces, ['portals/cbt']);
+  assert.deepEqual(JSON.parse(fs.readFileSync('turbo.json', 'utf8')).tasks, { build: {} });
+
+  const portalConfig = JSON.parse(fs.readFileSync('portals/cbt/.portal-config.json', 'utf8'));
+  assert.equal(portalConfig.source, 'lockfile');
+  assert.equal(portalConfig.version, '1.0.0');
+  assert.equal(portalConfig.shared, '^1.0.0');
+});
+
+test('issues without a safe fix come with a hint', () => {
+  fs.mkdirSync('portals/hostel');
+  fs.writeFileSync('portals/hostel/package.json', '{ "name": "hostel", "scripts": { "dev": "next dev -p 3100" } }\n');
+  fs.writeFileSync('portals/hostel/.env.local', 'PORT=3100\n');
+
+  const conflict = runChecks().find(({ message }) => message.includes('all start their dev server'));
+
+  assert.equal(conflict.severity, 'error');
+  assert.equal(conflict.message, 'cbt, hostel all start their dev server on port 3100; only one of them can start');
+  assert.equal(conflict.fix, null);
+  assert.match(conflict.hint, /npm run portal:doctor -- --fix/);
+});
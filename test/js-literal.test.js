@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseModuleExports,
+  findProperty,
+  toValue,
+  formatValue,
+  replaceNode,
+  appendArrayElement,
+  removeArrayElement
+} = require('../templates/scripts/lib/js-literal');
+
+const ecosystem = `// PM2 apps
+const path = require('path');
+
+module.exports = {
+  apps: [
+    {
+      name: 'academic',
+      cwd: './portals/academic',
+      env: { PORT: 3000, NODE_ENV: process.env.NODE_ENV || "development" }
+    },
+  ]
+};
+`;
+
+test('toValue reads literals and keeps other expressions as source', () => {
+  const exports = parseModuleExports(ecosystem);
+
+  assert.deepEqual(toValue(exports), {
+    apps: [{
+      name: 'academic',
+      cwd: './portals/academic',
+      env: { PORT: 3000, NODE_ENV: { $expression: 'process.env.NODE_ENV || "development"' } }
+    }]
+  });
+});
+
+test('formatValue writes expressions back unchanged', () => {
+  assert.equal(
+    formatValue({ name: 'cbt', 'max-memory': null, env: { NODE_ENV: { $expression: 'process.env.NODE_ENV' } } }),
+    "{\n  name: 'cbt',\n  'max-memory': null,\n  env: {\n    NODE_ENV: process.env.NODE_ENV\n  }\n}"
+  );
+  assert.equal(formatValue("it's"), "'it\\'s'");
+});
+
+test('appendArrayElement follows the indentation and trailing comma in use', () => {
+  const apps = findProperty(parseModuleExports(ecosystem), 'apps').value;
+  const updated = appendArrayElement(ecosystem, apps, { name: 'cbt' });
+
+  assert.match(updated, /\n {4}},\n {4}\{\n {6}name: 'cbt'\n {4}\},\n {2}\]/);
+  assert.deepEqual(toValue(findProperty(parseModuleExports(updated), 'apps').value).map(app => app.name), ['academic', 'cbt']);
+});
+
+test('removeArrayElement removes the element with its lines and comma', () => {
+  const apps = findProperty(parseModuleExports(ecosystem), 'apps').value;
+
+  assert.equal(removeArrayElement(ecosystem, apps, 0), ecosystem.replace(/ {4}\{[\s\S]*\n {4}\},\n/, ''));
+});
+
+test('replaceNode edits one value in place', () => {
+  const source = "module.exports = { port: 3000, name: 'academic' };\n";
+  const port = findProperty(parseModuleExports(source), 'port').value;
+
+  assert.equal(replaceNode(source, port, 3001), "module.exports = { port: 3001, name: 'academic' };\n");
+});
+
+test('regular expression literals are skipped as a whole', () => {
+  const source = `module.exports = {
+  ignore: /node_modules|\\/\\*['"{]/,
+  watch: [/[/]src\\//g],
+  ratio: 10 / 2 / 5,
+  name: 'cbt'
+};
+`;
+  const value = toValue(parseModuleExports(source));
+
+  assert.deepEqual(value, {
+    ignore: { $expression: "/node_modules|\\/\\*['\"{]/" },
+    watch: [{ $expression: '/[/]src\\//g' }],
+    ratio: { $expression: '10 / 2 / 5' },
+    name: 'cbt'
+  });
+});
+
+test('syntax errors name the line', () => {
+  assert.throws(() => parseModuleExports("module.exports = {\n  name: 'cbt\n};"), /Unterminated string \(line 2\)/);
+  assert.throws(() => parseModuleExports('module.exports = {\n  match: /abc\n};'), /Unterminated regular expression \(line 2\)/);
+  assert.throws(() => parseModuleExports('module.exports = [];'), /module.exports is not an object literal/);
+  assert.throws(() => parseModuleExports('exports.apps = [];'), /No module.exports assignment found/);
+});
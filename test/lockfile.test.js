@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { LOCKFILE, readLockfile, writeLockfile, hashDirectory, lockPortal } = require('../templates/scripts/lib/lockfile');
+const { listBackups, getBackupFilesPath } = require('../templates/scripts/lib/backups');
+const { beginTransaction, runTransaction } = require('../templates/scripts/lib/transaction');
+const { installPortal } = require('../templates/scripts/portal-install');
+
+const cwd = process.cwd();
+let workspace;
+let template;
+
+test.beforeEach(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-lockfile-'));
+  template = path.join(workspace, 'template');
+  fs.mkdirSync(path.join(workspace, 'workspace/portals/cbt'), { recursive: true });
+  fs.mkdirSync(template);
+  process.chdir(path.join(workspace, 'workspace'));
+
+  fs.writeFileSync(path.join(template, 'package.json'), '{ "name": "cbt" }\n');
+  fs.writeFileSync(path.join(template, 'index.js'), 'module.exports = 1;\n');
+  fs.writeFileSync('package.json', '{ "name": "school", "workspaces": ["portals/cbt"] }\n');
+});
+
+test.afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+test('hashDirectory covers sources only', () => {
+  const before = hashDirectory(template);
+
+  fs.mkdirSync(path.join(template, 'node_modules'));
+  fs.writeFileSync(path.join(template, 'node_modules/dep.js'), '\n');
+  fs.writeFileSync(path.join(template, '.portal-config.json'), '{}\n');
+  assert.equal(hashDirectory(template), before);
+
+  fs.writeFileSync(path.join(template, 'index.js'), 'module.exports = 2;\n');
+  assert.notEqual(hashDirectory(template), before);
+});
+
+test('lockPortal records the template hash and shared range, and portals are written in name order', () => {
+  writeLockfile({ portals: { zoo: { theme: 'silk' } } });
+
+  const entry = lockPortal({ name: 'cbt', theme: 'silk', repo: 'https://example.com/cbt.git', commit: 'abc', shared: '^1.2.0' }, template);
+
+  assert.equal(entry.integrity, hashDirectory(template));
+  assert.equal(entry.shared, '^1.2.0');
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(LOCKFILE, 'utf8')).portals), ['cbt', 'zoo']);
+});
+
+test('readLockfile refuses a lockfile from a newer version', () => {
+  fs.writeFileSync(LOCKFILE, '{ "lockfileVersion": 99, "portals": {} }\n');
+  assert.throws(() => readLockfile(), /newer version/);
+});
+
+test('reinstalling a portal backs up its local changes and keeps the locked shared range', async () => {
+  const entry = {
+    theme: 'silk',
+    repo: pathToFileURL(template).href,
+    version: '1.0.0',
+    shared: '^1.2.0',
+    integrity: hashDirectory(template)
+  };
+  fs.writeFileSync('portals/cbt/package.json', '{ "name": "cbt" }\n');
+  fs.writeFileSync('portals/cbt/index.js', 'module.exports = "edited";\n');
+
+  const { backup } = await runTransaction(beginTransaction('install', { portalName: 'cbt', entry }), installPortal);
+
+  assert.equal(fs.readFileSync('portals/cbt/index.js', 'utf8'), 'module.exports = 1;\n');
+  assert.equal(JSON.parse(fs.readFileSync('portals/cbt/.portal-config.json', 'utf8')).shared, '^1.2.0');
+
+  const [saved] = listBackups('cbt');
+  assert.equal(saved.id, backup);
+  assert.equal(saved.reason, 'install');
+  assert.equal(fs.readFileSync(path.join(getBackupFilesPath(saved), 'index.js'), 'utf8'), 'module.exports = "edited";\n');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeText } = require('../templates/scripts/lib/merge');
+
+const base = 'one\ntwo\nthree\nfour\n';
+
+test('mergeText keeps changes made on one side only', () => {
+  const local = 'one\ntwo (local)\nthree\nfour\n';
+  const upstream = 'one\ntwo\nthree\nfour (upstream)\n';
+
+  assert.deepEqual(mergeText(base, local, upstream), {
+    text: 'one\ntwo (local)\nthree\nfour (upstream)\n',
+    conflicts: 0
+  });
+});
+
+test('mergeText takes a change both sides made the same way once', () => {
+  const both = 'one\ntwo\nthree (both)\nfour\n';
+
+  assert.deepEqual(mergeText(base, both, both), { text: both, conflicts: 0 });
+});
+
+test('mergeText marks lines both sides changed differently as a conflict', () => {
+  const local = 'one\ntwo (local)\nthree\nfour\n';
+  const upstream = 'one\ntwo (upstream)\nthree\nfour\n';
+  const { text, conflicts } = mergeText(base, local, upstream, { local: 'portal', upstream: 'template 2.0.0' });
+
+  assert.equal(conflicts, 1);
+  assert.equal(text, [
+    'one',
+    '<<<<<<< portal',
+    'two (local)',
+    '=======',
+    'two (upstream)',
+    '>>>>>>> template 2.0.0',
+    'three',
+    'four',
+    ''
+  ].join('\n'));
+});
+
+test('mergeText adds lines inserted upstream and drops lines removed locally', () => {
+  const local = 'one\nthree\nfour\n';
+  const upstream = 'one\ntwo\nthree\nfour\nfive\n';
+
+  assert.deepEqual(mergeText(base, local, upstream), { text: 'one\nthree\nfour\nfive\n', conflicts: 0 });
+});
+
+test('mergeText ends conflict markers on their own line when a side has no trailing newline', () => {
+  const { text, conflicts } = mergeText('a', 'b', 'c');
+
+  assert.equal(conflicts, 1);
+  assert.equal(text, '<<<<<<< local\nb\n=======\nc\n>>>>>>> upstream\n');
+});
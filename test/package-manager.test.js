@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PNPM_WORKSPACE_FILE,
+  detectPackageManager,
+  getPackageManager,
+  formatRunCommand,
+  hasFlag,
+  syncWorkspaceFile
+} = require('../templates/scripts/lib/package-manager');
+
+const cwd = process.cwd();
+let workspace;
+
+test.beforeEach(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-package-manager-'));
+  process.chdir(workspace);
+  fs.writeFileSync('package.json', '{ "name": "school", "workspaces": ["shared", "portals/cbt"] }\n');
+});
+
+test.afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+test('.edutechrc wins over the packageManager field, which wins over lockfiles', () => {
+  fs.writeFileSync('package-lock.json', '{}\n');
+  fs.writeFileSync('pnpm-lock.yaml', '');
+  assert.equal(detectPackageManager(), 'pnpm');
+
+  fs.writeFileSync('package.json', '{ "name": "school", "packageManager": "yarn@4.1.0" }\n');
+  assert.equal(detectPackageManager(), 'yarn');
+
+  fs.writeFileSync('.edutechrc', '{ "packageManager": "npm" }\n');
+  assert.equal(detectPackageManager(), 'npm');
+
+  fs.writeFileSync('.edutechrc', '{ "packageManager": "bun" }\n');
+  assert.throws(() => detectPackageManager(), /Unknown packageManager "bun"/);
+  assert.equal(formatRunCommand('portal:list'), 'npm run portal:list');
+});
+
+test('run commands pass script arguments the way each package manager expects', () => {
+  assert.equal(formatRunCommand('portal:add', 'cbt --theme silk'), 'npm run portal:add -- cbt --theme silk');
+
+  fs.writeFileSync('.edutechrc', '{ "packageManager": "pnpm" }\n');
+  assert.equal(formatRunCommand('portal:add', 'cbt --theme silk'), 'pnpm run portal:add cbt --theme silk');
+  assert.equal(getPackageManager().runInWorkspace('shared', 'lint'), 'pnpm --filter shared run lint');
+});
+
+test('hasFlag also sees a flag npm kept for itself', () => {
+  const saved = process.env.npm_config_dry_run;
+
+  try {
+    delete process.env.npm_config_dry_run;
+    assert.equal(hasFlag(['cbt'], '--dry-run'), false);
+    assert.equal(hasFlag(['cbt', '--dry-run'], '--dry-run'), true);
+
+    process.env.npm_config_dry_run = 'true';
+    assert.equal(hasFlag(['cbt'], '--dry-run'), true);
+  } finally {
+    if (saved === undefined) {
+      delete process.env.npm_config_dry_run;
+    } else {
+      process.env.npm_config_dry_run = saved;
+    }
+  }
+});
+
+test('pnpm-workspace.yaml lists the package.json workspaces and keeps its other settings', () => {
+  assert.equal(syncWorkspaceFile(getPackageManager()), false);
+  assert.equal(fs.existsSync(PNPM_WORKSPACE_FILE), false);
+
+  fs.writeFileSync('.edutechrc', '{ "packageManager": "pnpm" }\n');
+  fs.writeFileSync(PNPM_WORKSPACE_FILE, "packages:\n  - 'shared'\nonlyBuiltDependencies:\n  - esbuild\n");
+
+  assert.equal(syncWorkspaceFile(), true);
+  assert.equal(
+    fs.readFileSync(PNPM_WORKSPACE_FILE, 'utf8'),
+    "packages:\n  - 'shared'\n  - 'portals/cbt'\nonlyBuiltDependencies:\n  - esbuild\n"
+  );
+  assert.equal(syncWorkspaceFile(), false);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { applyUpdate } = require('../templates/scripts/portal-update');
+const { beginTransaction, runTransaction, TRANSACTION_DIR } = require('../templates/scripts/lib/transaction');
+
+const cwd = process.cwd();
+let workspace;
+
+function writeFiles(dir, files) {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof content === 'string' ? content : `${JSON.stringify(content, null, 2)}\n`);
+  });
+}
+
+// A workspace with portals/cbt installed from a local template at 1.0.0 and edited since:
+// portal:add wired in the shared dependency and README.md's licence line was edited
+function createWorkspace(upstream) {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-update-'));
+  process.chdir(workspace);
+
+  const base = {
+    'package.json': { name: 'cbt', dependencies: { next: '14.0.0' } },
+    'README.md': '# CBT\n\nCBT portal\n\nMIT\n'
+  };
+
+  writeFiles('template', upstream);
+  writeFiles('.edutech/base/cbt', base);
+  writeFiles('portals/cbt', {
+    ...base,
+    'package.json': { name: 'cbt', dependencies: { next: '14.0.0', shared: '*' } },
+    'README.md': '# CBT\n\nCBT portal\n\nMIT, see LICENSE\n',
+    '.portal-config.json': { name: 'cbt', theme: 'default', repo: pathToFileURL(path.resolve('template')).href, version: '1.0.0' }
+  });
+  writeFiles('.', { 'package.json': { name: 'workspace', private: true, workspaces: ['portals/*'] } });
+}
+
+function update() {
+  const portalConfig = JSON.parse(fs.readFileSync('portals/cbt/.portal-config.json', 'utf8'));
+  const transaction = beginTransaction('update', {
+    portalName: 'cbt',
+    force: false,
+    target: { version: '1.1.0', ref: null, commit: null },
+    portalConfig
+  });
+
+  return runTransaction(transaction, applyUpdate);
+}
+
+test.afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+test('applyUpdate merges upstream changes into a locally edited portal', async () => {
+  createWorkspace({
+    'package.json': { name: 'cbt', dependencies: { next: '14.0.0' } },
+    'README.md': '# CBT 1.1\n\nCBT portal\n\nMIT\n'
+  });
+
+  const result = await update();
+
+  assert.equal(result.installPending, false);
+  assert.deepEqual(result.mergeReport.conflicts, []);
+  assert.equal(fs.readFileSync('portals/cbt/README.md', 'utf8'), '# CBT 1.1\n\nCBT portal\n\nMIT, see LICENSE\n');
+  assert.equal(JSON.parse(fs.readFileSync('portals/cbt/.portal-config.json', 'utf8')).version, '1.1.0');
+  assert.equal(fs.existsSync(TRANSACTION_DIR), false);
+});
+
+test('applyUpdate keeps a package.json conflict and leaves the install to the user', async () => {
+  createWorkspace({
+    'package.json': { name: 'cbt', dependencies: { next: '14.1.0', zod: '^3.0.0' } },
+    'README.md': '# CBT\n\nCBT portal\n\nMIT\n'
+  });
+
+  const result = await update();
+  const pkg = fs.readFileSync('portals/cbt/package.json', 'utf8');
+
+  assert.equal(result.installPending, true);
+  assert.deepEqual(result.mergeReport.conflicts.map(({ file }) => file), ['package.json']);
+  assert.match(pkg, /<<<<<<< local[\s\S]*"shared": "\*"[\s\S]*=======[\s\S]*"zod": "\^3.0.0"[\s\S]*>>>>>>> upstream/);
+  assert.equal(JSON.parse(fs.readFileSync('portals/cbt/.portal-config.json', 'utf8')).version, '1.1.0');
+  assert.equal(fs.existsSync('node_modules'), false);
+  assert.equal(fs.existsSync(TRANSACTION_DIR), false);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setScriptPort, findPortConflicts } = require('../templates/scripts/lib/ports');
+
+test('setScriptPort pins the port in next dev and next start', () => {
+  assert.deepEqual(setScriptPort({
+    dev: 'next dev',
+    start: 'next start --port=3000 -H 0.0.0.0',
+    build: 'next build',
+    lint: 'next lint && next dev -p 4000 --turbo'
+  }, 3005), {
+    dev: 'next dev -p 3005',
+    start: 'next start -p 3005 -H 0.0.0.0',
+    build: 'next build',
+    lint: 'next lint && next dev -p 3005 --turbo'
+  });
+});
+
+test('setScriptPort leaves other scripts alone', () => {
+  const scripts = { dev: 'vite --port 5173', test: 'jest', config: { watch: true } };
+
+  assert.deepEqual(setScriptPort(scripts, 3005), scripts);
+});
+
+test('findPortConflicts lists ports used by more than one app', () => {
+  const apps = [
+    { name: 'academic', env: { PORT: 3000 } },
+    { name: 'hostel', env: { PORT: '3000' }, env_production: { PORT: 3100 } },
+    { name: 'cbt', env: { PORT: 3001 } }
+  ];
+
+  assert.deepEqual(findPortConflicts(apps), [{ port: 3000, apps: ['academic', 'hostel'] }]);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RegistryValidationError, validateRegistry, assertValidRegistry } = require('../templates/scripts/lib/registry-schema');
+
+const registry = {
+  version: '1.0.0',
+  portals: {
+    academic: {
+      description: 'Academic portal',
+      version: '2.3.0',
+      themes: { default: 'samsmithKruz/academic-portal', silk: 'file://../templates/academic-silk' },
+      versions: { '2.3.0': 'v2.3.0', '2.4.0-beta.1': 'beta' },
+      shared: '^1.2.0',
+      requirements: { node: '>=18', next: '^14.0.0' }
+    }
+  }
+};
+
+test('validateRegistry accepts a valid registry', () => {
+  assert.deepEqual(validateRegistry(registry), []);
+  assert.equal(assertValidRegistry(registry, 'registry.json'), registry);
+});
+
+test('validateRegistry names the portal and field of each problem', () => {
+  const problems = validateRegistry({
+    portals: {
+      Academic: { themes: { default: 'a/b' } },
+      hostel: { themes: {}, version: '1.0', shared: '^one' }
+    },
+    version: 2
+  });
+
+  assert.deepEqual(problems, [
+    'Portal "Academic": name "Academic" must be lowercase letters, numbers and hyphens',
+    'Portal "hostel", field "themes": must have at least 1 entry',
+    'Portal "hostel", field "version": "1.0" is not a valid semantic version (e.g. 1.2.0)',
+    'Portal "hostel", field "shared": "^one" is not a valid version range (e.g. ^1.2.0 or >=1.0.0 <3.0.0)',
+    'Field "version": must be a string (got number)'
+  ]);
+});
+
+test('validateRegistry reports a missing portals list', () => {
+  assert.deepEqual(validateRegistry({}), ['Registry: missing required field "portals"']);
+  assert.deepEqual(validateRegistry([]), ['Registry: must be an object (got array)']);
+});
+
+test('assertValidRegistry throws every problem at once', () => {
+  assert.throws(
+    () => assertValidRegistry({ portals: { cbt: {} } }, 'cache'),
+    error => error instanceof RegistryValidationError &&
+      error.message === 'Invalid registry cache:\n  - Portal "cbt": missing required field "themes"' &&
+      error.errors.length === 1
+  );
+});
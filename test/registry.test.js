@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { fetchJSON } = require('../templates/scripts/lib/registry');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/registry.json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{ "portals": {} }');
+    } else if (req.url === '/stalled.json') {
+      // Headers, then nothing: the body never arrives
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write('{ "portals":');
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('fetchJSON reads a registry over http://', async () => {
+  assert.deepEqual(await fetchJSON(`${baseUrl}/registry.json`), { portals: {} });
+  await assert.rejects(fetchJSON(`${baseUrl}/missing.json`), /HTTP 404/);
+});
+
+test('fetchJSON gives up on a registry that stops answering', async () => {
+  await assert.rejects(fetchJSON(`${baseUrl}/stalled.json`, 200), /No response from .* within 0.2s/);
+});
+
+test('fetchJSON refuses other protocols', async () => {
+  await assert.rejects(fetchJSON('ftp://example.com/registry.json'), /Unsupported protocol ftp:/);
+});
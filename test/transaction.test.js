@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TRANSACTION_DIR,
+  beginTransaction,
+  loadTransaction,
+  runTransaction,
+  handlePendingTransaction
+} = require('../templates/scripts/lib/transaction');
+
+const cwd = process.cwd();
+let workspace;
+
+test.beforeEach(() => {
+  workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-transaction-'));
+  process.chdir(workspace);
+  fs.mkdirSync('portals/cbt/node_modules/next', { recursive: true });
+  fs.writeFileSync('portals/cbt/package.json', '{ "name": "cbt" }\n');
+  fs.writeFileSync('portals/cbt/.portal-config.json', '{ "name": "cbt" }\n');
+  fs.writeFileSync('portals/cbt/node_modules/next/index.js', '\n');
+  fs.writeFileSync('turbo.json', '{ "tasks": {} }\n');
+});
+
+test.afterEach(() => {
+  process.chdir(cwd);
+  fs.rmSync(workspace, { recursive: true, force: true });
+});
+
+function readTree(dir) {
+  return fs.readdirSync(dir, { recursive: true }).sort().map(file => {
+    const filePath = path.join(dir, file);
+    return fs.statSync(filePath).isFile() ? `${file}: ${fs.readFileSync(filePath, 'utf8')}` : file;
+  });
+}
+
+test('a failed transaction puts every tracked path back exactly as it was', async () => {
+  const before = readTree('portals');
+  const transaction = beginTransaction('update', { portalName: 'cbt' });
+
+  await assert.rejects(runTransaction(transaction, async () => {
+    await transaction.step('apply', () => {
+      transaction.track('portals/cbt');
+      transaction.track('turbo.json');
+      transaction.track('edutech-lock.json');
+      fs.rmSync('portals/cbt/node_modules', { recursive: true });
+      fs.writeFileSync('portals/cbt/package.json', '<<<<<<< local\n');
+      fs.writeFileSync('turbo.json', '{}\n');
+      fs.writeFileSync('edutech-lock.json', '{}\n');
+    });
+    await transaction.step('install', () => {
+      throw new Error('install failed');
+    });
+  }), /install failed/);
+
+  assert.deepEqual(readTree('portals'), before);
+  assert.equal(fs.readFileSync('turbo.json', 'utf8'), '{ "tasks": {} }\n');
+  assert.equal(fs.existsSync('edutech-lock.json'), false);
+  assert.equal(fs.existsSync(TRANSACTION_DIR), false);
+});
+
+test('a moved path is restored on rollback', async () => {
+  const before = readTree('portals');
+  const transaction = beginTransaction('remove', { portalName: 'cbt' });
+
+  await transaction.step('files', () => transaction.track('portals/cbt', { move: true }));
+  assert.equal(fs.existsSync('portals/cbt'), false);
+
+  transaction.rollback();
+  assert.deepEqual(readTree('portals'), before);
+});
+
+test('a resumed transaction skips finished steps and redoes the interrupted one', async () => {
+  const transaction = beginTransaction('add', { portalName: 'cbt' });
+  const runs = [];
+
+  await transaction.step('fetch', () => {
+    runs.push('fetch');
+    return 'temp-cbt';
+  });
+  // Interrupted half-way through "config": the change was made but the step never finished
+  await assert.rejects(transaction.step('config', () => {
+    transaction.track('turbo.json');
+    fs.writeFileSync('turbo.json', 'half-written');
+    throw new Error('interrupted');
+  }));
+
+  const resumed = loadTransaction();
+  assert.deepEqual(resumed.completedSteps, ['fetch']);
+
+  const result = await runTransaction(resumed, async () => {
+    const dir = await resumed.step('fetch', () => runs.push('fetch again'));
+    await resumed.step('config', () => {
+      runs.push(`config from ${fs.readFileSync('turbo.json', 'utf8')}`);
+    });
+    return dir;
+  });
+
+  assert.equal(result, 'temp-cbt');
+  assert.deepEqual(runs, ['fetch', 'config from { "tasks": {} }\n']);
+  assert.equal(fs.existsSync(TRANSACTION_DIR), false);
+});
+
+test('handlePendingTransaction lets a command run when nothing is pending', () => {
+  assert.equal(handlePendingTransaction('add', {}), null);
+  assert.deepEqual(handlePendingTransaction('add', { resume: true }), {
+    message: 'There is no interrupted portal command to resume or revert',
+    transaction: null
+  });
+});
+
+test('handlePendingTransaction resumes, reverts or refuses an interrupted command', async () => {
+  const transaction = beginTransaction('add', { portalName: 'cbt' });
+  await transaction.step('config', () => {
+    transaction.track('turbo.json');
+    fs.writeFileSync('turbo.json', '{}\n');
+  });
+  // The process that started it has gone
+  transaction.journal.pid = spawnSync(process.execPath, ['-e', '']).pid;
+  transaction.save();
+
+  assert.throws(() => handlePendingTransaction('add', {}), /An interrupted portal:add cbt was found .*completed steps: config\); resume it with npm run portal:add -- --resume or undo it with npm run portal:add -- --revert/);
+  assert.throws(() => handlePendingTransaction('remove', { resume: true }), /An interrupted portal:add cbt was found/);
+
+  const resumed = handlePendingTransaction('add', { resume: true });
+  assert.equal(resumed.message, 'Resuming portal:add cbt (completed steps: config)');
+  assert.deepEqual(resumed.transaction.completedSteps, ['config']);
+
+  assert.deepEqual(handlePendingTransaction('remove', { revert: true }), {
+    message: 'Reverted the interrupted portal:add cbt',
+    transaction: null
+  });
+  assert.equal(fs.readFileSync('turbo.json', 'utf8'), '{ "tasks": {} }\n');
+  assert.equal(fs.existsSync(TRANSACTION_DIR), false);
+});
+
+test('handlePendingTransaction refuses a command another process is still running', () => {
+  const transaction = beginTransaction('update', { portalName: 'cbt' });
+  transaction.journal.pid = process.ppid;
+  transaction.save();
+
+  assert.throws(() => handlePendingTransaction('update', { revert: true }), new RegExp(`portal:update cbt is still running \\(pid ${process.ppid}\\)`));
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseVersionSpec, resolveVersion, compareVersions, parseRange, checkVersionRange } = require('../templates/scripts/lib/versions');
+
+test('parseVersionSpec splits the version off a portal spec', () => {
+  assert.deepEqual(parseVersionSpec('academic@2.3.0'), { spec: 'academic', version: '2.3.0' });
+  assert.deepEqual(parseVersionSpec('private/hostel@1.0.0'), { spec: 'private/hostel', version: '1.0.0' });
+  assert.deepEqual(parseVersionSpec('academic'), { spec: 'academic', version: null });
+  assert.deepEqual(parseVersionSpec('academic@'), { spec: 'academic', version: null });
+});
+
+test('compareVersions orders by number, then prerelease', () => {
+  assert.ok(compareVersions('1.10.0', '1.9.0') > 0);
+  assert.ok(compareVersions('2.0.0-beta.2', '2.0.0-beta.10') < 0);
+  assert.ok(compareVersions('2.0.0-rc.1', '2.0.0') < 0);
+  assert.equal(compareVersions('v1.2.3', '1.2.3'), 0);
+  assert.ok(compareVersions('latest', '0.0.1') < 0);
+});
+
+test('checkVersionRange understands caret and tilde ranges', () => {
+  assert.equal(checkVersionRange('1.4.2', '^1.2.0'), 'satisfied');
+  assert.equal(checkVersionRange('2.0.0', '^1.2.0'), 'newer');
+  assert.equal(checkVersionRange('1.1.9', '^1.2.0'), 'older');
+  assert.equal(checkVersionRange('0.2.5', '^0.2.3'), 'satisfied');
+  assert.equal(checkVersionRange('0.3.0', '^0.2.3'), 'newer');
+  assert.equal(checkVersionRange('1.2.9', '~1.2.3'), 'satisfied');
+  assert.equal(checkVersionRange('1.3.0', '~1.2.3'), 'newer');
+});
+
+test('checkVersionRange understands comparators, partial versions, hyphens and alternatives', () => {
+  assert.equal(checkVersionRange('2.5.0', '>=1.0.0 <3'), 'satisfied');
+  assert.equal(checkVersionRange('3.0.0', '>=1.0.0 <3'), 'newer');
+  assert.equal(checkVersionRange('18.19.0', '>=18'), 'satisfied');
+  assert.equal(checkVersionRange('2.3.0', '1.0.0 - 2.3.0'), 'satisfied');
+  assert.equal(checkVersionRange('2.3.1', '1.0.0 - 2.3.0'), 'newer');
+  assert.equal(checkVersionRange('2.7.1', '1.x || 2.x'), 'satisfied');
+  assert.equal(checkVersionRange('5.0.0', '*'), 'satisfied');
+  assert.equal(checkVersionRange('19.1.0', '^18.2.0 || ^19.0.0'), 'satisfied');
+});
+
+test('checkVersionRange rejects what it cannot parse', () => {
+  assert.equal(parseRange('^one'), null);
+  assert.throws(() => checkVersionRange('1.0', '^1.0.0'), /Invalid version "1.0"/);
+  assert.throws(() => checkVersionRange('1.0.0', '^one'), /Invalid version range "\^one"/);
+});
+
+test('resolveVersion finds the tag for a version and passes registry strings to git untouched', t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'edutech-versions-'));
+  const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'pipe' }).toString().trim();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  git('init', '-q');
+  fs.writeFileSync(path.join(dir, 'README.md'), 'template\n');
+  git('add', '.');
+  git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'template');
+  git('tag', 'v1.0.0');
+  const commit = git('rev-parse', 'HEAD');
+
+  assert.deepEqual(resolveVersion(dir, { version: '1.0.0' }), { version: '1.0.0', ref: 'v1.0.0', commit });
+
+  const marker = path.join(dir, 'injected');
+  assert.throws(() => resolveVersion(`${dir}; touch ${marker}`, { versions: { '1.0.0': 'v1.0.0' } }, '1.0.0'));
+  assert.throws(() => resolveVersion(dir, { versions: { '1.0.0': `v1.0.0$(touch ${marker})` } }, '1.0.0'));
+  assert.equal(fs.existsSync(marker), false);
+});